@@ -1,19 +1,50 @@
-import { readFile, writeFile, stat } from "fs/promises";
-import { readFileSync, statSync } from "fs"
+import { readFile, writeFile, stat, mkdir, rm, copyFile, rename, realpath } from "fs/promises";
+import { readFileSync, writeFileSync, statSync, lstatSync, existsSync, watch, createReadStream, openSync, readSync, closeSync } from "fs"
 import { promisify } from "util"
+import { createHash } from "crypto"
+import { dirname, normalize, resolve, relative, extname } from "path"
+import { createServer } from "http"
 import { render } from "ejs"
-import { exec } from "child_process"
+import { execFile } from "child_process"
+import { createRequire } from "module"
 import glob from "glob"
 import {
   encode,
   decode,
-  traverse,
+  pipeline,
+  plugins,
   Node,
   hsc,
   map,
-  create_id_from_text,
-  to_toc
+  to_toc,
+  sequence_to_svg,
+  format,
+  parse_yaml,
+  ParseError,
+  to_slug,
+  related,
+  text_content,
+  build_search_index,
+  search_sections,
+  split_text,
+  parse_search_query,
+  bm25_index,
+  bm25_search,
+  collect_links,
+  collect_anchors,
+  html_ids,
+  image_size,
+  parse_mp3,
+  read_id3v2,
+  encode_id3v2,
+  describe_id3v2,
+  show_note_chapters,
+  parse_time,
+  validate_front_matter,
+  publish_state,
+  is_published,
 } from "markdown"
+import { read_code } from "markdown/code.js"
 
 /**
  * dump for debug
@@ -27,37 +58,36 @@ function dump(ast) {
 }
 
 /**
- * Calculate hash from mtime
- * @param {string} path
- * @returns {string}
+ * decode markdown file
+ * 最初のエラーで止めず、全ての diagnostic を file:line:column 付きで出力する
+ * @param {string} md
+ * @param {string} file
+ * @param {number} [line_offset] front matter など md より前にある行数
+ * @returns {Node}
  */
-export function cache_busting(path) {
-  const mtime = statSync(path).mtime
-  const formatter = new Intl.DateTimeFormat(`ja-JP`, {
-    year: `2-digit`,
-    month: `2-digit`,
-    day: `2-digit`,
-    hour: `2-digit`,
-    minute: `2-digit`,
-    second: `2-digit`
+function decode_file(md, file, line_offset = 0) {
+  const { ast, diagnostics } = decode(md, { recover: true })
+  const lines = diagnostics.map(({ severity, message, position }) => {
+    const { line, column } = position.start
+    return `${file}:${line + line_offset}:${column} ${severity} ${message}`
   })
-  const parts = Object.fromEntries(formatter.formatToParts(mtime).map(({ type, value }) => [type, value]))
-  const { year, month, day, hour, minute, second } = parts
-  return `?${year}${month}${day}_${hour}${minute}${second}`
+  lines.forEach((line) => console.error(line))
+  const errors = diagnostics.filter(({ severity }) => severity === `error`)
+  // serve の overlay に出すため diagnostic を cause に入れる
+  if (errors.length > 0) throw new Error(`${errors.length} error(s) in ${file}`, { cause: lines.join(`\n`) })
+  return ast
 }
 
 /**
- * serialize description
- * @param {Node} node
- * @param {string} acc
+ * Calculate cache busting query from content hash
+ * file_hash() と同じく 1 回の build の中では同じファイルを何度も読まない
+ * @param {string} path
  * @returns {string}
  */
-function serialize_description(node, acc = ``) {
-  if (node.name === `heading`) return ``
-  if (node.name === `text`) return node.text
-  return node.children.map((child) => {
-    return serialize_description(child, acc)
-  }).join(``)
+export function cache_busting(path) {
+  const hash = file_hash(normalize(path))
+  if (hash === null) throw new Error(`${path} not found`)
+  return `?${hash.slice(0, 8)}`
 }
 
 /**
@@ -90,6 +120,15 @@ function indent(str, i = 2) {
     .trimStart()
 }
 
+/**
+ * tag ごとの page の URL、 slug に日本語が残るので encode する
+ * @param {string} tag
+ * @returns {string}
+ */
+function tag_url(tag) {
+  return `/tags/${encodeURIComponent(to_slug(tag))}/`
+}
+
 /**
  * shorten description less than 140
  * @param {string} str
@@ -103,58 +142,69 @@ function short(str, n = 140) {
 }
 
 /**
- * parse yaml int object
- * @param {string} str
- * @returns {Info}
- */
-function parse_yaml(str) {
-  /**@type {any} */
-  const init = { guests: [] }
-  return str.split(`\n`)
-    .map((line) => line.match(/^(?<key>.*?): (?<value>.*)/).groups)
-    .reduce((acc, { key, value }) => {
-      if (key === `tags`) {
-        acc.tags = value
-          .match(/^\[(?<values>.*?)\]/).groups.values
-          .split(`, `)
-          .map((value) => value.match(/"(?<value>.*)"/).groups.value)
-        return acc
-      }
-      if (key === `guest`) {
-        const matched = value.match(/^\[(?<name>.*?)\]\((?<url>.*)\)/)
-        let name = value
-        let url = null
-        if (matched) {
-          ({ url, name } = matched.groups)
-        }
-        if (acc.guests) {
-          const values = acc.guests
-          acc.guests = [...values, { url, name }]
-        } else {
-          acc.guests = [{ url, name }]
-        }
-        return acc
-      }
-      acc[key] = value
-      return acc
-    }, init) // guests は必須で無い場合は空
+ * --- で囲まれた front matter を parse する、無ければ空の object
+ * エラーは decode_file と同じく file:line:column で出力する
+ * @param {string} md
+ * @param {string} file
+ * @param {import("markdown/yaml.js").YAMLOption} [option]
+ * @returns {{data: Object.<string, any>, markdown: string, line_offset: number}}
+ */
+function parse_front_matter(md, file, option) {
+  const result = /^---\n(?<frontmatter>[\s\S]*?)\n---\n(?<markdown>[\s\S]*)$/.exec(md)
+  if (result === null) return { data: {}, markdown: md, line_offset: 0 }
+  const { frontmatter, markdown } = result.groups
+  try {
+    const data = parse_yaml(frontmatter, option)
+    // front matter と --- の 2 行分ずらす
+    return { data, markdown, line_offset: frontmatter.split(`\n`).length + 2 }
+  } catch (err) {
+    if (err instanceof ParseError === false) throw err
+    // 先頭の --- の 1 行分ずらす
+    const { line, column } = err.position.start
+    const message = `${file}:${line + 1}:${column} error ${err.message}`
+    console.error(message)
+    throw new Error(`1 error(s) in ${file}`, { cause: message })
+  }
+}
+
+/**
+ * @typedef {ReturnType<typeof publish_state>} PublishState
+ */
+
+/**
+ * build せずに front matter だけで公開状態を読む
+ * @param {string} file
+ * @param {Object.<string, any>} data
+ * @returns {PublishState}
+ */
+function file_publish_state(file, data) {
+  validate_front_matter(data, file.startsWith(`../mozaic.fm/`) ? EPISODE_FRONT_MATTER : ENTRY_FRONT_MATTER, file)
+  return publish_state(data, file)
 }
 
 /**
- * read mp3 duration and serialize as 00:00:00 fmt
+ * parse_mp3() の結果のうち feed で使うもの
+ * @typedef {Object} AudioInfo
+ * @property {string} duration 00:00:00 fmt
+ * @property {number} seconds
+ * @property {number} bitrate kbps、 VBR は平均
+ * @property {number} sample_rate
+ * @property {string} channel_mode
+ * @property {number} channels
+ * @property {boolean} vbr
+ */
+
+/**
+ * read mp3 header and serialize duration as 00:00:00 fmt
  * @param {string} audio
- * @returns {Promise<string>}
+ * @returns {Promise<AudioInfo>}
  */
-async function audio_duration(audio) {
-  const stdout = await (async () => {
-    if (process.platform === `darwin`) {
-      return (await promisify(exec)(`afinfo ./${audio} | grep duration | cut -d' ' -f 3`)).stdout
-    } else {
-      return (await promisify(exec)(`mp3info -p "%S\n" ./${audio}`)).stdout
-    }
-  })()
+async function audio_info(audio) {
+  const info = parse_mp3(await readFile(audio))
+  if (info === null) throw new Error(`${audio} is not a mp3 file`)
+  const { bitrate, sample_rate, channel_mode, channels, vbr } = info
 
-  const sec = parseInt(stdout.trim())
+  const seconds = Math.round(info.duration)
   const formatter = new Intl.DateTimeFormat(`ja-jp`, {
     hour: `2-digit`,
     minute: `2-digit`,
@@ -162,7 +212,7 @@ async function audio_duration(audio) {
     hour12: false,
     timeZone: `UTC`
   });
-  return formatter.format(new Date(sec * 1000))
+  return { duration: formatter.format(new Date(seconds * 1000)), seconds, bitrate, sample_rate, channel_mode, channels, vbr }
 }
 
 /**
@@ -172,11 +222,14 @@ async function audio_duration(audio) {
  */
 
 /**
+ * episode の front matter
  * @typedef {Object} Info
  * @property {string} published_at
  * @property {string} audio
- * @property {Array.<Guest>} guests
+ * @property {Array.<string>} [guest] [name](url) の形式で複数書ける
  * @property {Array.<string>} tags
+ * @property {string} [status] draft か scheduled
+ * @property {string} [publish_at] scheduled では必須
  */
 
 /**
@@ -249,16 +302,105 @@ function info_section({ published_at, guests, toc }) {
   return dl
 }
 
+/**
+ * www.jxck.io/assets の manifest
+ * path から hash を付けた path を引けるように、 build のたびに build_assets() で書き出す
+ */
+const ASSET_MANIFEST = `../www.jxck.io/assets/manifest.json`
+
+/**
+ * foo.0123abcd.css のように hash を入れた fingerprint のファイル名
+ */
+const FINGERPRINT = /\.[0-9a-f]{8}(?<ext>\.[^./]+)$/
+
+/**
+ * /assets/css/body.css => /assets/css/body.css?0123abcd
+ * build_assets() していない preview や serve では使われたときに hash する
+ * @type {Map.<string, string>}
+ */
+const asset_urls = new Map()
+
+/**
+ * @param {string} pathname
+ * @returns {string}
+ */
+function asset_url(pathname) {
+  if (asset_urls.has(pathname) === false) {
+    asset_urls.set(pathname, `${pathname}${cache_busting(`../www.jxck.io${pathname}`)}`)
+  }
+  return asset_urls.get(pathname)
+}
+
+/**
+ * assets の hash を計算して manifest に書き出す
+ * fingerprint のときは foo.0123abcd.css をコピーして作り、 query ではなくその名前を使う
+ * そのファイルは中身が変わらないので h2o で immutable にできる
+ * 使われなくなったコピーは prune_assets() で消す
+ * @param {boolean} fingerprint
+ * @param {Manifest} manifest
+ */
+async function build_assets(fingerprint, manifest) {
+  const files = (await promisify(glob)(`../www.jxck.io/assets/{css,img,js}/*.{css,js,svg,png,jpeg,webp,avif}`))
+    // Service Worker は登録した URL のまま更新する
+    .filter((file) => FINGERPRINT.test(file) === false && /\/(sw|workbox)\.js$/.test(file) === false)
+    .sort()
+  asset_urls.clear()
+  for (const file of files) {
+    const pathname = file.replace(`../www.jxck.io`, ``)
+    const query = cache_busting(file)
+    if (fingerprint === false) {
+      asset_urls.set(pathname, `${pathname}${query}`)
+      continue
+    }
+    // 古い fingerprint は cache されたページから参照されているので、ここでは消さずに prune_assets() に任せる
+    const fingerprinted = file.replace(/(\.[^./]+)$/, `.${query.slice(1)}$1`)
+    if (existsSync(fingerprinted) === false) await copyFile(file, fingerprinted)
+    manifest.assets[fingerprinted] = new Date().toISOString()
+    asset_urls.set(pathname, fingerprinted.replace(`../www.jxck.io`, ``))
+  }
+  // prune_assets() で消したものは記録から除く
+  Object.keys(manifest.assets)
+    .filter((file) => existsSync(file) === false)
+    .forEach((file) => delete manifest.assets[file])
+  await writeFile(ASSET_MANIFEST, `${JSON.stringify(Object.fromEntries(asset_urls), null, 2)}\n`)
+}
+
+/**
+ * build_assets() で作った fingerprint のコピーのうち、今の manifest.json で使っていないものを消す
+ * 古いページの cache から参照されているかもしれないので、最後に build で使ってから days 日経ったものだけにする
+ * build で使った記録が無いものはファイルの更新時刻を使い、 --dry-run では消さずに出力する
+ * @param {{days: number, dry_run: boolean}} option
+ */
+async function prune_assets({ days, dry_run }) {
+  const { assets } = await load_manifest(false)
+  const current = existsSync(ASSET_MANIFEST) ? Object.values(JSON.parse(await readFile(ASSET_MANIFEST, { encoding: `utf-8` }))) : []
+  const limit = Date.now() - days * 24 * 60 * 60 * 1000
+  const files = (await promisify(glob)(`../www.jxck.io/assets/{css,img,js}/*`))
+    .filter((file) => FINGERPRINT.test(file) && current.includes(file.replace(`../www.jxck.io`, ``)) === false)
+    .sort()
+
+  let pruned = 0
+  for (const file of files) {
+    const used = assets[file] ? new Date(assets[file]).getTime() : (await stat(file)).mtimeMs
+    if (used > limit) continue
+    console.log(file)
+    pruned++
+    if (dry_run === false) await rm(file)
+  }
+  console.log(`${pruned} file(s) ${dry_run ? `to prune` : `pruned`}`)
+}
+
 /**
  * cache busting helper
  * @param {string} src
+ * @param {Set.<string>} [deps] 参照したファイルを記録する
  * @returns {string}
  */
-function version(src) {
+function version(src, deps) {
   const url = new URL(src, `https://www.jxck.io`)
   const pathname = url.pathname
-  const busting = cache_busting(`../www.jxck.io${pathname}`)
-  return `${src}${busting}`
+  deps?.add(`../www.jxck.io${pathname}`)
+  return src.replace(pathname, asset_url(pathname))
 }
 
 /**
@@ -272,196 +414,466 @@ async function renderFile(template, context) {
   return render(await readFile(template, { encoding: `utf-8` }), context)
 }
 
+/**
+ * incremental build のための manifest
+ * 出力ごとに、前回 build したときの入力ファイルの hash を記録しておき、
+ * 全て変わってなければ parse も render もせずに skip する
+ * @typedef {Object} Manifest
+ * @property {string} builder build.js と markdown と build の設定の hash、変わったら全て build し直す
+ * @property {Object.<string, Output>} previous 前回の build の出力
+ * @property {Object.<string, Output>} outputs 今回の build の出力
+ * @property {Object.<string, {hash: string, info: AudioInfo}>} audios audio_info() の結果
+ * @property {Object.<string, {hash: string, key: string}>} images derive_images() で作った画像の元の hash と encoder の設定
+ * @property {Object.<string, string>} assets build_assets() で作った fingerprint のファイルと、最後に使った build の時刻
+ * @property {Array.<string>} tags blog() で作った tag page の slug
+ */
+
+/**
+ * @typedef {Object} Output
+ * @property {string} key 前後の episode など、ファイル以外の入力の hash
+ * @property {Object.<string, string>} deps 入力ファイルとその hash
+ * @property {any} [context] skip したときに index などで使う context
+ */
+
+const MANIFEST = `./.cache/manifest.json`
+
+/**
+ * 1 回の build の中では同じファイルを何度も hash しない
+ * @type {Map.<string, string>}
+ */
+const hashes = new Map()
+
+/**
+ * @param {string|Buffer} data
+ * @returns {string}
+ */
+function digest(data) {
+  return createHash(`sha256`).update(data).digest(`hex`).slice(0, 16)
+}
+
+/**
+ * ファイルの中身の hash、無いファイルは null
+ * audio は大きいので中身ではなく size と mtime で代用する
+ * @param {string} path
+ * @returns {string}
+ */
+function file_hash(path) {
+  if (hashes.has(path)) return hashes.get(path)
+  const hash = (() => {
+    if (existsSync(path) === false) return null
+    if (path.endsWith(`.mp3`)) {
+      const { size, mtimeMs } = statSync(path)
+      return `${size}:${Math.floor(mtimeMs)}`
+    }
+    return digest(readFileSync(path))
+  })()
+  hashes.set(path, hash)
+  return hash
+}
+
+/**
+ * template と、そこから include() している template
+ * @param {string} template
+ * @param {Set.<string>} [deps]
+ * @returns {Set.<string>}
+ */
+function template_deps(template, deps = new Set()) {
+  if (deps.has(template)) return deps
+  deps.add(template)
+  const ejs = readFileSync(template, { encoding: `utf-8` })
+  Array.from(ejs.matchAll(/include\("(?<file>.+?)"/g)).forEach(({ groups }) => {
+    template_deps(`${dirname(template)}/${groups.file}`, deps)
+  })
+  return deps
+}
+
+/**
+ * --force のときは前回の出力を使わない
+ * @param {boolean} force
+ * @param {{fingerprint: boolean}} [option] 変わったら全て build し直す build の設定
+ * @returns {Promise.<Manifest>}
+ */
+async function load_manifest(force, option = { fingerprint: false }) {
+  const sources = [`./build.js`, ...glob.sync(`./markdown/*.js`).sort()]
+  const builder = digest(sources.map((file) => readFileSync(file, { encoding: `utf-8` })).join(``) + JSON.stringify(option))
+  if (force || existsSync(MANIFEST) === false) {
+    return { builder, previous: {}, outputs: {}, audios: {}, images: {}, assets: {}, tags: [] }
+  }
+  const { outputs, audios = {}, images = {}, assets = {}, tags = [], ...last } = JSON.parse(await readFile(MANIFEST, { encoding: `utf-8` }))
+  // audio の長さと encode した画像、 fingerprint を使った時刻、作った tag page は build.js に依存しないので残す
+  const previous = last.builder === builder ? outputs : {}
+  return { builder, previous, outputs: {}, audios, images, assets, tags }
+}
+
+/**
+ * 今回 build しなかった (ソースが消えた) 出力は残さない
+ * @param {Manifest} manifest
+ */
+async function save_manifest({ builder, outputs, audios, images, assets, tags }) {
+  await mkdir(dirname(MANIFEST), { recursive: true })
+  await writeFile(MANIFEST, JSON.stringify({ builder, outputs, audios, images, assets, tags }))
+}
+
+/**
+ * 前回の build から入力が変わっていなければ、そのときの Output を返す
+ * @param {Manifest} manifest
+ * @param {string} target
+ * @param {string} [key]
+ * @returns {Output}
+ */
+function fresh(manifest, target, key = ``) {
+  if (manifest === undefined) return null
+  const output = manifest.previous[target]
+  if (output === undefined || output.key !== key) return null
+  if (existsSync(target) === false) return null
+  const changed = Object.entries(output.deps).some(([path, hash]) => file_hash(path) !== hash)
+  if (changed) return null
+  manifest.outputs[target] = output
+  return output
+}
+
+/**
+ * build した出力の入力を記録する
+ * @param {Manifest} manifest
+ * @param {string} target
+ * @param {{key?: string, deps: Set.<string>, context?: any}} output
+ */
+function record(manifest, target, { key = ``, deps, context }) {
+  if (manifest === undefined) return
+  const files = Array.from(new Set(Array.from(deps).map((path) => normalize(path)))).sort()
+  manifest.outputs[target] = {
+    key,
+    deps: Object.fromEntries(files.map((path) => [path, file_hash(path)])),
+    context,
+  }
+}
+
+/**
+ * 入力が変わったときだけ template を render して書き出す
+ * index や feed など、全ての entry から作るページに使う
+ * @param {Manifest} manifest
+ * @param {string} target
+ * @param {string} template
+ * @param {any} context
+ * @param {string} key
+ */
+async function render_if_changed(manifest, target, template, context, key) {
+  if (fresh(manifest, target, key)) return
+  const deps = template_deps(template)
+  const result = await renderFile(template, { ...context, version: (/** @type {string} */ src) => version(src, deps) })
+  await mkdir(dirname(target), { recursive: true })
+  await writeFile(target, result)
+  record(manifest, target, { key, deps })
+}
+
+/**
+ * audio_info() は audio 全体を読むので、 audio が変わってなければ前回の結果を使う
+ * @param {string} audio
+ * @param {Manifest} [manifest]
+ * @returns {Promise.<AudioInfo>}
+ */
+async function cached_audio_info(audio, manifest) {
+  const hash = file_hash(audio)
+  const cached = manifest?.audios[audio]
+  if (cached?.hash === hash) return cached.info
+  const info = await audio_info(audio)
+  if (manifest) manifest.audios[audio] = { hash, info }
+  return info
+}
+
 /**
  * @typedef {Object} Param
  * @property {string} host
  * @property {string} base
+ * @property {Set.<string>} deps 読み込んだファイル、 incremental build で使う
+ * @property {string} [sizes] 画像の sizes
+ */
+
+/**
+ * 本文で使われたときだけ plugin が足す stylesheet
+ * workbox() で precache にも入れる
  */
+const PLUGIN_STYLESHEETS = {
+  table: `https://www.jxck.io/assets/css/table.css`,
+  pre: `https://www.jxck.io/assets/css/pre.css`,
+  callout: `https://www.jxck.io/assets/css/callout.css`,
+}
 
 /**
- * Customize AST with traverse()
+ * Customize AST with pipeline()
+ * node を置き換える plugin があるので並べる順序に注意
  * @param {Node} ast
  * @param {Param} param
  * @returns
  */
-function customize(ast, { host, base }) {
+function customize(ast, { host, base, deps, sizes = IMAGE_SIZES }) {
+  const { root, meta } = pipeline(ast, [
+    plugins.heading_title(),
+    plugins.heading_description(),
+    plugins.heading_id(),
+    plugins.stylesheet({ name: `table`, names: [`figure`], href: version(PLUGIN_STYLESHEETS.table, deps) }),
+    // sequence は <svg> か <img> になるので pre の処理より前
+    { name: `sequence`, names: [`pre`], leave: (node) => customize_sequence(node, base, deps) },
+    { name: `include_code`, names: [`pre`], leave: (node) => include_code(node, base, deps) },
+    plugins.highlight_code(),
+    plugins.stylesheet({ name: `pre`, names: [`pre`], href: version(PLUGIN_STYLESHEETS.pre, deps) }),
+    plugins.stylesheet({ name: `callout`, names: [`callout`], href: version(PLUGIN_STYLESHEETS.callout, deps) }),
+    { name: `image`, names: [`img`], leave: (node) => customize_image(node, base, deps, sizes) },
+    plugins.external_link(host),
+  ])
+  /** @type {Array.<string>} */
+  const tags = meta.get(`tags`) ?? []
+  /** @type {string} */
+  const description = meta.get(`description`) ?? null
+  /** @type {string} */
+  const title = meta.get(`title`) ?? null
+  const toc = to_toc(meta.get(`headings`) ?? [], { list: `ol` })
+  return { root, tags, description, toc, title }
+}
 
-  const state = {
-    /**@type {Array.<string>} */
-    tags: [],
-    /**@type {string} */
-    description: null,
-    /**@type {Array.<Node>} */
-    headings: [],
-    /**@type {string} */
-    title: null,
+/**
+ * ```lang:path のときはファイルの中身を入れる
+ * @param {Node} node
+ * @param {string} base
+ * @param {Set.<string>} deps
+ * @returns {Node}
+ */
+function include_code(node, base, deps) {
+  if (node.attr.has(`path`)) {
+    node.addText(read_code(node, base, deps))
+  }
+  return node
+}
 
-    /**
-     * table, pre など必ず出てくるわけではない CSS は
-     * 登場したら一度だけ CSS を読み込むように
-     * <link rel=stylesheet> を挿入する。
-     * 挿入したかを保持するグローバルフラグ
-     * @type {Object.<string, boolean>}
-     */
-    style: {
-      table: false,
-      pre: false,
+/**
+ * ```sequence は SVG の図にする
+ * ```sequence:./flow.seq のように外部ファイルの場合は隣に ./flow.svg を書き出して <img> に、
+ * そうでなければ <svg> をそのまま埋め込む
+ * @param {Node} node
+ * @param {string} base
+ * @param {Set.<string>} deps
+ * @returns {Node}
+ */
+function customize_sequence(node, base, deps) {
+  if (node.attr.get(`lang`) !== `sequence`) return node
+  const path = node.attr.get(`path`)
+  const source = path ? read_code(node, base, deps) : node.children.map(({ text }) => text).join(`\n`)
+  const { svg, width, height, title } = (() => {
+    try {
+      return sequence_to_svg(source)
+    } catch (err) {
+      throw new Error(`${err.message} in sequence ${path ?? `block`}`)
     }
+  })()
+
+  if (path === undefined) {
+    const html = new Node({ name: `html`, type: `block` })
+    svg.split(`\n`).forEach((line) => html.addText(line))
+    return html
   }
 
-  const root = traverse(ast, {
-    enter: (node) => {
-      return node
-    },
-    leave: (node) => {
-      if (node.name === `heading`) {
-        if (node.level === 1) {
-          const result = customize_heading(node)
-          state.tags = result.tags
-          node = result.node
-          state.title = node.children.map((child) => encode(child)).join(``)
-        }
-        if (node.level === 2) {
-          const text = node.children.at(0).text
-          if (text === `Intro` || text === `Theme`) {
-            state.description = hsc(serialize_description(node.parent))
-          }
-        }
+  // 中身が変わったときだけ書き出し、 cache busting が変わらないようにする
+  const src = path.replace(/(\.[^./]*)?$/, `.svg`)
+  const file = `${base}${src}`
+  if (existsSync(file) === false || readFileSync(file, { encoding: `utf-8` }) !== `${svg}\n`) {
+    writeFileSync(file, `${svg}\n`)
+    hashes.delete(file)
+  }
 
-        // TOC を作りつつ、そこからリンクできるように <hn> に id を生成する
-        // id は <h2>text</h2> の部分から生成するが、そこにもタグがあった場合のために
-        // create_id_from_text でシリアライズしてエスケープした文字をベースにする
-        // 正式な id ではないので _id で保存。 _ がついてるとレンダリングしない実装
-        const _id = create_id_from_text(node)
-        node.attr.set(`_id`, _id)
-
-        // かぶるものが前にあったら _1, _2 などを suffix につける
-        // そのために、 TOC にある値を調べて重複をカウントする
-        // reduceRight できるかと思ったけど break できないので reduce で頭から見ていく
-        const last = state.headings.reduce((prev, curr) => {
-          return curr.attr.get(`_id`) === _id ? curr : prev
-        }, null)
-
-        // あったらその重複カウント、なければ 0
-        const _id_count = last !== null ? parseInt(last.attr.get(`_id_count`)) + 1 : 0
-        const suffix = _id_count === 0 ? `` : `_${_id_count}`
-        const id = `${_id}${suffix}`
-
-        // 重複カウントを保存しつつ、 suffix をつけたものを正式 id として登録
-        node.attr.set(`_id_count`, `${_id_count}`)
-        node.attr.set(`id`, id)
-        state.headings.push(node)
-
-        const attr = new Map()
-        if (node.level === 1) {
-          node.attr.delete(`id`)
-          attr.set(`href`, ``)
-        } else {
-          attr.set(`href`, `#${id}`)
-        }
-        const a = new Node({ name: `a`, type: `inline`, attr, children: node.children })
-        node.children = []
-        node.appendChild(a)
-      }
-      if (node.name === `figure` && state.style.table === false) {
-        if (state.style.table === false) {
-          // 一度だけ table css を差し込む
-          state.style.table = true
-          return append_css(node, `https://www.jxck.io/assets/css/table.css`)
-        }
-      }
-      if (node.name === `pre`) {
-        if (node.name === `pre` && node.attr.has(`path`)) {
-          const path = node.attr.get(`path`)
-          const code = readFileSync(`${base}${path}`, { encoding: `utf-8` }).trimEnd()
-          node.addText(code)
-        }
-        if (state.style.pre === false) {
-          // 一度だけ pre css を差し込む
-          state.style.pre = true
-          return append_css(node, `https://www.jxck.io/assets/css/pre.css`)
-        }
-      }
-      if (node.name === `img`) {
-        return customize_image(node, base)
-      }
-      if (node.name === `a`) {
-        const href = new URL(node.attr.get(`href`), `https://${host}`)
-        if (href.host !== host) {
-          node.attr.set(`target`, `_blank`)
-        }
-      }
-      return node
-    }
+  // <img> にするのは後ろの image plugin
+  const attr = map({
+    src: `${src}#${width}x${height}`,
+    alt: title ?? `sequence diagram`,
   })
-  const { tags, description, headings, title } = state
-  const toc = to_toc(headings, { list: `ol` })
-  return { root, tags, description, toc, title }
+  return new Node({ name: `img`, type: `inline`, attr })
+}
+
+/**
+ * srcset に並べる幅、元の画像より小さいものだけ作る
+ */
+const IMAGE_WIDTHS = [480, 960, 1440]
+
+/**
+ * 本文の幅に合わせた sizes、 entry の front matter の image_sizes で変えられる
+ */
+const IMAGE_SIZES = `(max-width: 960px) 100vw, 960px`
+
+/**
+ * 形式ごとの encoder の設定、 Makefile の cwebp, avif と揃える
+ * 変えたときは全て encode し直す
+ * png は後で make png の optipng がかかるので設定しない
+ */
+const IMAGE_ENCODERS = {
+  avif: { quality: 40, speed: 0 },
+  webp: { quality: 40, method: 6 },
+  png: {},
+  jpeg: { quality: 75 },
+  gif: [`--optimize=3`, `--colors`, `256`],
 }
 
+/**
+ * foo.png を width に縮めたもの
+ * @param {string} file
+ * @param {number} width
+ * @returns {string}
+ */
+function resized(file, width) {
+  return file.replace(/(\.[^./]+)$/, `-${width}$1`)
+}
 
 /**
- * @param {Node} node
- * @param {string} css
- * @returns {Node}
+ * 大きさを読むために先頭から読む byte 数
  */
-function append_css(node, css) {
-  const link = new Node({
-    name: `link`,
-    type: `inline`,
-    attr: map({
-      rel: `stylesheet`,
-      property: `stylesheet`,
-      type: `text/css`,
-      href: version(css)
-    })
-  })
-  const empty = new Node({ name: `empty`, type: `block` })
-  empty.appendChildren([link, node])
-  return empty
+const HEADER_BYTES = 64 * 1024
+
+/**
+ * 画像や動画の大きさを header だけ読んで返す
+ * 先頭で足りなければ (mp4 の moov が末尾にあるなど) 全体を読む
+ * @param {string} file
+ * @returns {{width: number, height: number}}
+ */
+function read_image_size(file) {
+  const header = Buffer.alloc(HEADER_BYTES)
+  const fd = openSync(file, `r`)
+  const length = (() => {
+    try {
+      return readSync(fd, header, 0, HEADER_BYTES, 0)
+    } finally {
+      closeSync(fd)
+    }
+  })()
+  const size = image_size(header.subarray(0, length))
+  if (size !== null || length < HEADER_BYTES) return size
+  return image_size(readFileSync(file))
 }
 
 /**
- * # [tag] title => {title: "title", tags: [tag]}
- * @param {Node} node
- * @returns {{node: Node, tags: Array.<string>}}
- */
-function customize_heading(node) {
-  const text = node.children[0].text
-  const result = /(?<tag>\[.*\])?(?<title>.*)/.exec(text)?.groups
-  const { tag, title } = result
-  // tag は optional
-  const tags = Array.from(tag?.matchAll(/\[(?<tag>.*?)\]/g) ?? []).map((match) => {
-    return match.groups.tag
-  })
-  node.children[0].text = title.trim()
-  return { node, tags }
+ * 画像の wasm codec を読み込む
+ * Node では wasm を fetch できないので、読んだ module を init に渡す
+ */
+async function image_codecs() {
+  const require = createRequire(import.meta.url)
+  const load = async (/** @type {string} */ module, /** @type {string} */ wasm) => {
+    const codec = await import(`@jsquash/${module}`)
+    await codec.init(await WebAssembly.compile(await readFile(require.resolve(`@jsquash/${wasm}`))))
+    return codec.default
+  }
+  const [decode_png, decode_jpeg, encode_avif, encode_webp, encode_png, encode_jpeg] = await Promise.all([
+    load(`png/decode.js`, `png/codec/pkg/squoosh_png_bg.wasm`),
+    load(`jpeg/decode.js`, `jpeg/codec/dec/mozjpeg_dec.wasm`),
+    load(`avif/encode.js`, `avif/codec/enc/avif_enc.wasm`),
+    load(`webp/encode.js`, `webp/codec/enc/webp_enc_simd.wasm`),
+    load(`png/encode.js`, `png/codec/pkg/squoosh_png_bg.wasm`),
+    load(`jpeg/encode.js`, `jpeg/codec/enc/mozjpeg_enc.wasm`),
+  ])
+  const { default: resize, initResize } = await import(`@jsquash/resize`)
+  await initResize(await WebAssembly.compile(await readFile(require.resolve(`@jsquash/resize/lib/resize/pkg/squoosh_resize_bg.wasm`))))
+  return {
+    decode: { png: decode_png, jpeg: decode_jpeg },
+    resize,
+    encode: { avif: encode_avif, webp: encode_webp, png: encode_png, jpeg: encode_jpeg },
+  }
+}
+
+/**
+ * 1 つの画像を width に縮めて type で書き出す
+ * gif はアニメーションを保つために npm の gifsicle で縮める
+ * @param {string} image
+ * @param {number} width
+ * @param {"avif"|"webp"|"png"|"jpeg"|"gif"} type
+ * @param {string} target
+ * @param {Awaited<ReturnType<typeof image_codecs>>} codecs
+ */
+async function encode_image(image, width, type, target, codecs) {
+  if (image.endsWith(`.gif`)) {
+    const { default: gifsicle } = await import(`gifsicle`)
+    await promisify(execFile)(gifsicle, [...IMAGE_ENCODERS.gif, `--resize-width`, `${width}`, image, `-o`, target])
+    return
+  }
+  const ext = /** @type {"png"|"jpeg"} */ (extname(image).slice(1))
+  const data = await codecs.decode[ext](await readFile(image))
+  const height = Math.round(data.height * width / data.width)
+  const small = await codecs.resize(data, { width, height })
+  const encoded = await codecs.encode[/** @type {"avif"|"webp"|"png"|"jpeg"} */ (type)](small, IMAGE_ENCODERS[type])
+  await writeFile(target, new Uint8Array(encoded))
+}
+
+/**
+ * entry や episode の画像から srcset 用に幅の小さい avif, webp と元の形式のものを作る
+ * 元の画像と encoder の設定が前回と同じものは encode しない
+ * gif の avif と webp は wasm の encoder ではアニメーションにできないので作らず、縮めた gif だけにする
+ * @param {Array.<string>} files
+ * @param {Manifest} manifest
+ */
+async function derive_images(files, manifest) {
+  // codec は encode するものがあるときだけ読む
+  /** @type {Awaited<ReturnType<typeof image_codecs>>} */
+  let codecs = null
+  /** @type {Set.<string>} */
+  const images = new Set()
+  for (const file of files) {
+    const { markdown } = parse_front_matter(await readFile(file, { encoding: `utf-8` }), file, { repeatable: [`guest`] })
+    collect_links(decode(markdown, { recover: true }).ast)
+      .filter(({ name, url }) => name === `img` && /^https?:/.test(url) === false && /\.(png|jpeg|gif)$/.test(url))
+      .forEach(({ url }) => images.add(normalize(`${dirname(file)}/${url}`)))
+  }
+
+  for (const image of Array.from(images).sort()) {
+    if (existsSync(image) === false) continue
+    const size = read_image_size(image)
+    if (size === null) continue
+    const ext = /** @type {"png"|"jpeg"|"gif"} */ (extname(image).slice(1))
+    const types = /** @type {Array.<"avif"|"webp"|"png"|"jpeg"|"gif">} */ (ext === `gif` ? [`gif`] : [`avif`, `webp`, ext])
+    const hash = file_hash(image)
+    for (const width of IMAGE_WIDTHS.filter((w) => w < size.width)) {
+      for (const type of types) {
+        const target = resized(image.replace(/\.[^./]+$/, `.${type}`), width)
+        const key = digest(JSON.stringify(IMAGE_ENCODERS[type]))
+        const cached = manifest.images[target]
+        if (cached?.hash === hash && cached.key === key && existsSync(target)) continue
+        console.log(target)
+        codecs ??= await image_codecs()
+        await encode_image(image, width, type, target, codecs)
+        manifest.images[target] = { hash, key }
+      }
+    }
+  }
 }
 
 /**
  * .png/.jpeg/.gif -> picture
  * .svg -> img
  * .mp4 -> video
+ * width, height はファイルの header から読み、 src#<width>x<height> があればそちらを優先する
  * @param {Node} node
  * @param {string} base
+ * @param {Set.<string>} deps
+ * @param {string} sizes 幅の違う画像があるときの sizes
  * @returns 
  */
-function customize_image(node, base) {
+function customize_image(node, base, deps, sizes) {
   const attr = node.attr
-  /**
-   * TODO: parse 方法を見直す
-   */
-  const path = /(?<src>.*?)#(?<width>\d*?)x(?<height>\d*?)$/.exec(attr.get(`src`))
-  if (path === null) throw new Error(`missing <width>x<height> in "${attr.get(`src`)}"`)
-  const { src, width, height } = path.groups
+  const busting = (/** @type {string} */ file) => {
+    deps.add(file)
+    return cache_busting(file)
+  }
+  // #<width>x<height> があればそれを使い、無ければファイルから読む
+  const { src, width, height } = /^(?<src>.*?)(?:#(?<width>\d+)x(?<height>\d+))?$/.exec(attr.get(`src`)).groups
+  const remote = src.startsWith(`https:`)
+  const size = remote ? null : read_image_size(`${base}/${src}`)
+  if (width === undefined && size === null) {
+    throw new Error(`can not detect size of "${src}", add #<width>x<height>`)
+  }
+  // 指定した大きさで縮めても、比率が違うと layout shift や歪みになる
+  const ratio = size && size.width / size.height
+  if (width !== undefined && ratio && Math.abs(parseInt(width) / parseInt(height) - ratio) > ratio * 0.01) {
+    console.warn(`${normalize(`${base}/${src}`)}: warning #${width}x${height} does not match the aspect ratio of ${size.width}x${size.height}`)
+  }
 
-  const query = (() => {
-    if (src.startsWith("https:")) return ``
-    return cache_busting(`${base}/${src}`)
-  })()
+  const query = remote ? `` : busting(`${base}/${src}`)
   attr.set(`src`, `${src}${query}`)
-  attr.set(`width`, width)
-  attr.set(`height`, height)
+  attr.set(`width`, width ?? `${size.width}`)
+  attr.set(`height`, height ?? `${size.height}`)
 
   // .svg はそのまま <img>
   if (src.endsWith(`.svg`)) {
@@ -491,7 +903,7 @@ function customize_image(node, base) {
     })
 
     const webm_src = src.replace(/.mp4/, `.webm`)
-    const webm_query = cache_busting(`${base}/${webm_src}`)
+    const webm_query = busting(`${base}/${webm_src}`)
     const webm = new Node({
       name: `source`,
       type: `inline`,
@@ -505,22 +917,40 @@ function customize_image(node, base) {
   }
 
   if (src.endsWith(`.png`) || src.endsWith(`.jpeg`) || src.endsWith(`.gif`)) {
+    /**
+     * derive_images() で作った幅の小さいものがあれば、元の大きさのものと w 記述子で並べる
+     * @param {string} file
+     * @returns {string}
+     */
+    const srcset = (file) => {
+      const query = busting(`${base}/${file}`)
+      const widths = remote ? [] : IMAGE_WIDTHS.filter((w) => existsSync(`${base}/${resized(file, w)}`))
+      if (widths.length === 0) return `${file}${query}`
+      const full = read_image_size(`${base}/${file}`) ?? size
+      const candidates = widths.map((w) => `${resized(file, w)}${busting(`${base}/${resized(file, w)}`)} ${w}w`)
+      return [...candidates, `${file}${query} ${full.width}w`].join(`, `)
+    }
+
     const picture = new Node({ name: `picture`, type: `block` })
     // support webp/avif in picture
     Array.of("avif", "webp").forEach((type) => {
       const file = src.replace(/\.png$|\.jpeg$|\.gif$/, `.${type}`)
-      const query = cache_busting(`${base}/${file}`)
-      const srcset = `${file}${query}`
       const source = new Node({
         name: `source`,
         type: `block`,
         attr: map({
           type: `image/${type}`,
-          srcset
+          srcset: srcset(file),
         })
       })
+      if (source.attr.get(`srcset`).endsWith(`w`)) source.attr.set(`sizes`, sizes)
       picture.appendChild(source)
     })
+    const fallback = srcset(src)
+    if (fallback.endsWith(`w`)) {
+      attr.set(`srcset`, fallback)
+      attr.set(`sizes`, sizes)
+    }
     const img = new Node({ name: `img`, type: `block`, attr })
     picture.appendChild(img)
     return picture
@@ -533,7 +963,8 @@ function customize_image(node, base) {
 /**
  * @typedef {Object} Blog
  * @property {string} target
- * @property {string} canonical
+ * @property {string} url
+ * @property {string} canonical front matter で別の URL にできる
  * @property {string} relative
  * @property {string} host
  * @property {string} title
@@ -541,30 +972,105 @@ function customize_image(node, base) {
  * @property {string} toc_html
  * @property {string} article
  * @property {string} icon
+ * @property {string} [image] og:image
  * @property {string} description
  * @property {string} created_at
  * @property {string} updated_at
+ * @property {boolean} noindex
+ * @property {Series} [series]
+ * @property {"published"|"draft"|"scheduled"} status
+ * @property {string} publish_at
+ * @property {boolean} published build した時点で公開されているか
+ */
+
+/**
+ * 同じ series の entry、 created_at の順
+ * @typedef {Object} Series
+ * @property {string} name
+ * @property {Array.<{title: string, relative: string}>} entries
+ */
+
+/**
+ * blog の front matter は全て optional
+ * 無ければ今まで通り # [tag] title と Intro から取る
+ *
+ * ---
+ * description: Intro の代わりに使う
+ * updated: 2023-01-01
+ * og_image: ./ogp.png
+ * canonical: https://example.com/original.html
+ * noindex: true
+ * series: HTTP/3
+ * tags: [http, quic]
+ * status: scheduled
+ * publish_at: 2023-05-01T12:00
+ * image_sizes: (max-width: 640px) 100vw, 640px
+ * ---
+ *
+ * @typedef {Object} EntryFrontMatter
+ * @property {string} [description]
+ * @property {string} [updated] mtime の代わりに使う updated_at
+ * @property {string} [og_image] entry からの相対 path か URL
+ * @property {string} [canonical]
+ * @property {boolean} [noindex] sitemap にも載せない
+ * @property {string} [series] 同じ series の entry を並べる
+ * @property {Array.<string>} [tags] heading の tag に足す
+ * @property {string} [status] draft か scheduled
+ * @property {string} [publish_at] scheduled では必須
+ * @property {string} [image_sizes] 画像の sizes、無ければ IMAGE_SIZES
  */
 
+/** @type {Object.<string, "string"|"boolean"|"date"|"datetime"|"strings">} */
+const ENTRY_FRONT_MATTER = {
+  description: `string`,
+  updated: `date`,
+  og_image: `string`,
+  canonical: `string`,
+  noindex: `boolean`,
+  series: `string`,
+  tags: `strings`,
+  status: `string`,
+  publish_at: `datetime`,
+  image_sizes: `string`,
+}
+
+/** @type {Object.<string, "string"|"boolean"|"date"|"datetime"|"strings">} */
+const EPISODE_FRONT_MATTER = {
+  type: `string`,
+  tags: `strings`,
+  audio: `string`,
+  published_at: `date`,
+  guest: `strings`,
+  status: `string`,
+  publish_at: `datetime`,
+}
 
 /**
  * parse entry file into context
  * @param {string} entry
+ * @param {Set.<string>} deps
+ * @param {Series} [series]
+ * @param {Date} [now] 公開されているかの基準
  * @returns {Promise.<Blog>}
  */
-async function parse_entry(entry) {
+async function parse_entry(entry, deps, series, now = new Date()) {
   console.log(entry)
   const md = await readFile(entry, { encoding: `utf-8` })
   const target = entry.replace(`.md`, `.html`)
-  const canonical = target.replace(`../`, `https://`)
+  const url = target.replace(`../`, `https://`)
   const { mtime } = await stat(entry)
 
   const [up, host, entries, created_at, filename] = target.split(`/`)
   const base = `${up}/${host}/${entries}/${created_at}/`
   const relative = `${entries}/${created_at}/${filename}`
 
-  const ast = decode(md)
-  const { root, description, tags, toc, title } = customize(ast, { host, base })
+  const { data, markdown, line_offset } = parse_front_matter(md, entry)
+  validate_front_matter(data, ENTRY_FRONT_MATTER, entry)
+  const front = /** @type {EntryFrontMatter} */ (data)
+  const state = publish_state(front, entry)
+
+  const ast = decode_file(markdown, entry, line_offset)
+  const { root, description, tags, toc, title } = customize(ast, { host, base, deps, sizes: front.image_sizes })
   // h1 は除く
   const ol = toc.children.at(-1)
   const toc_html = encode(ol, { indent: 14 })
@@ -572,42 +1078,102 @@ async function parse_entry(entry) {
 
   return {
     target,
-    canonical,
+    url,
+    canonical: front.canonical ?? url,
     relative,
     host: `blog.jxck.io`,
     title,
-    tags,
+    tags: Array.from(new Set([...tags, ...(front.tags ?? [])])),
     toc_html,
     article,
     icon: `https://blog.jxck.io/assets/img/jxck`,
-    description,
+    image: front.og_image ? og_image(front.og_image, base, url, deps) : undefined,
+    description: front.description ? hsc(front.description) : description,
     created_at,
-    updated_at: updated_at(mtime),
+    updated_at: front.updated ?? updated_at(mtime),
+    noindex: front.noindex ?? false,
+    series,
+    ...state,
+    published: is_published(state, now),
+  }
+}
+
+/**
+ * og:image は entry からの相対 path なら URL にし、ファイルがあるか確認する
+ * @param {string} src
+ * @param {string} base
+ * @param {string} url
+ * @param {Set.<string>} deps
+ * @returns {string}
+ */
+function og_image(src, base, url, deps) {
+  if (/^https?:\/\//.test(src)) return src
+  const file = normalize(`${base}${src}`)
+  if (existsSync(file) === false) throw new Error(`og_image "${src}" not found in ${base}`)
+  deps.add(file)
+  return new URL(src, url).href
+}
+
+/**
+ * series を持つ entry を集め、 entry のファイルから引けるようにする
+ * 一部だけ build する場合でも series は全体から作る
+ * @returns {Promise.<Map.<string, Series>>}
+ */
+async function collect_series() {
+  const files = (await promisify(glob)(`../blog.jxck.io/entries/**/*.md`)).sort()
+  /** @type {Map.<string, Series>} */
+  const series = new Map()
+  /** @type {Map.<string, Series>} */
+  const file_series = new Map()
+  for (const file of files) {
+    const md = await readFile(file, { encoding: `utf-8` })
+    if (md.startsWith(`---\n`) === false) continue
+    const { data, markdown } = parse_front_matter(md, file)
+    if (typeof data.series !== `string`) continue
+    if (series.has(data.series) === false) series.set(data.series, { name: data.series, entries: [] })
+    // h1 だけ decode して heading の tag を外した title を作る
+    const h1 = markdown.match(/^# .*$/m)?.[0] ?? ``
+    const { meta } = pipeline(decode(h1), [plugins.heading_title()])
+    const [up, host, entries, created_at, filename] = file.replace(`.md`, `.html`).split(`/`)
+    series.get(data.series).entries.push({ title: meta.get(`title`), relative: `${entries}/${created_at}/${filename}` })
+    file_series.set(file, series.get(data.series))
   }
+  return file_series
 }
 
 /**
  * parse episodes file into context
  * @param {Podcast} entry
- * @param {number} order
+ * @param {number|null} order 公開済みの中での位置、未公開なら null
+ * @param {Set.<string>} deps
+ * @param {Manifest} [manifest]
+ * @param {Date} [now] 公開されているかの基準
  * @returns {Promise.<any>}
  */
-async function parse_episode(entry, order) {
+async function parse_episode(entry, order, deps, manifest, now = new Date()) {
   console.log(entry.path)
   const md = await readFile(entry.path, { encoding: `utf-8` })
   const target = entry.path.replace(`.md`, `.html`)
   const canonical = target.replace(`../`, `https://`)
 
-  const groups = md.match(/^---\n(?<frontmatter>([\n\r]|.)*?)\n---\n(?<markdown>([\n\r]|.)*)$/m).groups
-  const { frontmatter, markdown } = groups
-  const yaml = parse_yaml(frontmatter)
-  const { tags, published_at, audio, guests } = yaml
+  const { data, markdown, line_offset } = parse_front_matter(md, entry.path, { repeatable: [`guest`] })
+  validate_front_matter(data, EPISODE_FRONT_MATTER, entry.path)
+  const front = /** @type {Info} */ (data)
+  const { tags, published_at, audio, guest = [] } = front
+  const state = publish_state(front, entry.path)
+  // guests は必須で無い場合は空
+  const guests = guest.map((value) => {
+    const matched = value.match(/^\[(?<name>.*?)\]\((?<url>.*)\)/)
+    if (matched === null) return { name: value, url: null }
+    const { name, url } = matched.groups
+    return { name, url }
+  })
 
   const [up, host, episodes, ep, filename] = entry.path.split(`/`)
   const base = `${up}/${host}/${episodes}/${ep}/`
-  const ast = decode(markdown)
+  const ast = decode_file(markdown, entry.path, line_offset)
 
-  const { root, description, toc, title } = customize(ast, { host, base })
+  const { root, description, toc, title } = customize(ast, { host, base, deps })
   const ol = toc.children.at(-1) // toc から h1 を除く
 
   // yaml の情報を info section にして ast に差し込む
@@ -622,10 +1188,11 @@ async function parse_episode(entry, order) {
   const theme = encode(theme_section, { indent: 4 }).trim()
 
   const audio_file = audio.replace(`https://`, `../`)
+  deps.add(audio_file)
   const audio_stat = await stat(audio_file)
   const audio_size = audio_stat.size
   const audio_mtime = Math.floor(audio_stat.mtime.getTime() / 1000)
-  const duration = await audio_duration(audio_file)
+  const { duration, seconds, bitrate, sample_rate, channel_mode, channels, vbr } = await cached_audio_info(audio_file, manifest)
 
   return {
     target,
@@ -648,41 +1215,231 @@ async function parse_episode(entry, order) {
     audio_size,
     audio_mtime,
     duration,
+    seconds,
+    bitrate,
+    sample_rate,
+    channel_mode,
+    channels,
+    vbr,
     order,
+    ...state,
+    published: is_published(state, now),
   }
 }
 
 /**
- * @typedef {Object} BuildOption
- * @property {boolean} preview
+ * 関連する entry や episode、 blog と podcast をまたいでリンクする
+ * @typedef {Object} Related
+ * @property {string} url
+ * @property {string} title
+ * @property {string} host
+ * @property {number} score
+ * @property {number} tag
+ * @property {number} text
  */
 
 /**
- * build podcast episodes
- * @param {Array.<string>} files
- * @param {BuildOption} params
+ * 関連の score を調整するときに見るために書き出す
  */
-async function blog(files, params = { preview: false }) {
-  const entries = await Promise.all(files.map((file) => parse_entry(file)).reverse())
+const RELATED = `./.cache/related.json`
 
-  // build entries
-  const entry_template_file = `./template/blog.html.ejs`
-  const entry_template = await readFile(entry_template_file, { encoding: `utf-8` })
-  for (const entry of entries) {
-    const context = {
+/**
+ * markdown package の source 全体の hash
+ * tokenizer や plugin が変わると decode() の結果も変わるので、その結果の cache の key に入れる
+ * @returns {string}
+ */
+function markdown_version() {
+  return digest(glob.sync(`./markdown/*.js`).sort().map((file) => readFileSync(file, { encoding: `utf-8` })).join(``))
+}
+
+/**
+ * 公開済みの entry と episode の tag と本文から、関連するものを計算する
+ * 全てのソースを decode するので、どれも変わっていなければ前回の結果を使う
+ * @param {Date} now
+ * @returns {Promise.<Map.<string, Array.<Related>>>} canonical から
+ */
+async function collect_related(now) {
+  const files = (await Promise.all([
+    promisify(glob)(`../blog.jxck.io/entries/**/*.md`),
+    promisify(glob)(`../mozaic.fm/episodes/**/*.md`),
+  ])).flat().sort()
+
+  const sources = []
+  for (const file of files) {
+    const md = await readFile(file, { encoding: `utf-8` })
+    const { data, markdown } = parse_front_matter(md, file, { repeatable: [`guest`] })
+    if (is_published(file_publish_state(file, data), now) === false) continue
+    sources.push({ file, data, markdown })
+  }
+
+  // 計算方法や decode() が変わっても作り直す
+  const key = digest(JSON.stringify([
+    markdown_version(),
+    sources.map(({ file }) => [file, file_hash(file)]),
+  ]))
+  if (existsSync(RELATED)) {
+    const cache = JSON.parse(await readFile(RELATED, { encoding: `utf-8` }))
+    if (cache.key === key) return new Map(Object.entries(cache.related))
+  }
+
+  const docs = sources.map(({ file, data, markdown }) => {
+    const { ast } = decode(markdown, { recover: true })
+    // # [tag] title の tag を外した title と tag を使う
+    const { meta } = pipeline(ast, [plugins.heading_title()])
+    const url = file.replace(`.md`, `.html`).replace(`../`, `https://`)
+    /** @type {Array.<string>} */
+    const tags = [...(meta.get(`tags`) ?? []), ...(data.tags ?? [])]
+    return { id: url, title: meta.get(`title`), tags, text: text_content(ast) }
+  })
+  const titles = new Map(docs.map(({ id, title }) => [id, title]))
+  const scores = related(docs)
+
+  /** @type {Object.<string, Array.<Related>>} */
+  const result = Object.fromEntries(docs.map(({ id }) => {
+    return [id, scores.get(id).map(({ id, score, tag, text }) => {
+      return { url: id, title: titles.get(id), host: new URL(id).host, score, tag, text }
+    })]
+  }))
+  await mkdir(dirname(RELATED), { recursive: true })
+  await writeFile(RELATED, JSON.stringify({ key, related: result }, null, `  `))
+  return new Map(Object.entries(result))
+}
+
+/**
+ * 検索のために md を section ごとの本文にする
+ * @param {string} file
+ * @returns {Promise.<{doc: import("markdown/query.js").SearchDocument, state: PublishState}>}
+ */
+async function search_document(file) {
+  const md = await readFile(file, { encoding: `utf-8` })
+  const { data, markdown } = parse_front_matter(md, file, { repeatable: [`guest`] })
+  const { ast } = decode(markdown, { recover: true })
+  // ページと同じ id にして #id でも飛べるようにする
+  const { root, meta } = pipeline(ast, [plugins.heading_title(), plugins.heading_id()])
+  const sections = search_sections(root)
+  const url = file.replace(`.md`, `.html`).replace(`../`, `https://`)
+  const host = new URL(url).host
+  const date = host === `mozaic.fm` ? data.published_at : file.split(`/`)[3]
+  /** @type {Array.<string>} */
+  const tags = [...(meta.get(`tags`) ?? []), ...(data.tags ?? [])]
+  /** @type {Array.<string>} */
+  const guests = (data.guest ?? []).map((/** @type {string} */ guest) => guest.match(/^\[(?<name>.*?)\]\(/)?.groups.name ?? guest)
+  const doc = { url, host, title: sections[0].heading, date, tags, guests, sections }
+  return { doc, state: file_publish_state(file, data) }
+}
+
+/**
+ * 公開済みの entry や episode から、 search/ で使う index と section の本文を書き出す
+ * 本文は全部だと大きいので text/0.json のように doc ごとに分け、 browser は候補の doc の分だけ読む
+ * 検索は browser で行うので、 markdown/search.js も一緒にコピーする
+ * @param {Manifest} manifest
+ * @param {string} host
+ * @param {Array.<string>} files
+ * @returns {Promise.<string>} 変わったら search/ のページも作り直すための revision
+ */
+async function build_search(manifest, host, files) {
+  const dir = `../${host}/search`
+  const targets = [`${dir}/index.json`, `${dir}/search.js`, `${dir}/text`]
+  const key = digest(JSON.stringify(files))
+  const deps = new Set([`./markdown/search.js`, ...files])
+  // revision は書き出した中身から作るので、 skip したときは前回の値を使う
+  const outputs = targets.map((target) => fresh(manifest, target, key))
+  if (outputs.every((output) => output?.context)) return outputs[0].context
+
+  const sources = []
+  for (const file of files) {
+    const { doc } = await search_document(file)
+    sources.push({ ...doc, url: new URL(doc.url).pathname })
+  }
+
+  const { index, text } = build_search_index(sources)
+  const json = JSON.stringify(index)
+  const texts = split_text(index, text).map((doc) => JSON.stringify(doc))
+  const revision = digest(json + texts.join(``) + readFileSync(`./markdown/search.js`, { encoding: `utf-8` }))
+  // doc が減ったときに古いものが残らないように作り直す
+  await rm(targets[2], { recursive: true, force: true })
+  await mkdir(targets[2], { recursive: true })
+  await writeFile(targets[0], json)
+  await Promise.all(texts.map((doc, i) => writeFile(`${targets[2]}/${i}.json`, doc)))
+  await copyFile(`./markdown/search.js`, targets[1])
+  targets.forEach((target) => record(manifest, target, { key, deps, context: revision }))
+  return revision
+}
+
+/**
+ * @typedef {Object} BuildOption
+ * @property {boolean} preview
+ * @property {Manifest} [manifest] 無ければ全て build する
+ * @property {Date} [now] draft や公開前のものを除く基準、無ければ現在時刻
+ * @property {Map.<string, Array.<Related>>} [related] 無ければ collect_related() する
+ * @property {Map.<string, Series>} [series] 無ければ collect_series() する
+ * @property {Array.<Podcast>} [episodes] 全ての episode の episode_paths()、無ければ files から作る
+ */
+
+/**
+ * entry の page の key
+ * 同じ series の entry や関連する entry が変わっても build し直す
+ * @param {Series} series
+ * @param {Array.<Related>} related_entries
+ * @returns {string}
+ */
+function entry_key(series, related_entries) {
+  return digest(JSON.stringify([series ?? null, related_entries]))
+}
+
+/**
+ * build podcast episodes
+ * @param {Array.<string>} files
+ * @param {BuildOption} params
+ */
+async function blog(files, params = { preview: false }) {
+  const { manifest, now = new Date() } = params
+
+  // build entries
+  const entry_template_file = `./template/blog.html.ejs`
+  const entry_template = await readFile(entry_template_file, { encoding: `utf-8` })
+  const templates = template_deps(entry_template_file)
+  const file_series = params.series ?? await collect_series()
+  const related = params.related ?? await collect_related(now)
+  /** @type {Array.<Omit<Blog, "article" | "toc_html">>} */
+  const built = await Promise.all(files.map(async (file) => {
+    const target = file.replace(`.md`, `.html`)
+    const series = file_series.get(file)
+    const related_entries = related.get(target.replace(`../`, `https://`)) ?? []
+    const key = entry_key(series, related_entries)
+    // 変わってなければ、前回の context だけを index などに使う
+    // 公開時刻を過ぎて noindex を外す場合は build し直す
+    const output = fresh(manifest, target, key)
+    if (output && is_published(output.context, now) === output.context.published) return output.context
+
+    const deps = new Set([file, ...templates])
+    const entry = await parse_entry(file, deps, series, now)
+    const context = {
       indent,
       short,
       hsc,
-      version,
+      version: (/** @type {string} */ src) => version(src, deps),
+      tag_url,
       entry,
+      related: related_entries,
       filename: entry_template_file,
     }
     const result = render(entry_template, context)
     await writeFile(context.entry.target, result)
-  }
+
+    const { article, toc_html, ...summary } = entry
+    record(manifest, target, { key, deps, context: summary })
+    return summary
+  }).reverse())
 
   if (params.preview) return
 
+  // draft と公開前の entry は index や feed などに載せない
+  const entries = built.filter((entry) => is_published(entry, now))
+
+  // index などは全 entry の context が変わったときだけ build する
+  const key = digest(JSON.stringify(entries))
+
   // build index
   const entries_per_year = entries.reduce((acc, entry) => {
     const year = entry.created_at.split(`-`)[0]
@@ -694,23 +1451,30 @@ async function blog(files, params = { preview: false }) {
     return acc
   }, new Map())
 
-  const index_result = await renderFile(`./template/blog.index.html.ejs`, {
+  await render_if_changed(manifest, `../blog.jxck.io/index.html`, `./template/blog.index.html.ejs`, {
     indent,
     short,
     hsc,
-    version,
     entries_per_year,
     first: entries[0],
-  })
-  await writeFile(`../blog.jxck.io/index.html`, index_result)
+  }, key)
 
   // build rss
-  const rss_result = await renderFile(`./template/blog.atom.xml.ejs`, { entries })
-  await writeFile(`../blog.jxck.io/feeds/atom.xml`, rss_result)
+  await render_if_changed(manifest, `../blog.jxck.io/feeds/atom.xml`, `./template/blog.atom.xml.ejs`, {
+    entries,
+    feed: {
+      title: `blog.jxck.io`,
+      alternate: `https://blog.jxck.io/`,
+      self: `https://blog.jxck.io/feeds/atom.xml`,
+      id: `tag:blog.jxck.io,2016:feed`,
+      updated: `2016-01-28T18:30:02Z`,
+    },
+  }, key)
 
   // build sitemap
-  const sitemap_result = await renderFile(`./template/blog.sitemap.xml.ejs`, { entries })
-  await writeFile(`../blog.jxck.io/feeds/sitemap.xml`, sitemap_result)
+  // noindex や別の canonical がある entry は載せない
+  const indexable = entries.filter((entry) => entry.noindex === false && entry.canonical === entry.url)
+  await render_if_changed(manifest, `../blog.jxck.io/feeds/sitemap.xml`, `./template/blog.sitemap.xml.ejs`, { entries: indexable }, key)
 
   // build tags
   const tag_map = entries.reduce((acc, entry) => {
@@ -730,16 +1494,76 @@ async function blog(files, params = { preview: false }) {
     return [k, v.sort()]
   })
 
-  const tags_result = await renderFile(`./template/blog.tags.html.ejs`, {
+  // HTTP と http のように slug が同じ tag は、 entry の多い方の名前で 1 つの page にまとめる
+  /** @type {Map.<string, {name: string, entries: typeof entries}>} */
+  const slugs = tags.reduce((acc, [name, tagged]) => {
+    const slug = to_slug(name)
+    const found = acc.get(slug)
+    if (found === undefined) return acc.set(slug, { name, entries: tagged })
+    const merged = entries.filter((entry) => found.entries.includes(entry) || tagged.includes(entry))
+    return acc.set(slug, { name: tagged.length > found.entries.length ? name : found.name, entries: merged })
+  }, new Map())
+
+  // tag cloud は件数の log で 1-5 の大きさにする
+  const max = Math.max(...Array.from(slugs.values()).map(({ entries }) => entries.length))
+  const cloud = Array.from(slugs.values()).map(({ name, entries }) => {
+    const size = Math.max(1, Math.ceil(Math.log(entries.length + 1) / Math.log(max + 1) * 5))
+    return { name, count: entries.length, size }
+  })
+
+  await render_if_changed(manifest, `../blog.jxck.io/tags/index.html`, `./template/blog.tags.html.ejs`, {
     tags,
     tag: `Tags`,
+    cloud,
+    tag_url,
     icon: `icon`,
     host: `host`,
     first: entries[0],
-    version,
     indent,
-  })
-  await writeFile(`../blog.jxck.io/tags/index.html`, tags_result)
+  }, key)
+
+  // build tag pages
+  await Promise.all(Array.from(slugs.entries()).map(async ([slug, { name, entries: tagged }]) => {
+    const dir = `../blog.jxck.io/tags/${slug}`
+    const url = `https://blog.jxck.io${tag_url(name)}`
+    const key = digest(JSON.stringify([name, tagged]))
+    await render_if_changed(manifest, `${dir}/index.html`, `./template/blog.tags.html.ejs`, {
+      tags: [[name, tagged]],
+      tag: name,
+      cloud: [],
+      tag_url,
+      feed: `${url}atom.xml`,
+      first: tagged[0],
+      indent,
+    }, key)
+    await render_if_changed(manifest, `${dir}/atom.xml`, `./template/blog.atom.xml.ejs`, {
+      entries: tagged,
+      feed: {
+        title: `#${name} | blog.jxck.io`,
+        alternate: url,
+        self: `${url}atom.xml`,
+        id: `tag:blog.jxck.io,2016:tags/${slug}`,
+        updated: `${tagged[0].created_at}T00:00:00Z`,
+      },
+    }, key)
+  }))
+
+  // 前回の build で作った tag のうち、無くなったものの page だけを消す
+  // 手で置いたものなど、 build で作っていない directory には触らない
+  if (manifest) {
+    await Promise.all(manifest.tags.filter((slug) => slugs.has(slug) === false).map((slug) => {
+      return rm(`../blog.jxck.io/tags/${slug}`, { recursive: true, force: true })
+    }))
+    manifest.tags = Array.from(slugs.keys()).sort()
+  }
+
+  // build search
+  const revision = await build_search(manifest, `blog.jxck.io`, entries.map(({ target }) => target.replace(`.html`, `.md`)))
+  await render_if_changed(manifest, `../blog.jxck.io/search/index.html`, `./template/blog.search.html.ejs`, {
+    first: entries[0],
+    indent,
+    revision,
+  }, revision)
 }
 
 
@@ -751,20 +1575,27 @@ async function blog(files, params = { preview: false }) {
  * @property {string} path
  * @property {string} file
  * @property {string} title
+ * @property {boolean} published
+ * @property {number|null} order 公開済みの中での新しい順の位置、未公開なら null
  * @property {Podcast} [next]
  * @property {Podcast} [prev]
  */
 
 /**
- * build podcast episodes
+ * episode を新しい順に並べて前後をつなぐ
+ * 同じ回の sideshow は本編の後にする
+ * 前後と order は公開済みの episode だけで数え、未公開の episode は前後の公開済みのものにつなぐ
  * @param {Array.<string>} files
- * @param {BuildOption} params
+ * @param {Date} now 公開されているかの基準
+ * @returns {Array.<Podcast>}
  */
-async function podcast(files, params = { preview: false }) {
+function episode_paths(files, now) {
   /**@type {Array.<Podcast>} */
   const paths = files.map((path) => {
     const [dot, mozaic, episodes, ep, file] = path.split(`/`)
-    const title = readFileSync(path, { encoding: `utf-8` }).match(/# (?<h1>.*)/).groups.h1
+    const md = readFileSync(path, { encoding: `utf-8` })
+    const title = md.match(/# (?<h1>.*)/).groups.h1
+    const { data } = parse_front_matter(md, path, { repeatable: [`guest`] })
     return {
       ep: parseInt(ep),
       canonical: `https://${mozaic}/${episodes}/${ep}/${file.replace(`.md`, `.html`)}`,
@@ -772,6 +1603,8 @@ async function podcast(files, params = { preview: false }) {
       path,
       file,
       title,
+      published: is_published(file_publish_state(path, data), now),
+      order: null,
       next: null,
       prev: null
     }
@@ -782,55 +1615,149 @@ async function podcast(files, params = { preview: false }) {
       }
       return a.ep - b.ep
     })
-    .map((curr, i, arr) => {
-      curr.next = arr[i + 1]
-      curr.prev = arr[i - 1]
-      return curr
-    })
-    .reverse()
 
-  const episodes = await Promise.all(paths.map((path, i) => parse_episode(path, i)))
+  // 古い方からと新しい方からそれぞれ直近の公開済みの episode をつなぐ
+  paths.reduce((prev, curr) => {
+    curr.prev = prev
+    return curr.published ? curr : prev
+  }, undefined)
+  paths.reduceRight((next, curr) => {
+    curr.next = next
+    return curr.published ? curr : next
+  }, undefined)
+
+  paths.reverse()
+  paths.filter(({ published }) => published).forEach((path, order) => {
+    path.order = order
+  })
+  return paths
+}
+
+/**
+ * episode の page の key
+ * 前後の episode と関連するもののリンクも入るので、それが変わっても build し直す
+ * 前後は公開済みのものだけなので、 episode が公開されるとその前後も build し直す
+ * @param {Podcast} path
+ * @param {Array.<Related>} related_episodes
+ * @returns {string}
+ */
+function episode_key(path, related_episodes) {
+  return digest(JSON.stringify([...[path.prev, path.next].map((p) => [p?.url, p?.title]), related_episodes]))
+}
+
+/**
+ * build podcast episodes
+ * @param {Array.<string>} files
+ * @param {BuildOption} params
+ */
+async function podcast(files, params = { preview: false }) {
+  const { manifest, now = new Date() } = params
+  // 一部だけ build するときも、前後は全ての episode から決める
+  const paths = params.episodes?.filter(({ path }) => files.includes(path)) ?? episode_paths(files, now)
+  const related = params.related ?? await collect_related(now)
 
   // build episodes
   const podcast_template_file = `./template/podcast.html.ejs`
   const podcast_template = await readFile(podcast_template_file, { encoding: `utf-8` })
-  for (const episode of episodes) {
+  const templates = template_deps(podcast_template_file)
+  const built = await Promise.all(paths.map(async (path) => {
+    const target = path.path.replace(`.md`, `.html`)
+    const related_episodes = related.get(path.canonical) ?? []
+    const key = episode_key(path, related_episodes)
+    // order は episode が増えるとずれるので、 skip しても今回の値を使う
+    // 公開時刻を過ぎて noindex を外す場合は build し直す
+    const output = fresh(manifest, target, key)
+    if (output && is_published(output.context, now) === output.context.published) return { ...output.context, order: path.order }
+
+    const deps = new Set([path.path, ...templates])
+    const episode = await parse_episode(path, path.order, deps, manifest, now)
     const context = {
       indent,
       short,
       hsc,
-      version,
+      version: (/** @type {string} */ src) => version(src, deps),
       episode,
+      related: related_episodes,
       filename: podcast_template_file,
     }
     const result = render(podcast_template, context)
     await writeFile(episode.target, result)
-  }
+
+    const { article, toc, prev, next, ...summary } = episode
+    record(manifest, target, { key, deps, context: summary })
+    return summary
+  }))
 
   if (params.preview) return
 
+  // draft と公開前の episode は index や feed などに載せない
+  const episodes = built.filter((episode) => is_published(episode, now))
+
+  // index などは全 episode の context が変わったときだけ build する
+  const key = digest(JSON.stringify(episodes))
+
   // build index
-  const result = await renderFile(`./template/podcast.index.html.ejs`, {
+  await render_if_changed(manifest, `../mozaic.fm/index.html`, `./template/podcast.index.html.ejs`, {
     indent,
     short,
     hsc,
-    version,
     episodes,
     first: episodes[0],
-  })
-  await writeFile(`../mozaic.fm/index.html`, result)
+  }, key)
 
   // build rss
-  const rss_result = await renderFile(`./template/podcast.rss2.xml.ejs`, { episodes })
-  await writeFile(`../feed.mozaic.fm/index.xml`, rss_result)
+  await render_if_changed(manifest, `../feed.mozaic.fm/index.xml`, `./template/podcast.rss2.xml.ejs`, { episodes }, key)
 
   // build rss json
-  const json_result = await renderFile(`./template/podcast.rss2.json.ejs`, { episodes })
-  await writeFile(`../feed.mozaic.fm/index.json`, json_result)
+  await render_if_changed(manifest, `../feed.mozaic.fm/index.json`, `./template/podcast.rss2.json.ejs`, { episodes }, key)
+
+  // build search
+  const revision = await build_search(manifest, `mozaic.fm`, episodes.map(({ target }) => target.replace(`.html`, `.md`)))
+  await render_if_changed(manifest, `../mozaic.fm/search/index.html`, `./template/podcast.search.html.ejs`, {
+    first: episodes[0],
+    indent,
+    revision,
+  }, revision)
+}
+
+/**
+ * status か publish_at を持つ entry と episode の、 at の時点での公開状態を出力する
+ * due は at までに公開されるが前回の build ではまだ公開されていないもので、 build すると公開される
+ * @param {Date} at
+ */
+async function publish_due(at) {
+  if (isNaN(at.getTime())) throw new Error(`invalid time for publish-due`)
+  const files = (await Promise.all([
+    promisify(glob)(`../blog.jxck.io/entries/**/*.md`),
+    promisify(glob)(`../mozaic.fm/episodes/**/*.md`),
+  ])).flat()
+  /** @type {Object.<string, Output>} */
+  const outputs = existsSync(MANIFEST) ? JSON.parse(await readFile(MANIFEST, { encoding: `utf-8` })).outputs : {}
+  const now = new Date()
+
+  /** @type {Array.<{label: string, file: string} & PublishState>} */
+  const items = []
+  for (const file of files) {
+    const md = await readFile(file, { encoding: `utf-8` })
+    const { data } = parse_front_matter(md, file, { repeatable: [`guest`] })
+    if (data.status === undefined && data.publish_at === undefined) continue
+    const state = file_publish_state(file, data)
+    const live = outputs[file.replace(`.md`, `.html`)]?.context?.published ?? is_published(state, now)
+    const label = (() => {
+      if (state.status === `draft`) return `draft`
+      if (is_published(state, at) === false) return `waiting`
+      return live ? `live` : `due`
+    })()
+    items.push({ label, file, ...state })
+  }
 
-  // build id3all
-  const id3_result = await renderFile(`./template/podcast.id3all.ejs`, { episodes })
-  await writeFile(`../id3all.sh`, id3_result)
+  items
+    .sort((a, b) => (a.publish_at ?? `~`).localeCompare(b.publish_at ?? `~`) || a.file.localeCompare(b.file))
+    .forEach(({ label, publish_at, file }) => {
+      console.log(`${label.padEnd(7)} ${(publish_at ?? `-`).padEnd(24)} ${file}`)
+    })
+  const due = items.filter(({ label }) => label === `due`).length
+  console.log(`${due} item(s) become live at ${at.toISOString()}${due > 0 ? `, run build to publish` : ``}`)
 }
 
 async function workbox() {
@@ -842,12 +1769,20 @@ async function workbox() {
   /**@type {Array.<string>} */
   const scripts = eval(matched.groups.list)
 
+  // plugin が足す stylesheet が無ければ、同じ directory のものの後ろに足す
+  const pathnames = scripts.map((script) => new URL(script).pathname.replace(FINGERPRINT, `$<ext>`))
+  Object.values(PLUGIN_STYLESHEETS)
+    .filter((href) => pathnames.includes(new URL(href).pathname) === false)
+    .forEach((href) => {
+      const dirs = scripts.map((script) => dirname(new URL(script).pathname))
+      scripts.splice(dirs.lastIndexOf(dirname(new URL(href).pathname)) + 1, 0, href)
+    })
+
   const array = scripts.map((script) => {
     const url = new URL(script)
-    const pathname = url.pathname
-    const busting = cache_busting(`../www.jxck.io${pathname}`)
-    url.search = busting
-    return `  "${url.toString()}",`
+    // 前回の hash を外して引き直す
+    const pathname = url.pathname.replace(FINGERPRINT, `$<ext>`)
+    return `  "${new URL(asset_url(pathname), url).href}",`
   }).join(`\n`)
 
   const fragment = [
@@ -862,21 +1797,857 @@ async function workbox() {
   await writeFile(`../www.jxck.io/assets/js/workbox.js`, replaced)
 }
 
+/**
+ * before から after への unified diff
+ * 共通の先頭と末尾を除いてから、残りの行の LCS をとる
+ * @param {string} before
+ * @param {string} after
+ * @param {string} file
+ * @param {number} [context]
+ * @returns {string}
+ */
+function unified_diff(before, after, file, context = 3) {
+  // 末尾に改行が無い行は、ある行と別の行として扱う
+  const NO_EOL = `\0`
+  const split = (/** @type {string} */ text) => {
+    if (text.endsWith(`\n`)) return text.slice(0, -1).split(`\n`)
+    return `${text}${NO_EOL}`.split(`\n`)
+  }
+  const a = split(before)
+  const b = split(after)
+  let head = 0
+  while (head < a.length && head < b.length && a[head] === b[head]) head++
+  let tail = 0
+  while (tail < a.length - head && tail < b.length - head && a.at(-1 - tail) === b.at(-1 - tail)) tail++
+  const x = a.slice(head, a.length - tail)
+  const y = b.slice(head, b.length - tail)
+
+  // lcs[i * width + j] は x[i..] と y[j..] の LCS の長さ
+  const width = y.length + 1
+  const lcs = new Uint32Array((x.length + 1) * width)
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = x[i] === y[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1])
+    }
+  }
+
+  /** @type {Array.<{op: string, text: string}>} */
+  const lines = a.slice(0, head).map((text) => ({ op: ` `, text }))
+  let i = 0
+  let j = 0
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && x[i] === y[j]) {
+      lines.push({ op: ` `, text: x[i++] })
+      j++
+    } else if (i < x.length && (j === y.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      lines.push({ op: `-`, text: x[i++] })
+    } else {
+      lines.push({ op: `+`, text: y[j++] })
+    }
+  }
+  a.slice(a.length - tail).forEach((text) => lines.push({ op: ` `, text }))
+
+  // 変更行の間が context * 2 行以内なら 1 つの hunk にまとめる
+  /** @type {Array.<[number, number]>} */
+  const hunks = []
+  lines.forEach(({ op }, k) => {
+    if (op === ` `) return
+    const last = hunks.at(-1)
+    if (last && k - last[1] <= context * 2 + 1) {
+      last[1] = k
+    } else {
+      hunks.push([k, k])
+    }
+  })
+
+  const count = (/** @type {Array.<{op: string}>} */ part, /** @type {string} */ skip) => {
+    return part.filter(({ op }) => op !== skip).length
+  }
+  const output = [`--- a/${file}`, `+++ b/${file}`]
+  hunks.forEach(([first, last]) => {
+    const start = Math.max(0, first - context)
+    const body = lines.slice(start, last + context + 1)
+    const old_count = count(body, `+`)
+    const new_count = count(body, `-`)
+    // 0 行の場合は直前の行番号を書く
+    const old_start = count(lines.slice(0, start), `+`) + (old_count > 0 ? 1 : 0)
+    const new_start = count(lines.slice(0, start), `-`) + (new_count > 0 ? 1 : 0)
+    output.push(`@@ -${old_start},${old_count} +${new_start},${new_count} @@`)
+    body.forEach(({ op, text }) => {
+      if (text.endsWith(NO_EOL) === false) return output.push(`${op}${text}`)
+      output.push(`${op}${text.slice(0, -1)}`, `\\ No newline at end of file`)
+    })
+  })
+  return output.join(`\n`)
+}
+
+/**
+ * entries, episodes, drafts を format する
+ * --check のときは書き込まずに unified diff を出し、変更があれば exit code を 1 にする
+ * @param {boolean} check
+ */
+async function format_sources(check) {
+  const files = (await Promise.all([
+    promisify(glob)(`../blog.jxck.io/entries/**/*.md`),
+    promisify(glob)(`../blog.jxck.io/drafts/*.md`),
+    promisify(glob)(`../mozaic.fm/episodes/**/*.md`),
+  ])).flat().sort()
+
+  const total = { spacer: 0, singler: 0, table: 0, list: 0 }
+  let formatted_files = 0
+  for (const file of files) {
+    const original = await readFile(file, { encoding: `utf-8` })
+
+    // front matter は format せずにそのまま残す
+    const { frontmatter = ``, markdown } = /^(?<frontmatter>---\n[\s\S]*?\n---\n\n*)?(?<markdown>[\s\S]*)$/.exec(original).groups
+    try {
+      // エラーがあれば全て出力して format はしない
+      decode_file(markdown, file, frontmatter.split(`\n`).length - 1)
+    } catch (err) {
+      process.exitCode = 1
+      continue
+    }
+
+    const changes = { spacer: 0, singler: 0, table: 0, list: 0 }
+    const formatted = `${frontmatter}${format(markdown, { changes })}`
+    if (formatted === original) continue
+
+    formatted_files++
+    Object.entries(changes).forEach(([rule, n]) => total[/** @type {keyof total} */ (rule)] += n)
+    const summary = Object.entries(changes).filter(([_, n]) => n > 0).map(([rule, n]) => `${rule} ${n}`)
+    console.log(`${file}: ${summary.join(`, `) || `other`}`)
+    if (check) {
+      console.log(unified_diff(original, formatted, file.replace(/^\.\.\//, ``)))
+    } else {
+      await writeFile(file, formatted)
+    }
+  }
+
+  const rules = Object.entries(total).map(([rule, n]) => `${rule} ${n}`).join(`, `)
+  console.log(`${formatted_files} file(s) ${check ? `need format` : `formatted`} (${rules})`)
+  if (check && formatted_files > 0) process.exitCode = 1
+}
+
+/**
+ * serve で配信する host
+ * http://blog.jxck.io.localhost:3000/ のように .localhost を付けてアクセスする
+ */
+const HOSTS = [`blog.jxck.io`, `mozaic.fm`, `www.jxck.io`]
+
+/**
+ * ファイルではなく h2o.conf の redirect や mruby, proxy が返す path
+ * check-links ではこの下へのリンクは見ない
+ * @type {Object.<string, Array.<string>>}
+ */
+const SERVER_PATHS = {
+  "blog.jxck.io": [`/searches`, `/search/api`],
+  "mozaic.fm": [`/post`, `/rss`, `/searches`, `/search/api`],
+}
+
+/**
+ * リポジトリに入れず別に置いている動画や gif, 音声と font
+ * check-links ではこの拡張子のファイルは無くても問題にしない
+ */
+const UNTRACKED_EXTENSIONS = [`.mp4`, `.webm`, `.gif`, `.mp3`, `.woff`, `.woff2`, `.otf`, `.ttf`]
+
+/**
+ * #development=1 や #t=10 のように key=value の fragment は anchor ではない
+ * heading の id は = を含まないので id とは区別できる
+ */
+const PARAMETER_FRAGMENT = /^[\w-]+=/
+
+/**
+ * @type {Object.<string, string>}
+ */
+const CONTENT_TYPES = {
+  ".html": `text/html; charset=utf-8`,
+  ".css": `text/css; charset=utf-8`,
+  ".js": `text/javascript; charset=utf-8`,
+  ".mjs": `text/javascript; charset=utf-8`,
+  ".json": `application/json; charset=utf-8`,
+  ".xml": `application/xml; charset=utf-8`,
+  ".txt": `text/plain; charset=utf-8`,
+  ".svg": `image/svg+xml`,
+  ".png": `image/png`,
+  ".jpeg": `image/jpeg`,
+  ".jpg": `image/jpeg`,
+  ".gif": `image/gif`,
+  ".webp": `image/webp`,
+  ".avif": `image/avif`,
+  ".ico": `image/x-icon`,
+  ".mp4": `video/mp4`,
+  ".webm": `video/webm`,
+  ".mp3": `audio/mpeg`,
+  ".woff2": `font/woff2`,
+}
+
+/**
+ * 配信する HTML に差し込む live reload 用の script
+ * build に失敗した場合は reload 後に overlay でエラーを出す
+ */
+const LIVE_RELOAD = `
+<script type=module>
+  const source = new EventSource("/__serve")
+  source.addEventListener("reload", () => location.reload())
+  source.addEventListener("failure", ({ data }) => {
+    const overlay = document.querySelector("#__serve") ?? document.createElement("pre")
+    overlay.id = "__serve"
+    overlay.style = "position:fixed;inset:0;z-index:9999;margin:0;padding:2em;overflow:auto;white-space:pre-wrap;background:rgba(0,0,0,.85);color:#ff8080;font:14px/1.5 monospace"
+    overlay.textContent = JSON.parse(data).join("\\n\\n")
+    overlay.addEventListener("click", () => overlay.remove())
+    document.body.append(overlay)
+  })
+</script>
+`
+
+/**
+ * request の URL と decode した pathname
+ * Host header や %XX が壊れていて読めなければ null
+ * @param {import("http").IncomingMessage} req
+ * @returns {{url: URL, pathname: string}}
+ */
+function request_url(req) {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`)
+    return { url, pathname: decodeURIComponent(url.pathname) }
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * 変更を watch して影響するページだけを build しなおし、
+ * hostname ごとにディレクトリを割り当てたローカルサーバで配信する
+ * @param {number} port
+ */
+async function serve(port) {
+  // preview と同様に prev/next などが不完全なので manifest は保存しない
+  const manifest = await load_manifest(false)
+
+  /**
+   * build に失敗した md とそのエラー
+   * @type {Map.<string, string>}
+   */
+  const failures = new Map()
+
+  /**
+   * live reload の接続
+   * @type {Set.<import("http").ServerResponse>}
+   */
+  const clients = new Set()
+
+  /**
+   * @param {Iterable.<import("http").ServerResponse>} targets
+   * @param {string} event
+   * @param {any} data
+   */
+  const send = (targets, event, data) => {
+    Array.from(targets).forEach((res) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+  }
+
+  /**
+   * 全ての md から作る series, 関連, episode の前後
+   * 変更された md の front matter や本文が変わったときだけ null にして作り直す
+   * @type {{series: Map.<string, Series>, related: Map.<string, Array.<Related>>, episodes: Array.<Podcast>}}
+   */
+  const collected = { series: null, related: null, episodes: null }
+  const collect = async () => {
+    collected.series ??= await collect_series()
+    collected.related ??= await collect_related(new Date())
+    collected.episodes ??= episode_paths(await promisify(glob)(`../mozaic.fm/episodes/**/*.md`), new Date())
+    return collected
+  }
+
+  /**
+   * md の front matter と h1 と本文の hash
+   * 書きかけで front matter が読めなければ null にし、 error は build で出す
+   * @param {string} file
+   * @returns {Promise.<{front: string, title: string, text: string}>}
+   */
+  const signature = async (file) => {
+    if (existsSync(file) === false) return null
+    try {
+      const { data, markdown } = parse_front_matter(await readFile(file, { encoding: `utf-8` }), file, { repeatable: [`guest`] })
+      return { front: JSON.stringify(data), title: markdown.match(/^# .*$/m)?.[0] ?? ``, text: digest(markdown) }
+    } catch (err) {
+      return null
+    }
+  }
+
+  /**
+   * collect() の元になる md の signature
+   * @type {Map.<string, {front: string, title: string, text: string}>}
+   */
+  const signatures = new Map()
+  const sources = (await Promise.all([
+    promisify(glob)(`../blog.jxck.io/entries/**/*.md`),
+    promisify(glob)(`../mozaic.fm/episodes/**/*.md`),
+  ])).flat()
+  for (const file of sources) signatures.set(file, await signature(file))
+
+  /**
+   * series は front matter と title、関連は front matter と本文、 episode の前後は front matter と title から作る
+   * @param {Set.<string>} changed
+   */
+  const invalidate = async (changed) => {
+    for (const file of changed) {
+      if (/^\.\.\/(blog\.jxck\.io\/entries|mozaic\.fm\/episodes)\/.*\.md$/.test(file) === false) continue
+      const before = signatures.get(file) ?? null
+      const after = await signature(file)
+      signatures.set(file, after)
+      const front = before?.front !== after?.front
+      const title = before?.title !== after?.title
+      if (front || before?.text !== after?.text) collected.related = null
+      if (front || title) {
+        if (file.startsWith(`../mozaic.fm/`)) collected.episodes = null
+        else collected.series = null
+      }
+    }
+  }
+
+  /**
+   * build するときと同じ key
+   * @param {string} md
+   * @returns {Promise.<string>}
+   */
+  const page_key = async (md) => {
+    const { series, related, episodes } = await collect()
+    if (md.startsWith(`../mozaic.fm/`)) {
+      const path = episodes.find(({ path }) => path === md)
+      return path ? episode_key(path, related.get(path.canonical) ?? []) : ``
+    }
+    return entry_key(series.get(md), related.get(md.replace(`.md`, `.html`).replace(`../`, `https://`)) ?? [])
+  }
+
+  // build は 1 つずつ順番に行う
+  let queue = Promise.resolve()
+
+  /**
+   * @param {Array.<string>} files
+   * @returns {Promise.<void>}
+   */
+  const rebuild = (files) => {
+    queue = queue.then(async () => {
+      for (const file of files) {
+        try {
+          const { series, related, episodes } = await collect()
+          if (file.startsWith(`../mozaic.fm/`)) {
+            await podcast([file], { preview: true, manifest, related, episodes })
+          } else {
+            await blog([file], { preview: true, manifest, series, related })
+          }
+          failures.delete(file)
+        } catch (err) {
+          console.error(err)
+          failures.set(file, [err.message, err.cause].filter(Boolean).join(`\n`))
+        }
+      }
+    })
+    return queue
+  }
+
+  /**
+   * md の変更はそのページ、それ以外はそのファイルを読んでいるページを build しなおす
+   * @param {Set.<string>} changed
+   */
+  const update = async (changed) => {
+    hashes.clear()
+    asset_urls.clear()
+    const sources = Object.entries(manifest.outputs).filter(([target, { deps }]) => {
+      return target.endsWith(`.html`) && Object.keys(deps).some((path) => changed.has(path))
+    }).map(([target]) => target.replace(/\.html$/, `.md`))
+    const mds = Array.from(changed).filter((path) => path.endsWith(`.md`) && existsSync(path))
+    const files = Array.from(new Set([...mds, ...sources]))
+    console.log(`changed: ${Array.from(changed).join(`, `)}`)
+    await invalidate(changed)
+    await rebuild(files)
+    send(clients, `reload`, null)
+  }
+
+  // 保存時に何度もイベントが来るので、まとめてから build する
+  /** @type {Set.<string>} */
+  const changed = new Set()
+  /** @type {NodeJS.Timeout} */
+  let timer = null
+  const dirs = [
+    `../blog.jxck.io/entries`,
+    `../blog.jxck.io/drafts`,
+    `../mozaic.fm/episodes`,
+    `./template`,
+    `../www.jxck.io/assets/css`,
+  ]
+  dirs.forEach((dir) => {
+    watch(dir, { recursive: true }, (_, filename) => {
+      // build が書き出す .html では build しない
+      if (filename === null || filename.endsWith(`.html`)) return
+      changed.add(normalize(`${dir}/${filename}`))
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        const files = new Set(changed)
+        changed.clear()
+        update(files)
+      }, 100)
+    })
+  })
+
+  const server = createServer(async (req, res) => {
+    const parsed = request_url(req)
+    if (parsed === null) {
+      res.writeHead(400).end()
+      return
+    }
+    const { url, pathname } = parsed
+
+    if (pathname === `/__serve`) {
+      res.writeHead(200, { "content-type": `text/event-stream`, "cache-control": `no-cache` })
+      clients.add(res)
+      req.on(`close`, () => clients.delete(res))
+      // reload した後に、失敗していれば overlay を出す
+      if (failures.size > 0) send([res], `failure`, Array.from(failures.values()))
+      return
+    }
+
+    const host = HOSTS.find((host) => url.hostname === `${host}.localhost`) ?? `www.jxck.io`
+    const root = resolve(`../${host}`)
+    const path = resolve(root, `.${pathname}`)
+    if (path !== root && path.startsWith(`${root}/`) === false) {
+      res.writeHead(403).end()
+      return
+    }
+    const file = existsSync(path) && statSync(path).isDirectory() ? `${path}/index.html` : path
+
+    // 初めて開かれたページは、変わっていれば build してから返す
+    // 一度開いたページは watch で build しなおされる
+    const target = normalize(relative(process.cwd(), file))
+    const md = target.replace(/\.html$/, `.md`)
+    const opened = target in manifest.outputs
+    if (target.endsWith(`.html`) && existsSync(md) && opened === false) {
+      // key を作れないときは build して error を出す
+      const key = await page_key(md).catch(() => ``)
+      if (fresh(manifest, target, key) === null) await rebuild([md])
+    }
+
+    if (existsSync(file) === false) {
+      const body = failures.has(md) ? `<!doctype html><title>build failed</title>${LIVE_RELOAD}` : `not found`
+      res.writeHead(failures.has(md) ? 500 : 404, { "content-type": CONTENT_TYPES[`.html`] }).end(body)
+      return
+    }
+
+    const type = CONTENT_TYPES[extname(file)] ?? `application/octet-stream`
+    if (type.startsWith(`text/html`) || type.startsWith(`text/css`)) {
+      // 本番の URL をローカルに向ける
+      const text = (await readFile(file, { encoding: `utf-8` })).replace(
+        /https:\/\/(blog\.jxck\.io|mozaic\.fm|www\.jxck\.io)/g,
+        (_, host) => `http://${host}.localhost:${port}`
+      )
+      const body = type.startsWith(`text/html`) ? text.replace(/(<\/body>|$)/, `${LIVE_RELOAD}$1`) : text
+      res.writeHead(200, { "content-type": type, "cache-control": `no-cache` }).end(body)
+      return
+    }
+    res.writeHead(200, { "content-type": type, "cache-control": `no-cache` })
+    createReadStream(file).pipe(res)
+  })
+
+  server.listen(port, () => {
+    HOSTS.forEach((host) => console.log(`http://${host}.localhost:${port}/`))
+  })
+}
+
+/**
+ * 検索 API の結果を返す host、それ以外の host からは両方を検索する
+ */
+const SEARCH_HOSTS = [`blog.jxck.io`, `mozaic.fm`]
+
+/**
+ * 両方のサイトの md を読んで検索する API サーバ
+ * 起動時に全て index し、変更を watch して index しなおす
+ * /search?q= は search/ と同じ template で HTML を、 format=json か Accept が JSON なら JSON を返す
+ * @param {number} port
+ */
+async function search_server(port) {
+  /**
+   * md ごとの document と公開状態、公開前のものは検索するときに除く
+   * @type {Map.<string, {doc: import("markdown/query.js").SearchDocument, state: PublishState}>}
+   */
+  const documents = new Map()
+
+  /**
+   * @param {string} file
+   */
+  const load = async (file) => {
+    if (existsSync(file) === false) return documents.delete(file)
+    try {
+      documents.set(file, await search_document(file))
+    } catch (err) {
+      // 書きかけの front matter などは前回の内容のまま検索する
+      console.error(err.message)
+    }
+  }
+
+  const dirs = [`../blog.jxck.io/entries`, `../mozaic.fm/episodes`]
+  const files = (await Promise.all(dirs.map((dir) => promisify(glob)(`${dir}/**/*.md`)))).flat().sort()
+  for (const file of files) await load(file)
+
+  /** @type {import("markdown/query.js").BM25Index} */
+  let index = null
+  /** @type {Map.<string, PublishState>} */
+  let states = null
+  const reindex = () => {
+    index = bm25_index(Array.from(documents.values()).map(({ doc }) => doc))
+    states = new Map(Array.from(documents.values()).map(({ doc, state }) => [doc.url, state]))
+  }
+  reindex()
+  console.log(`indexed ${documents.size} documents`)
+
+  // 保存時に何度もイベントが来るので、まとめてから index する
+  /** @type {Set.<string>} */
+  const changed = new Set()
+  /** @type {NodeJS.Timeout} */
+  let timer = null
+  dirs.forEach((dir) => {
+    watch(dir, { recursive: true }, (_, filename) => {
+      if (filename === null || filename.endsWith(`.md`) === false) return
+      changed.add(normalize(`${dir}/${filename}`))
+      clearTimeout(timer)
+      timer = setTimeout(async () => {
+        const files = Array.from(changed)
+        changed.clear()
+        for (const file of files) await load(file)
+        reindex()
+        console.log(`reindexed: ${files.join(`, `)}`)
+      }, 100)
+    })
+  })
+
+  const server = createServer(async (req, res) => {
+    const parsed = request_url(req)
+    if (parsed === null) {
+      res.writeHead(400, { "content-type": CONTENT_TYPES[`.json`] }).end(JSON.stringify({ error: `bad request` }))
+      return
+    }
+    const { url, pathname } = parsed
+    if (pathname !== `/search` && pathname !== `/search/`) {
+      res.writeHead(404, { "content-type": CONTENT_TYPES[`.json`] }).end(JSON.stringify({ error: `not found` }))
+      return
+    }
+
+    const q = url.searchParams.get(`q`) ?? ``
+    const json = url.searchParams.get(`format`) === `json` || (req.headers.accept ?? ``).includes(`application/json`)
+    const host = SEARCH_HOSTS.find((host) => url.hostname === host)
+    const now = new Date()
+
+    /** @type {Error} */
+    let error = null
+    /** @type {Array.<import("markdown/query.js").Ranked>} */
+    let results = []
+    try {
+      results = bm25_search(index, parse_search_query(q), {
+        filter: (doc) => (host === undefined || doc.host === host) && is_published(states.get(doc.url), now),
+      })
+    } catch (err) {
+      error = err
+    }
+
+    if (json) {
+      const body = error ? { error: error.message } : { q, results }
+      res.writeHead(error ? 400 : 200, { "content-type": CONTENT_TYPES[`.json`], "cache-control": `no-cache` })
+      res.end(JSON.stringify(body))
+      return
+    }
+
+    const template = host === `mozaic.fm` ? `./template/podcast.search.html.ejs` : `./template/blog.search.html.ejs`
+    const icon = host === `mozaic.fm` ? `https://mozaic.fm/assets/img/mozaic` : `https://blog.jxck.io/assets/img/jxck`
+    const html = await renderFile(template, {
+      indent,
+      first: { icon },
+      q,
+      results,
+      error: error?.message ?? null,
+      version: (/** @type {string} */ src) => version(src),
+    })
+    res.writeHead(error ? 400 : 200, { "content-type": CONTENT_TYPES[`.html`], "cache-control": `no-cache` }).end(html)
+  })
+
+  // h2o から proxy するだけなので外からは受けない
+  server.listen(port, `127.0.0.1`, () => {
+    console.log(`http://127.0.0.1:${port}/search?q=`)
+  })
+}
+
+/**
+ * リンク先で #id として飛べるもの
+ * md から作るページは AST の heading などから、それ以外の html はファイルの id から集める
+ * @param {string} path
+ * @param {Map.<string, Set.<string>>} cache
+ * @returns {Promise.<Set.<string>>}
+ */
+async function page_anchors(path, cache) {
+  if (cache.has(path)) return cache.get(path)
+  const md = path.replace(/\.html$/, `.md`)
+  /** @type {Set.<string>} */
+  let ids
+  if (existsSync(md)) {
+    const { markdown } = parse_front_matter(await readFile(md, { encoding: `utf-8` }), md, { repeatable: [`guest`] })
+    const { ast } = decode(markdown, { recover: true })
+    ids = collect_anchors(pipeline(ast, [plugins.heading_title(), plugins.heading_id()]).root)
+  } else {
+    ids = new Set(html_ids(await readFile(path, { encoding: `utf-8` })))
+  }
+  cache.set(path, ids)
+  return ids
+}
+
+/**
+ * make comp で作る .gz, .br と amp の build で作る .amp.html の元のファイル
+ * @param {string} path
+ * @returns {string}
+ */
+function generated_source(path) {
+  return path.replace(/\.(gz|br)$/, ``).replace(/\.amp\.html$/, `.html`)
+}
+
+/**
+ * リンク先のファイルがあるか
+ * md から作るページや generated_source() はまだ build されていなくても元があれば良い
+ * @param {string} path
+ * @returns {boolean}
+ */
+function link_target_exists(path) {
+  const source = generated_source(path)
+  return existsSync(source) || (source.endsWith(`.html`) && existsSync(source.replace(/\.html$/, `.md`)))
+}
+
+/**
+ * git に入っていないので、無くても壊れたリンクとしないファイルか
+ * media や font は拡張子で見る
+ * font の subset に使う文字一覧のように、生成物へ向けた symlink だけが git にあるものはその symlink で見る
+ * @param {string} path
+ * @returns {boolean}
+ */
+function untracked_target(path) {
+  if (UNTRACKED_EXTENSIONS.includes(extname(path))) return true
+  try {
+    return lstatSync(path).isSymbolicLink()
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * 1 つのリンクを確かめて、問題があればその内容を返す
+ * 他の host や mailto: などは見ない
+ * @param {import("markdown/links.js").Link} link
+ * @param {string} page ページの URL
+ * @param {Map.<string, Set.<string>>} cache
+ * @param {Set.<string>} tags blog() が tag page を作る slug
+ * @returns {Promise.<Array.<string>>}
+ */
+async function check_link({ name, url }, page, cache, tags) {
+  /** @type {URL} */
+  let target
+  /** @type {string} */
+  let pathname
+  try {
+    target = new URL(url, page)
+    pathname = decodeURI(target.pathname)
+  } catch (err) {
+    return [`invalid url "${url}"`]
+  }
+  if (HOSTS.includes(target.host) === false) return []
+  const handled = SERVER_PATHS[target.host] ?? []
+  if (handled.some((prefix) => pathname === prefix || pathname.startsWith(`${prefix}/`))) return []
+  // tag の page は build しないと無いので、 entry の tag にあるかで見る
+  const tag = /^\/tags\/(?<slug>[^/]+)\/(index\.html|atom\.xml)?$/.exec(pathname)
+  if (target.host === `blog.jxck.io` && tag) return tags.has(tag.groups.slug) ? [] : [`not found "${url}"`]
+
+  let path = `../${target.host}${pathname}`
+  if (path.endsWith(`/`) || (existsSync(path) && statSync(path).isDirectory())) path = `${path.replace(/\/$/, ``)}/index.html`
+  if (link_target_exists(path) === false) return untracked_target(path) ? [] : [`not found "${url}"`]
+  path = generated_source(path)
+
+  if (name === `img`) {
+    // customize_image() が <picture> や <video> に並べるもの
+    const ext = extname(path)
+    const siblings = [`.png`, `.jpeg`, `.gif`].includes(ext) ? [`.avif`, `.webp`] : ext === `.mp4` ? [`.webm`] : []
+    return siblings
+      .filter((sibling) => existsSync(path.replace(ext, sibling)) === false)
+      .map((sibling) => `not found ${sibling} of "${url}"`)
+  }
+
+  // :~:text= は本文との照合なので見ない
+  const hash = target.hash.replace(/^#/, ``).split(`:~:`)[0]
+  if (hash === `` || PARAMETER_FRAGMENT.test(hash) || path.endsWith(`.html`) === false) return []
+  const ids = await page_anchors(path, cache)
+  // id に % をそのまま含むものもあるので、 decode する前の値から見る
+  if (ids.has(hash)) return []
+  let id = hash
+  try {
+    id = decodeURIComponent(hash)
+  } catch (err) {
+    return [`invalid fragment "${url}"`]
+  }
+  return ids.has(id) ? [] : [`missing anchor "${url}"`]
+}
+
+/**
+ * entries と episodes のリンクを network を使わずに確かめる
+ * 同じ site へのリンク先のファイル、 #id、 img とそこから作る .webp, .avif があるかを見て、ページごとに出力する
+ * 問題があれば exit code を 1 にして build を止められるようにする
+ */
+async function check_links() {
+  const files = (await Promise.all([
+    promisify(glob)(`../blog.jxck.io/entries/**/*.md`),
+    promisify(glob)(`../mozaic.fm/episodes/**/*.md`),
+  ])).flat().sort()
+
+  const sources = await Promise.all(files.map(async (file) => {
+    const { data, markdown, line_offset } = parse_front_matter(await readFile(file, { encoding: `utf-8` }), file, { repeatable: [`guest`] })
+    const { ast } = decode(markdown, { recover: true })
+    const { root, meta } = pipeline(ast, [plugins.heading_title(), plugins.heading_id()])
+    return { file, data, line_offset, root, meta }
+  }))
+  // blog() と同じく heading と front matter の tag から作る
+  const tags = new Set(sources
+    .filter(({ file }) => file.startsWith(`../blog.jxck.io/`))
+    .flatMap(({ data, meta }) => [...(meta.get(`tags`) ?? []), ...(data.tags ?? [])])
+    .map((tag) => to_slug(tag)))
+
+  /** @type {Map.<string, Set.<string>>} */
+  const cache = new Map()
+  let broken = 0
+  let pages = 0
+  for (const { file, line_offset, root } of sources) {
+    const page = file.replace(`.md`, `.html`).replace(`../`, `https://`)
+    // 同じページへの #id はここで入れておく
+    cache.set(file.replace(`.md`, `.html`), collect_anchors(root))
+
+    /** @type {Array.<string>} */
+    const lines = []
+    for (const link of collect_links(root)) {
+      const { line, column } = link.position.start
+      const problems = await check_link(link, page, cache, tags)
+      problems.forEach((problem) => lines.push(`  ${line + line_offset}:${column} ${problem}`))
+    }
+    if (lines.length === 0) continue
+
+    pages++
+    broken += lines.length
+    console.log(file)
+    lines.forEach((line) => console.log(line))
+  }
+
+  console.log(`${broken} broken link(s) in ${pages} page(s)`)
+  if (broken > 0) process.exitCode = 1
+}
+
+/**
+ * episode の mp3 に書く tag のうち、全ての episode で同じもの
+ */
+const AUDIO_TAG = {
+  artist: `Jxck`,
+  album: `mozaic.fm`,
+  genre: `Podcast`,
+  cover: `../www.jxck.io/assets/img/mozaic.jpeg`,
+}
+
+/**
+ * 公開済みの episode の mp3 に ID3v2 tag を書く
+ * track は sideshow を含めた最初からの順番、 chapter は show note の timestamp から作る
+ * eyeD3 --remove-all と同じく元の tag は ID3v1 も含めて全て消して書き直す
+ * 書こうとする tag と同じものが書かれていれば skip し、 --dry-run では書かずに差分だけを出力する
+ * @param {{dry_run: boolean, version: 3|4}} option
+ */
+async function tag_audio({ dry_run, version }) {
+  const now = new Date()
+  const files = await promisify(glob)(`../mozaic.fm/episodes/**/*.md`)
+  const cover = { mime: `image/jpeg`, data: await readFile(AUDIO_TAG.cover) }
+
+  // track は古い順に 1 から数える
+  const episodes = []
+  for (const path of episode_paths(files, now).reverse()) {
+    if (path.published === false) continue
+    const md = await readFile(path.path, { encoding: `utf-8` })
+    const { data, markdown, line_offset } = parse_front_matter(md, path.path, { repeatable: [`guest`] })
+    const front = /** @type {Info} */ (data)
+    episodes.push({ path: path.path, audio_file: front.audio.replace(`https://`, `../`), markdown, line_offset })
+  }
+
+  let changed = 0
+  let missing = 0
+  for (const [i, { path, audio_file, markdown, line_offset }] of episodes.entries()) {
+    if (existsSync(audio_file) === false) {
+      console.error(`${audio_file} not found`)
+      missing++
+      continue
+    }
+    const audio = await readFile(audio_file)
+    const info = parse_mp3(audio)
+    if (info === null) throw new Error(`${audio_file} is not a mp3 file`)
+
+    const ast = decode_file(markdown, path, line_offset)
+    const title = text_content(ast.children[0].children[0]).replace(/\s+/g, ` `).trim()
+    const chapters = show_note_chapters(ast, Math.round(info.duration * 1000))
+    const { artist, album, genre } = AUDIO_TAG
+    const tag = encode_id3v2({ title, track: `${i + 1}`, artist, album, genre, cover, chapters }, version)
+
+    const start = info.id3v2?.size ?? 0
+    const end = audio.length - (info.id3v1 ? 128 : 0)
+    if (info.id3v1 === null && Buffer.compare(audio.subarray(0, start), tag) === 0) continue
+
+    changed++
+    console.log(audio_file)
+    const before = describe_id3v2(info.id3v2)
+    const after = describe_id3v2(read_id3v2(tag))
+    before.filter((line) => after.includes(line) === false).forEach((line) => console.log(`  - ${line}`))
+    if (info.id3v1) console.log(`  - ID3v1 ${info.id3v1.title}`)
+    after.filter((line) => before.includes(line) === false).forEach((line) => console.log(`  + ${line}`))
+    if (dry_run) continue
+
+    // 途中で止まっても mp3 が壊れないように、同じ directory に書いてから rename で置き換える
+    // symlink は置き換えずに指している先を書き換える
+    const file = await realpath(audio_file)
+    const temp = `${file}.${process.pid}.tmp`
+    try {
+      await writeFile(temp, Buffer.concat([tag, audio.subarray(start, end)]), { mode: (await stat(file)).mode })
+      await rename(temp, file)
+    } catch (err) {
+      await rm(temp, { force: true })
+      throw err
+    }
+  }
+
+  console.log(`${changed} file(s) ${dry_run ? `to update` : `updated`}`)
+  if (missing > 0) process.exitCode = 1
+}
+
 /**
  * main
  * @param {string} arg
  */
 async function main(arg) {
   if (arg === `build`) {
+    // 変更の無いページは skip する、 --force で全て build し直す
+    // --fingerprint で assets を hash の入ったファイル名で参照する
+    const fingerprint = process.argv.includes(`--fingerprint`)
+    const manifest = await load_manifest(process.argv.includes(`--force`), { fingerprint })
+    await build_assets(fingerprint, manifest)
     const [entries, episodes] = await Promise.all([
       promisify(glob)(`../blog.jxck.io/entries/**/*.md`),
       promisify(glob)(`../mozaic.fm/episodes/**/*.md`),
     ])
-    return await Promise.all([
-      blog(entries),
-      podcast(episodes),
+    // srcset の画像は page の build より前に作っておく
+    await derive_images([...entries, ...episodes], manifest)
+    // blog と podcast をまたぐので先に計算しておく
+    const now = new Date()
+    const related = await collect_related(now)
+    await Promise.all([
+      blog(entries, { preview: false, manifest, now, related }),
+      podcast(episodes, { preview: false, manifest, now, related }),
       workbox(),
     ])
+    return await save_manifest(manifest)
   }
 
   if (arg === `preview`) {
@@ -889,6 +2660,39 @@ async function main(arg) {
     return await podcast([episodes.pop()], { preview: true })
   }
 
+  if (arg === `format`) {
+    return await format_sources(process.argv.includes(`--check`))
+  }
+
+  if (arg === `publish-due`) {
+    const at = process.argv[3]
+    return await publish_due(at ? parse_time(at) : new Date())
+  }
+
+  if (arg === `serve`) {
+    return await serve(parseInt(process.argv[3] ?? `3000`))
+  }
+
+  if (arg === `search-server`) {
+    return await search_server(parseInt(process.argv[3] ?? `14000`))
+  }
+
+  if (arg === `check-links`) {
+    return await check_links()
+  }
+
+  if (arg === `tag-audio`) {
+    // --v2.4 で ID3v2.4 にする、 eyeD3 で書いていたときと同じく標準は v2.3
+    const dry_run = process.argv.includes(`--dry-run`)
+    return await tag_audio({ dry_run, version: process.argv.includes(`--v2.4`) ? 4 : 3 })
+  }
+
+  if (arg === `prune-assets`) {
+    // --days で何日使われていなければ消すかを変える
+    const days = process.argv.find((option) => option.startsWith(`--days=`))?.replace(`--days=`, ``) ?? `30`
+    return await prune_assets({ days: parseInt(days), dry_run: process.argv.includes(`--dry-run`) })
+  }
+
   if (arg === `draft`) {
     const entries = [`../blog.jxck.io/drafts/index.md`]
     return await blog(entries, { preview: true })
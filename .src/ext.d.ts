@@ -0,0 +1,8 @@
+// 型を同梱していない npm の encoder
+// build.js の derive_images() で使う部分だけ書く
+
+declare module "gifsicle" {
+  // gifsicle の実行ファイルの path
+  const path: string
+  export default path
+}
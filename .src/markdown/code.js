@@ -0,0 +1,34 @@
+import { existsSync, readFileSync } from "fs"
+import { parse_lines } from "./index.js"
+
+/**
+ * ```lang:path のコードをファイルから読む
+ * fs を使うので、 browser でも読まれる index.js からは export せず build.js から直接 import する
+ *
+ * @typedef {import("./index.js").Node} Node
+ */
+
+/**
+ * ```lang:path#L10-L40 のファイルを読み、指定範囲の行だけを返す
+ * ファイルが無い場合や、範囲がファイルに収まらない場合はエラー
+ * @param {Node} node
+ * @param {string} base
+ * @param {Set.<string>} deps
+ * @returns {string}
+ */
+export function read_code(node, base, deps) {
+  const path = node.attr.get(`path`)
+  const file = `${base}${path}`
+  if (existsSync(file) === false) throw new Error(`code file "${path}" not found at ${file}`)
+  deps.add(file)
+
+  const lines = readFileSync(file, { encoding: `utf-8` }).trimEnd().split(`\n`)
+  const start = parseInt(node.attr.get(`_start`) ?? `1`)
+  const end = parseInt(node.attr.get(`_end`) ?? node.attr.get(`_start`) ?? `${lines.length}`)
+  if (end > lines.length) throw new Error(`line range L${start}-L${end} is out of "${path}" (${lines.length} lines)`)
+
+  const line = parse_lines(node.attr.get(`_highlight`)).find((n) => n < start || end < n)
+  if (line !== undefined) throw new Error(`highlight line ${line} is out of "${path}" (L${start}-L${end})`)
+
+  return lines.slice(start - 1, end).join(`\n`)
+}
@@ -0,0 +1,342 @@
+/**
+ * 画像と動画の header から表示される幅と高さを読む
+ * ファイル全体を decode せず、必要な box や chunk だけを辿る
+ *
+ * PNG   IHDR
+ * GIF   Logical Screen Descriptor
+ * JPEG  SOFn (Exif の Orientation で 90 度回るものは入れ替える)
+ * WebP  VP8 / VP8L / VP8X
+ * AVIF  meta > iprp > ipco > ispe (irot で 90 度回るものは入れ替える)
+ * MP4   moov > trak > tkhd (幅のある最初の track)
+ * WebM  Segment > Tracks > TrackEntry > Video > PixelWidth, PixelHeight
+ * SVG   <svg> の width, height か viewBox
+ */
+
+/**
+ * @typedef {Object} Dimension
+ * @prop {number} width
+ * @prop {number} height
+ */
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {string} text
+ * @returns {boolean}
+ */
+function ascii(data, offset, text) {
+  return Array.from(text).every((c, i) => data[offset + i] === c.charCodeAt(0))
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {DataView}
+ */
+function view(data) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength)
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Dimension}
+ */
+function png(data) {
+  const dv = view(data)
+  return { width: dv.getUint32(16), height: dv.getUint32(20) }
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Dimension}
+ */
+function gif(data) {
+  const dv = view(data)
+  return { width: dv.getUint16(6, true), height: dv.getUint16(8, true) }
+}
+
+/**
+ * APP1 の Exif から Orientation を読む、無ければ 1
+ * @param {Uint8Array} data
+ * @param {number} start "Exif\0\0" の位置
+ * @returns {number}
+ */
+function exif_orientation(data, start) {
+  const dv = view(data)
+  const tiff = start + 6
+  const little = ascii(data, tiff, `II`)
+  const ifd = tiff + dv.getUint32(tiff + 4, little)
+  const entries = dv.getUint16(ifd, little)
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12
+    if (dv.getUint16(entry, little) === 0x0112) return dv.getUint16(entry + 8, little)
+  }
+  return 1
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Dimension}
+ */
+function jpeg(data) {
+  const dv = view(data)
+  let orientation = 1
+  let i = 2
+  while (i + 9 < data.length) {
+    if (data[i] !== 0xFF) return null
+    const marker = data[i + 1]
+    // 0xFF の fill byte と、長さを持たない marker
+    if (marker === 0xFF) {
+      i++
+      continue
+    }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      i += 2
+      continue
+    }
+    if (marker === 0xE1 && ascii(data, i + 4, `Exif\0\0`)) orientation = exif_orientation(data, i + 4)
+    // SOF0 - SOF15 のうち DHT, JPG, DAC を除く
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      const height = dv.getUint16(i + 5)
+      const width = dv.getUint16(i + 7)
+      // 5 - 8 は 90 度回して表示する
+      return orientation >= 5 ? { width: height, height: width } : { width, height }
+    }
+    i += 2 + dv.getUint16(i + 2)
+  }
+  return null
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Dimension}
+ */
+function webp(data) {
+  const dv = view(data)
+  if (ascii(data, 12, `VP8 `)) {
+    return { width: dv.getUint16(26, true) & 0x3FFF, height: dv.getUint16(28, true) & 0x3FFF }
+  }
+  if (ascii(data, 12, `VP8L`)) {
+    // signature 0x2F の後に 14bit ずつ width - 1, height - 1
+    const bits = dv.getUint32(21, true)
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 }
+  }
+  if (ascii(data, 12, `VP8X`)) {
+    const width = data[24] | (data[25] << 8) | (data[26] << 16)
+    const height = data[27] | (data[28] << 8) | (data[29] << 16)
+    return { width: width + 1, height: height + 1 }
+  }
+  return null
+}
+
+/**
+ * @typedef {Object} Box
+ * @prop {string} type
+ * @prop {number} start 中身の先頭
+ * @prop {number} end
+ */
+
+/**
+ * ISO BMFF の box を並べる
+ * @param {Uint8Array} data
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array.<Box>}
+ */
+function boxes(data, start, end) {
+  const dv = view(data)
+  /** @type {Array.<Box>} */
+  const list = []
+  let i = start
+  while (i + 8 <= end) {
+    let size = dv.getUint32(i)
+    const type = String.fromCharCode(...data.subarray(i + 4, i + 8))
+    let header = 8
+    if (size === 1) {
+      size = Number(dv.getBigUint64(i + 8))
+      header = 16
+    }
+    // 0 はファイルの最後まで
+    if (size === 0) size = end - i
+    if (size < header) break
+    list.push({ type, start: i + header, end: Math.min(i + size, end) })
+    i += size
+  }
+  return list
+}
+
+/**
+ * path を辿って最初に見つかった box
+ * @param {Uint8Array} data
+ * @param {Array.<string>} path
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {Box}
+ */
+function find_box(data, path, start = 0, end = data.length) {
+  const [type, ...rest] = path
+  const box = boxes(data, start, end).find((box) => box.type === type)
+  if (box === undefined) return null
+  if (rest.length === 0) return box
+  // meta は version と flags を持つ FullBox
+  return find_box(data, rest, box.type === `meta` ? box.start + 4 : box.start, box.end)
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Dimension}
+ */
+function avif(data) {
+  const dv = view(data)
+  const ispe = find_box(data, [`meta`, `iprp`, `ipco`, `ispe`])
+  if (ispe === null) return null
+  const width = dv.getUint32(ispe.start + 4)
+  const height = dv.getUint32(ispe.start + 8)
+  const irot = find_box(data, [`meta`, `iprp`, `ipco`, `irot`])
+  const rotated = irot !== null && (data[irot.start] & 0x03) % 2 === 1
+  return rotated ? { width: height, height: width } : { width, height }
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Dimension}
+ */
+function mp4(data) {
+  const dv = view(data)
+  const moov = find_box(data, [`moov`])
+  if (moov === null) return null
+  for (const trak of boxes(data, moov.start, moov.end).filter(({ type }) => type === `trak`)) {
+    const tkhd = find_box(data, [`tkhd`], trak.start, trak.end)
+    if (tkhd === null) continue
+    // version 1 は時刻と duration が 64bit になる
+    const offset = tkhd.start + (data[tkhd.start] === 1 ? 88 : 76)
+    // 16.16 の固定小数点
+    const width = Math.round(dv.getUint32(offset) / 0x10000)
+    const height = Math.round(dv.getUint32(offset + 4) / 0x10000)
+    // audio の track は 0
+    if (width > 0 && height > 0) return { width, height }
+  }
+  return null
+}
+
+/**
+ * EBML の可変長整数
+ * id は先頭の 1 を含めたまま、 size は外して読む
+ * @param {Uint8Array} data
+ * @param {number} i
+ * @param {boolean} marker
+ * @returns {{value: number, length: number}}
+ */
+function vint(data, i, marker) {
+  const first = data[i]
+  let length = 1
+  while (length <= 8 && (first & (0x80 >> (length - 1))) === 0) length++
+  if (length > 8) return null
+  let value = marker ? first : first & (0xFF >> length)
+  let unknown = value === (0xFF >> length)
+  for (let j = 1; j < length; j++) {
+    value = value * 256 + data[i + j]
+    unknown = unknown && data[i + j] === 0xFF
+  }
+  // 全て 1 の size は長さ不明
+  return { value: marker === false && unknown ? -1 : value, length }
+}
+
+const EBML = {
+  Segment: 0x18538067,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  Video: 0xE0,
+  PixelWidth: 0xB0,
+  PixelHeight: 0xBA,
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Dimension}
+ */
+function webm(data) {
+  const masters = new Set([EBML.Segment, EBML.Tracks, EBML.TrackEntry, EBML.Video])
+  /** @type {Dimension} */
+  const size = { width: 0, height: 0 }
+  let i = 0
+  while (i < data.length) {
+    const id = vint(data, i, true)
+    if (id === null) return null
+    const length = vint(data, i + id.length, false)
+    if (length === null) return null
+    const start = i + id.length + length.length
+    const end = length.value === -1 ? data.length : start + length.value
+    if (id.value === EBML.PixelWidth || id.value === EBML.PixelHeight) {
+      const value = Array.from(data.subarray(start, end)).reduce((acc, b) => acc * 256 + b, 0)
+      size[id.value === EBML.PixelWidth ? `width` : `height`] = value
+      if (size.width > 0 && size.height > 0) return size
+    }
+    // master element は中に入り、それ以外は飛ばす
+    i = masters.has(id.value) ? start : end
+  }
+  return null
+}
+
+/**
+ * px か単位の無い長さ、 % や em などは null
+ * @param {string} value
+ * @returns {number}
+ */
+function svg_length(value) {
+  const result = /^\s*(?<n>[\d.]+)(?:px)?\s*$/.exec(value ?? ``)
+  return result ? parseFloat(result.groups.n) : null
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Dimension}
+ */
+function svg(data) {
+  const text = new TextDecoder().decode(data)
+  const tag = /<svg\b[^>]*>/.exec(text)?.[0]
+  if (tag === undefined) return null
+  /** @type {Object.<string, string>} */
+  const attrs = {}
+  for (const { groups } of tag.matchAll(/(?<name>[\w:-]+)\s*=\s*(?:"(?<double>[^"]*)"|'(?<single>[^']*)')/g)) {
+    attrs[groups.name] = groups.double ?? groups.single
+  }
+  const box = (attrs.viewBox ?? ``).trim().split(/[\s,]+/).map((n) => parseFloat(n))
+  const [vw, vh] = box.length === 4 && box.every((n) => isNaN(n) === false) ? box.slice(2) : [null, null]
+  let width = svg_length(attrs.width)
+  let height = svg_length(attrs.height)
+  // 片方だけなら viewBox の比率で補う
+  if (width === null && height !== null && vw) width = height * vw / vh
+  if (height === null && width !== null && vh) height = width * vh / vw
+  if (width === null && height === null) [width, height] = [vw, vh]
+  if (width === null || height === null) return null
+  return { width: Math.round(width), height: Math.round(height) }
+}
+
+/**
+ * Read width and height from image or video header
+ * 形式は拡張子ではなく中身の signature で決める、読めなければ null
+ * @param {Uint8Array} data
+ * @returns {Dimension}
+ */
+export function image_size(data) {
+  try {
+    if (ascii(data, 0, `\x89PNG\r\n\x1A\n`)) return png(data)
+    if (ascii(data, 0, `GIF87a`) || ascii(data, 0, `GIF89a`)) return gif(data)
+    if (data[0] === 0xFF && data[1] === 0xD8) return jpeg(data)
+    if (ascii(data, 0, `RIFF`) && ascii(data, 8, `WEBP`)) return webp(data)
+    if (ascii(data, 0, `\x1A\x45\xDF\xA3`)) return webm(data)
+    if (ascii(data, 4, `ftyp`)) {
+      const ftyp = find_box(data, [`ftyp`])
+      const brands = new TextDecoder().decode(data.subarray(ftyp.start, ftyp.end))
+      // HEIF 系は meta に、動画は moov に大きさがある
+      if (/avif|avis|mif1/.test(brands)) return avif(data) ?? mp4(data)
+      return mp4(data)
+    }
+    if (/^\uFEFF?\s*<(\?xml|svg|!--|!DOCTYPE)/i.test(new TextDecoder().decode(data.subarray(0, 256)))) return svg(data)
+    return null
+  } catch (err) {
+    // header が途中で切れている
+    if (err instanceof RangeError) return null
+    throw err
+  }
+}
@@ -3,7 +3,6 @@ import { decode, spaces, Node, dump } from "./index.js"
 import { readFile, writeFile } from "fs/promises";
 import { dirname, join } from "path"
 import { fileURLToPath } from "url"
-import * as process from "process"
 
 const FULL_HALF = /(?<full>[\p{sc=Hira}\p{sc=Kana}\p{sc=Han}]+)(?<half>[a-zA-Z0-9]+)/gu
 const HALF_FULL = /(?<half>[a-zA-Z0-9]+)(?<full>[\p{sc=Hira}\p{sc=Kana}\p{sc=Han}]+)/gu
@@ -27,6 +26,26 @@ if (Array.prototype.at === undefined) {
   });
 }
 
+/**
+ * format の rule ごとに、変更した箇所の数
+ * @typedef {Object} Changes
+ * @property {number} spacer 全角と半角の間のスペース
+ * @property {number} singler 全角記号を半角に
+ * @property {number} table table の桁揃え
+ * @property {number} list ol の番号の振り直し
+ */
+
+/**
+ * @typedef {Object} FormatOption
+ * @property {Changes} [changes]
+ */
+
+/**
+ * @typedef {Object} SerializeOption
+ * @property {Changes} [changes]
+ * @property {Array.<string>} lines 元の Markdown の行、変更の判定に使う
+ */
+
 /**
  * 全角と半角の間にスペースを入れる
  * @param {string} text
@@ -84,9 +103,10 @@ function count(text) {
 
 /**
  * @param {Node} node
+ * @param {SerializeOption} [option]
  * @returns {string}
  */
-function table(node) {
+function table(node, option) {
   /**
    * @typedef {Object} Format
    * @property {string} align
@@ -104,7 +124,7 @@ function table(node) {
    * @type {Array.<string>}
    */
   const thead = node.children.at(0).children.at(0).children.map((td, i) => {
-    const text = td.children.map((child) => serialize(child)).join(``)
+    const text = td.children.map((child) => serialize(child, option)).join(``)
     const align = td.attr.get(`align`)
     const len = count(text)
     format.push({ align, len })
@@ -117,7 +137,7 @@ function table(node) {
    */
   const tbody = node.children.at(1).children.map((tr) => {
     return tr.children.map((td, i) => {
-      const text = td.children.map((child) => serialize(child)).join(``)
+      const text = td.children.map((child) => serialize(child, option)).join(``)
       const len = count(text)
       if (format.at(i).len < len) format.at(i).len = len
       return text
@@ -168,14 +188,23 @@ function table(node) {
 
   td.unshift(separator)
   td.unshift(th)
-  return `|${td.join("|\n|")}|\n`
+  const result = `|${td.join("|\n|")}|\n`
+
+  // Caption の次の行から table の最後の行までと比べる
+  if (option?.changes) {
+    const { start, end } = node.position
+    const original = option.lines.slice(start.line, end.line).join(`\n`)
+    if (`${original}\n` !== result) option.changes.table++
+  }
+  return result
 }
 
 /**
  * @param {Node} node
+ * @param {SerializeOption} [option]
  * @returns string
  */
-function li(node) {
+function li(node, option) {
   // grouping lines into array
   // [inline, inline, block, block, inline]
   // to
@@ -209,22 +238,26 @@ function li(node) {
     if (node.parent.name === `ul`) return `- `
     // ol の場合は `1. a`
     const num = node.parent.children.indexOf(node)
+    if (option?.changes) {
+      const original = /^\s*(?<n>\d+)\./.exec(option.lines[node.position.start.line - 1])?.groups.n
+      if (original !== `${num + 1}`) option.changes.list++
+    }
     return `${num + 1}. `
   })()
 
   if (lines.length === 1 && Array.isArray(lines[0])) {
     // children に inline のみしかないので一列で閉じなし
-    return `${spaces(node.level * 2)}${symbol}${lines[0].map((child) => serialize(child)).join(``)}\n`
+    return `${spaces(node.level * 2)}${symbol}${lines[0].map((child) => serialize(child, option)).join(``)}\n`
   }
 
   // block と inline が同居している場合
   const child = lines.map((line) => {
     if (Array.isArray(line)) {
       // inline はまとめて一行
-      return `${line.map((child) => serialize(child)).join(``)}\n`
+      return `${line.map((child) => serialize(child, option)).join(``)}\n`
     } else {
       // block は他とくっつける
-      return serialize(line)
+      return serialize(line, option)
     }
   }).join(``)
 
@@ -233,14 +266,16 @@ function li(node) {
 
 /**
  * @param {Node} node
- * @param {Object} [option]
+ * @param {SerializeOption} [option]
  * @returns {string}
  */
 function serialize(node, option) {
   const name = node.name
   // console.log({ name })
 
-  const children = node.children.map((child) => serialize(child))
+  // table, li, details, callout は自分で children を serialize するので、使うときだけ serialize する
+  // 先に全て serialize すると option.changes を入れ子の深さだけ重ねて数えてしまう
+  const children = () => node.children.map((child) => serialize(child, option))
 
   if (name === `text`) {
     // console.log(`${node.parent.name} > ${node.name}`)
@@ -251,22 +286,40 @@ function serialize(node, option) {
     if ([`code`, `pre`, `html`].includes(node.parent.name) === false) {
       // escape する
       text = text.replace(/([\*\`\<])/g, '\\$1')
+      // 数式として読まれてしまう $ も escape する
+      text = text.replace(/\$(?![\s$])((?:\\.|[^\\$])+?)(?<!\s)\$(?!\d)/g, '\\$$$1\\$$')
     }
 
     // console.log({ after: text })
-    return spacer(singler(text))
+    const single = singler(text)
+    const spaced = spacer(single)
+    if (option?.changes) {
+      if (single !== text) option.changes.singler++
+      if (spaced !== single) option.changes.spacer++
+    }
+    return spaced
   }
-  if (name === `em`) /*     */ return `*${children.join(``)}*`
-  if (name === `strong`) /* */ return `**${children.join(``)}**`
-  if (name === `code`) /*   */ return `\`${children.join(``).replaceAll("`", "\\`")}\``
-  if (name === `dt`) /*     */ return `${children.join(``)}\n`
-  if (name === `dd`) /*     */ return `: ${children.join(``)}\n`
-  if (name === `table`) /*  */ return table(node)
-  if (name === `li`) /*     */ return li(node)
-  if (name === `p`) /*      */ return `${children.join(``)}\n`
+  if (name === `em`) /*     */ return `*${children().join(``)}*`
+  if (name === `strong`) /* */ return `**${children().join(``)}**`
+  if (name === `code`) /*   */ return `\`${children().join(``).replaceAll("`", "\\`")}\``
+  if (name === `dt`) /*     */ return `${children().join(``)}\n`
+  if (name === `dd`) /*     */ return `: ${children().join(``)}\n`
+  if (name === `table`) /*  */ return table(node, option)
+  if (name === `li`) /*     */ return li(node, option)
+  if (name === `p`) /*      */ return `${children().join(``)}\n`
 
   if (name === `figcaption`) return `Caption: ${node.text.trim()}\n`
 
+  if (name === `footnote_ref`) return `[^${node.attr.get(`id`)}]`
+  if (name === `footnote`) /*  */ return `[^${node.attr.get(`id`)}]: ${children().join(``)}\n`
+
+  if (name === `math`) {
+    // 数式の中身には手を加えない
+    const tex = node.children.map(({ text }) => text).join(`\n`)
+    if (node.type === `inline`) return `$${tex}$`
+    return `$$\n${tex}\n$$\n`
+  }
+
   if (name === `img`) {
     const alt = node.attr.get(`alt`)
     const src = node.attr.get(`src`)
@@ -279,7 +332,7 @@ function serialize(node, option) {
 
   if (name === `a`) {
     const href = node.attr.get(`href`)
-    const text = children.join(``)
+    const text = children().join(``)
     if (href.startsWith(`chrome://`)) {
       if (href === text) return `<${href}>`
       return `[${text}](${href})`
@@ -322,16 +375,21 @@ function serialize(node, option) {
         space = ``
       }
     }
-    return `${space}${`#`.repeat(node.level)} ${children.join(``)}\n`
+    return `${space}${`#`.repeat(node.level)} ${children().join(``)}\n`
   }
 
   if (name === `pre`) {
     const pre = "```"
     const lang = node.attr.get(`lang`) || ``
     const path = node.attr.get(`path`) ? `:${node.attr.get(`path`)}` : ``
-    const code = children.join(`\n`).replaceAll("```", "\\`\\`\\`")
-    if (code.length === 0) return `${pre}${lang}${path}\n${pre}\n`
-    return `${pre}${lang}${path}\n${code}\n${pre}\n`
+    const start = node.attr.has(`_start`) ? `#L${node.attr.get(`_start`)}` : ``
+    const end = node.attr.has(`_end`) ? `-L${node.attr.get(`_end`)}` : ``
+    const highlight = node.attr.has(`_highlight`) ? ` {${node.attr.get(`_highlight`)}}` : ``
+    const numbered = node.attr.has(`_numbered`) ? ` numbered` : ``
+    const info = `${lang}${path}${start}${end}${highlight}${numbered}`
+    const code = children().join(`\n`).replaceAll("```", "\\`\\`\\`")
+    if (code.length === 0) return `${pre}${info}\n${pre}\n`
+    return `${pre}${info}\n${code}\n${pre}\n`
   }
 
   // Print HTML as-is
@@ -341,12 +399,12 @@ function serialize(node, option) {
 
   if (name === `section`) {
     // console.log({ level: node.level, parent: node.parent.level })
-    // dump(children)
-    return `${children.join(`\n`)}`
+    // dump(children())
+    return `${children().join(`\n`)}`
   }
 
   if (name === `blockquote`) {
-    return `> ${children.join(`> `)}`
+    return `> ${children().join(`> `)}`
   }
 
   if (name === `details`) {
@@ -355,40 +413,52 @@ function serialize(node, option) {
 
     if (type === `details`) {
       return [
-        `:::details ${serialize(summary)}`,
-        serialize(details).trim(),
+        `:::details ${serialize(summary, option)}`,
+        serialize(details, option).trim(),
         `:::\n`
       ].join(`\n`)
     }
     if (type === `message`) {
       return [
         `:::message`,
-        serialize(details).trim(),
+        serialize(details, option).trim(),
         `:::\n`
       ].join(`\n`)
     }
     if (type === `alert`) {
       return [
         `:::message alert`,
-        serialize(details).trim(),
+        serialize(details, option).trim(),
         `:::\n`
       ].join(`\n`)
     }
   }
 
+  if (name === `callout`) {
+    const type = node.attr.get(`_type`)
+    const since = node.attr.get(`_since`)
+    const [section] = node.children
+    return [
+      since ? `:::${type} ${since}` : `:::${type}`,
+      serialize(section, option).trim(),
+      `:::\n`
+    ].join(`\n`)
+  }
+
   // other: ul, ol
-  return children.join(``)
+  return children().join(``)
 }
 
 /**
  * Convert Markdown AST to Markdown
+ * option.changes を渡すと、 rule ごとに変更した箇所の数を足していく
  * @param {string} md
- * @param {Object} [option]
+ * @param {FormatOption} [option]
  * @returns {string}
  */
 export function format(md, option) {
   const ast = decode(md)
-  return serialize(ast, option).trim()
+  return serialize(ast, { ...option, lines: md.split(`\n`) }).trim()
 }
 
 
@@ -415,6 +485,18 @@ if (process.argv.length > 2) {
       console.log(file)
       const filepath = join(pwd, file)
       const original = await readFile(filepath, { encoding: `utf-8` })
+
+      // エラーがあれば全て出力して format はしない
+      const { diagnostics } = decode(original, { recover: true })
+      if (diagnostics.length > 0) {
+        diagnostics.forEach(({ severity, message, position }) => {
+          const { line, column } = position.start
+          console.error(`${file}:${line}:${column} ${severity} ${message}`)
+        })
+        process.exitCode = 1
+        return
+      }
+
       const formatted = format(original)
       if (original !== formatted) {
         await writeFile(filepath, formatted)
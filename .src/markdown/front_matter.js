@@ -0,0 +1,87 @@
+/**
+ * entry や episode の front matter の確認と公開状態
+ *
+ * status: draft      build はするが index や feed などには載せない
+ * status: scheduled  publish_at を過ぎたら載せる、 publish_at は必須
+ * publish_at だけのときは scheduled とする
+ */
+
+/**
+ * 公開状態
+ * @typedef {Object} PublishState
+ * @prop {"published"|"draft"|"scheduled"} status
+ * @prop {string} publish_at ISO 8601、無ければ null
+ */
+
+/**
+ * front matter の値の型
+ * @typedef {"string"|"boolean"|"date"|"datetime"|"strings"} FrontMatterType
+ */
+
+/**
+ * 時刻の無い publish_at は JST の 0 時とする
+ */
+const TIMEZONE = `+09:00`
+
+/**
+ * 2023-05-01 や 2023-05-01T12:00 などを Date にする、 timezone が無ければ JST
+ * @param {string} value
+ * @returns {Date}
+ */
+export function parse_time(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00${TIMEZONE}`)
+  const time = value.replace(` `, `T`)
+  if (/(Z|[+-]\d{2}:\d{2})$/.test(time)) return new Date(time)
+  return new Date(`${time}${TIMEZONE}`)
+}
+
+/**
+ * front matter の値の型を確認する
+ * scheduled は公開する時刻が決まらないので publish_at が無ければ error にする
+ * @param {Object.<string, any>} data
+ * @param {Object.<string, FrontMatterType>} schema
+ * @param {string} file
+ */
+export function validate_front_matter(data, schema, file) {
+  Object.entries(data).forEach(([key, value]) => {
+    const type = schema[key]
+    if (type === undefined) throw new Error(`${file}: unknown front matter "${key}"`)
+    const valid = {
+      string: () => typeof value === `string`,
+      boolean: () => typeof value === `boolean`,
+      date: () => /^\d{4}-\d{2}-\d{2}$/.test(value),
+      datetime: () => typeof value === `string` && isNaN(parse_time(value).getTime()) === false,
+      strings: () => Array.isArray(value) && value.every((v) => typeof v === `string`),
+    }[type]()
+    if (valid === false) throw new Error(`${file}: front matter "${key}" should be ${type} but got ${JSON.stringify(value)}`)
+  })
+  if (data.status === `scheduled` && data.publish_at === undefined) {
+    throw new Error(`${file}: front matter "publish_at" is required for status scheduled`)
+  }
+}
+
+/**
+ * front matter の status と publish_at を読む
+ * validate_front_matter() で確認したものを渡す
+ * @param {{status?: string, publish_at?: string}} front
+ * @param {string} file
+ * @returns {PublishState}
+ */
+export function publish_state({ status, publish_at }, file) {
+  const state = status ?? (publish_at ? `scheduled` : `published`)
+  if (state !== `published` && state !== `draft` && state !== `scheduled`) {
+    throw new Error(`${file}: status should be draft, scheduled or published but got "${status}"`)
+  }
+  return { status: state, publish_at: publish_at ? parse_time(publish_at).toISOString() : null }
+}
+
+/**
+ * @param {PublishState} state
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function is_published({ status, publish_at }, now) {
+  if (status === `draft`) return false
+  if (publish_at === null) return true
+  return new Date(publish_at) <= now
+}
@@ -0,0 +1,351 @@
+import { hsc } from "./index.js"
+
+/**
+ * ビルド時に code block をハイライトする tokenizer
+ * class 名は pre.css が前提にしている Prism 互換の `token xxx` を出す
+ */
+
+/**
+ * pattern は sticky (y) で書き、先頭から順に試す
+ * type が null のものは色を付けずに読み進めるだけ
+ * (単語の途中で keyword などにマッチしないように使う)
+ * @typedef {Object} Rule
+ * @prop {string|null} type
+ * @prop {RegExp} pattern
+ * @prop {Array<Rule>} [inside] マッチした中身をさらに分解する
+ */
+
+/**
+ * @typedef {Object} Token
+ * @prop {string} type
+ * @prop {Array<Token|string>} content
+ */
+
+/**
+ * 単語のリストから keyword などの pattern を作る
+ * @param {string} list
+ * @returns {RegExp}
+ */
+function words(list) {
+  return new RegExp(`\\b(?:${list.trim().split(/\s+/).join(`|`)})\\b`, `y`)
+}
+
+/** @type {Rule} */
+const c_comment = { type: `comment`, pattern: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y }
+
+/** @type {Rule} */
+const quoted = { type: `string`, pattern: /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/y }
+
+/**
+ * js と ts は keyword と builtin の違いだけ
+ * @param {string} keywords
+ * @param {string} builtins
+ * @returns {Array<Rule>}
+ */
+function script(keywords, builtins) {
+  /** @type {Array<Rule>} */
+  const template = []
+  /** @type {Array<Rule>} */
+  const rules = [
+    c_comment,
+    { type: `string`, pattern: /`(?:\\[\s\S]|\$\{[^}]*\}|[^\\`])*`/y, inside: template },
+    quoted,
+    // 割り算と区別するため、値が来ない位置のみ
+    { type: `regex`, pattern: /(?<=(?:^|[=(,:;!&|?{}[\]]|\breturn)\s*)\/(?![*/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[dgimsuy]*/y },
+    { type: `keyword`, pattern: words(keywords) },
+    { type: `builtin`, pattern: words(builtins) },
+    { type: `boolean`, pattern: /\b(?:true|false)\b/y },
+    { type: `number`, pattern: /\b(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?)n?/y },
+    { type: `class-name`, pattern: /\b[A-Z][\w$]*/y },
+    { type: `function`, pattern: /[A-Za-z_$][\w$]*(?=\s*\()/y },
+    { type: null, pattern: /[A-Za-z_$][\w$]*/y },
+    { type: `operator`, pattern: /=>|\.\.\.|[-+*/%=&|^~!<>?]+/y },
+    { type: `punctuation`, pattern: /[{}[\];(),.:]/y },
+  ]
+  template.push({
+    type: `interpolation`,
+    pattern: /\$\{[^}]*\}/y,
+    inside: [{ type: `punctuation`, pattern: /^\$\{|\}$/y }, ...rules],
+  })
+  return rules
+}
+
+const js = script(`
+  as async await break case catch class const continue debugger default delete do else export extends
+  finally for from function get if import in instanceof let new null of return set static super switch
+  this throw try typeof undefined var void while with yield
+`, `
+  globalThis console window document
+`)
+
+const ts = script(`
+  abstract as async await break case catch class const continue debugger declare default delete do else
+  enum export extends finally for from function get if implements import in infer instanceof interface is
+  keyof let module namespace new null of private protected public readonly return satisfies set static
+  super switch this throw try type typeof undefined var void while with yield
+`, `
+  any bigint boolean never number object string symbol unknown globalThis console window document
+`)
+
+/** @type {Array<Rule>} */
+const css = [
+  { type: `comment`, pattern: /\/\*[\s\S]*?(?:\*\/|$)/y },
+  {
+    type: `atrule`,
+    pattern: /@[\w-]+[^;{]*/y,
+    inside: [
+      { type: `rule`, pattern: /^@[\w-]+/y },
+      { type: `punctuation`, pattern: /[(),:]/y },
+    ],
+  },
+  quoted,
+  { type: `selector`, pattern: /[^{}\s;][^{};]*(?=\{)/y },
+  { type: `property`, pattern: /[-\w]+(?=\s*:(?!:))/y },
+  { type: `important`, pattern: /!important\b/iy },
+  { type: `function`, pattern: /[-\w]+(?=\()/y },
+  { type: `number`, pattern: /-?(?:\d+\.?\d*|\.\d+)(?:%|[a-z]+)?/iy },
+  { type: null, pattern: /[A-Za-z_][-\w]*/y },
+  { type: `punctuation`, pattern: /[(){};:,]/y },
+]
+
+/** @type {Array<Rule>} */
+const tag = [
+  {
+    type: `tag`,
+    pattern: /^<\/?[^\s>/]+/y,
+    inside: [{ type: `punctuation`, pattern: /^<\/?/y }],
+  },
+  { type: `attr-value`, pattern: /(?<==\s*)(?:"[^"]*"|'[^']*'|[^\s'">=]+)/y },
+  { type: `attr-name`, pattern: /[^\s/>=]+/y },
+  { type: `punctuation`, pattern: /\/?>|=/y },
+]
+
+/** @type {Array<Rule>} */
+const html = [
+  { type: `comment`, pattern: /<!--[\s\S]*?(?:-->|$)/y },
+  { type: `doctype`, pattern: /<!DOCTYPE[^>]*>/iy },
+  // <script>, <style> の中身はそれぞれの言語で
+  { type: `script`, pattern: /(?<=<script\b[^>]*>)[\s\S]+?(?=<\/script>)/iy, inside: js },
+  { type: `style`, pattern: /(?<=<style\b[^>]*>)[\s\S]+?(?=<\/style>)/iy, inside: css },
+  { type: `tag`, pattern: /<\/?[A-Za-z][\w:-]*(?:\s+[^\s/>=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s'">=]+))?)*\s*\/?>/y, inside: tag },
+  { type: `entity`, pattern: /&#?[\da-zA-Z]+;/y },
+]
+
+/** @type {Array<Rule>} */
+const http = [
+  { type: `request-line`, pattern: /^(?:GET|POST|PUT|DELETE|PATCH|HEAD|OPTIONS|CONNECT|TRACE|PRI) +\S+(?: +HTTP\/[\d.]+)?$/my },
+  { type: `response-status`, pattern: /^HTTP\/[\d.]+ +\d{3}\b.*$/my },
+  { type: `header-name keyword`, pattern: /^:?[\w-]+(?=:)/my },
+]
+
+/** @type {Array<Rule>} */
+const variable = [
+  { type: `variable`, pattern: /\$(?:\{[^}]*\}|\([^)]*\)|\w+|[?#@*!$-])/y },
+]
+
+/** @type {Array<Rule>} */
+const shell = [
+  { type: `shebang`, pattern: /^#!.*/y },
+  { type: `comment`, pattern: /(?<=^|\s)#.*/my },
+  { type: `string`, pattern: /"(?:\\[\s\S]|\$\([^)]*\)|[^\\"])*"/y, inside: variable },
+  { type: `string`, pattern: /'[^']*'/y },
+  ...variable,
+  { type: `keyword`, pattern: words(`if then else elif fi for while until do done case esac in function select return export local readonly`) },
+  { type: `builtin`, pattern: words(`cd echo eval exec exit printf pwd read set source test unset`) },
+  { type: `parameter`, pattern: /(?<=\s)--?[\w-]+/y },
+  { type: null, pattern: /[\w./-]+/y },
+  { type: `operator`, pattern: /&&|\|\||>>|[|&<>]/y },
+  { type: `punctuation`, pattern: /[;(){}[\]]/y },
+]
+
+/**
+ * $ ではじまる行がコマンド、それ以外は出力
+ * @type {Array<Rule>}
+ */
+const session = [
+  {
+    type: `command`,
+    pattern: /^\$ .*(?:\\\n.*)*/my,
+    inside: [{ type: `shell-symbol`, pattern: /^\$/y }, ...shell],
+  },
+  { type: `output`, pattern: /^.+/my },
+]
+
+/** @type {Array<Rule>} */
+const json = [
+  { type: `property`, pattern: /"(?:\\.|[^\\"\n])*"(?=\s*:)/y },
+  { type: `string`, pattern: /"(?:\\.|[^\\"\n])*"/y },
+  { type: `number`, pattern: /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y },
+  { type: `boolean`, pattern: /\b(?:true|false)\b/y },
+  { type: `keyword`, pattern: /\bnull\b/y },
+  { type: `punctuation`, pattern: /[{}[\],:]/y },
+]
+
+/** @type {Array<Rule>} */
+const rust = [
+  c_comment,
+  { type: `string`, pattern: /b?r(#*)"[\s\S]*?"\1|b?"(?:\\[\s\S]|[^\\"])*"/y },
+  { type: `string`, pattern: /b?'(?:\\(?:x[\da-fA-F]{2}|u\{[\da-fA-F]{1,6}\}|.)|[^\\\n'])'/y },
+  { type: `lifetime`, pattern: /'\w+/y },
+  { type: `attr-name`, pattern: /#!?\[(?:[^[\]"]|"(?:\\.|[^\\"])*")*\]/y },
+  { type: `function`, pattern: /\w+!(?!=)/y }, // macro
+  { type: `keyword`, pattern: words(`
+    as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod
+    move mut pub ref return self Self static struct super trait type unsafe use where while
+  `) },
+  { type: `builtin`, pattern: words(`bool char str u8 u16 u32 u64 u128 usize i8 i16 i32 i64 i128 isize f32 f64`) },
+  { type: `boolean`, pattern: /\b(?:true|false)\b/y },
+  { type: `number`, pattern: /\b(?:0x[\da-fA-F_]+|0o[0-7_]+|0b[01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)(?:_?(?:[iu](?:8|16|32|64|128|size)|f32|f64))?\b/y },
+  { type: `class-name`, pattern: /\b[A-Z]\w*/y },
+  { type: `function`, pattern: /\w+(?=\s*\()/y },
+  { type: null, pattern: /\w+/y },
+  { type: `operator`, pattern: /->|=>|\.\.=?|[-+*/%!^=&|<>?]+/y },
+  { type: `punctuation`, pattern: /::|[{}[\];(),.:#]/y },
+]
+
+/** @type {Array<Rule>} */
+const go = [
+  c_comment,
+  { type: `string`, pattern: /"(?:\\.|[^\\"\n])*"|`[^`]*`|'(?:\\.|[^\\'\n])+'/y },
+  { type: `keyword`, pattern: words(`
+    break case chan const continue default defer else fallthrough for func go goto if import interface
+    map package range return select struct switch type var
+  `) },
+  { type: `builtin`, pattern: words(`
+    any bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string
+    uint uint8 uint16 uint32 uint64 uintptr append cap close complex copy delete imag len make new
+    panic print println real recover
+  `) },
+  { type: `boolean`, pattern: /\b(?:true|false)\b/y },
+  { type: `constant`, pattern: /\b(?:nil|iota)\b/y },
+  { type: `number`, pattern: /\b(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?)i?\b/y },
+  { type: `function`, pattern: /\w+(?=\s*\()/y },
+  { type: null, pattern: /\w+/y },
+  { type: `operator`, pattern: /:=|<-|\.\.\.|[-+*/%&|^<>=!]+/y },
+  { type: `punctuation`, pattern: /[{}[\];(),.:]/y },
+]
+
+/** @type {Array<Rule>} */
+const diff = [
+  { type: `coord`, pattern: /^(?:@@.*|\*\*\*.*|---.*|\+\+\+.*|\d+(?:,\d+)?[acd]\d+(?:,\d+)?)$/my },
+  { type: `inserted`, pattern: /^[+>].*$/my },
+  { type: `deleted`, pattern: /^[-<].*$/my },
+]
+
+/**
+ * fence に書かれる名前から grammar を引く
+ * @type {Object<string, Array<Rule>>}
+ */
+const languages = {
+  js, javascript: js, mjs: js,
+  ts, typescript: ts,
+  html, xml: html, svg: html,
+  css,
+  http,
+  shell, sh: shell, bash: shell, zsh: shell,
+  "sh-session": session, "shell-session": session,
+  json,
+  rust, rs: rust,
+  go,
+  diff,
+}
+
+/**
+ * @param {string} code
+ * @param {Array<Rule>} grammar
+ * @returns {Array<Token|string>}
+ */
+function scan(code, grammar) {
+  /** @type {Array<Token|string>} */
+  const tokens = []
+  let plain = ``
+  let i = 0
+  next: while (i < code.length) {
+    for (const { type, pattern, inside } of grammar) {
+      pattern.lastIndex = i
+      const match = pattern.exec(code)
+      if (match === null || match[0] === ``) continue
+      const text = match[0]
+      i += text.length
+      if (type === null) {
+        plain += text
+        continue next
+      }
+      if (plain) tokens.push(plain)
+      plain = ``
+      tokens.push({ type, content: inside ? scan(text, inside) : [text] })
+      continue next
+    }
+    plain += code[i++]
+  }
+  if (plain) tokens.push(plain)
+  return tokens
+}
+
+/**
+ * 対応していない言語なら null
+ * @param {string} code
+ * @param {string} lang
+ * @returns {Array<Token|string>|null}
+ */
+export function tokenize(code, lang) {
+  let grammar = languages[lang]
+  if (grammar === undefined) return null
+  // ```sh でも $ ではじまっていれば shell session として扱う
+  if (grammar === shell && code.startsWith(`$ `)) grammar = session
+  return scan(code, grammar)
+}
+
+/**
+ * code を escape した上で <span class="token xxx"> で囲い、行ごとに返す
+ * 行をまたぐ token は行末で一度閉じて、次の行で開き直す
+ * 対応していない言語は escape のみ
+ * @param {string} code
+ * @param {string} lang
+ * @returns {Array<string>}
+ */
+export function highlight_lines(code, lang) {
+  const tokens = tokenize(code, lang)
+  if (tokens === null) return code.split(`\n`).map((line) => hsc(line))
+
+  /** @type {Array<string>} */
+  const lines = []
+  /** @type {Array<string>} 開いている span の type */
+  const open = []
+  let line = ``
+
+  /**
+   * @param {Array<Token|string>} tokens
+   */
+  function render(tokens) {
+    tokens.forEach((token) => {
+      if (typeof token === `string`) {
+        const [first, ...rest] = token.split(`\n`)
+        line += hsc(first)
+        rest.forEach((text) => {
+          lines.push(`${line}${`</span>`.repeat(open.length)}`)
+          line = `${open.map((type) => `<span class="token ${type}">`).join(``)}${hsc(text)}`
+        })
+        return
+      }
+      line += `<span class="token ${token.type}">`
+      open.push(token.type)
+      render(token.content)
+      open.pop()
+      line += `</span>`
+    })
+  }
+
+  render(tokens)
+  lines.push(line)
+  return lines
+}
+
+/**
+ * @param {string} code
+ * @param {string} lang
+ * @returns {string}
+ */
+export function highlight(code, lang) {
+  return highlight_lines(code, lang).join(`\n`)
+}
@@ -0,0 +1,266 @@
+import { text_content } from "./index.js"
+import { decode_text, read_frames } from "./mp3.js"
+
+/**
+ * podcast の mp3 に書く ID3v2 tag
+ *
+ * TIT2 TRCK TPE1 TALB TCON  text frame
+ * APIC                      cover 画像 (front cover)
+ * CTOC CHAP                 show note の timestamp から作る chapter (ID3v2 Chapter Frame Addendum)
+ *
+ * 同じ tag から同じ byte 列を作るので、書かれている tag と比べれば書き直す必要があるかがわかる
+ *
+ * @typedef {import("./index.js").Node} Node
+ * @typedef {import("./mp3.js").ID3v2} ID3v2
+ */
+
+/**
+ * @typedef {Object} Chapter
+ * @prop {string} title
+ * @prop {number} start ms
+ * @prop {number} end ms
+ */
+
+/**
+ * @typedef {Object} Cover
+ * @prop {string} mime
+ * @prop {Uint8Array} data
+ */
+
+/**
+ * @typedef {Object} ID3Tag
+ * @prop {string} title TIT2
+ * @prop {string} track TRCK
+ * @prop {string} artist TPE1
+ * @prop {string} album TALB
+ * @prop {string} genre TCON
+ * @prop {Cover} [cover] APIC
+ * @prop {Array.<Chapter>} [chapters] CTOC と CHAP
+ */
+
+/**
+ * 行頭の 0:00, 00:00, 1:02:30 と、その後ろの ~ や : を除いたものが title
+ */
+const TIMESTAMP = /^(?:(?<h>\d{1,2}):)?(?<m>\d{1,2}):(?<s>\d{2})\s*~?\s*:?\s*(?<title>.*)$/
+
+/**
+ * CHAP の byte offset を使わないときの値
+ */
+const NO_OFFSET = 0xFFFFFFFF
+
+/**
+ * @param {number} n
+ * @returns {Array.<number>}
+ */
+function uint32(n) {
+  return [n >>> 24, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF]
+}
+
+/**
+ * @param {number} n
+ * @returns {Array.<number>}
+ */
+function synchsafe(n) {
+  return [(n >> 21) & 0x7F, (n >> 14) & 0x7F, (n >> 7) & 0x7F, n & 0x7F]
+}
+
+/**
+ * @param {string} text
+ * @returns {Array.<number>}
+ */
+function latin1(text) {
+  return Array.from(text, (c) => c.charCodeAt(0))
+}
+
+/**
+ * 先頭に encoding を付けた text
+ * ISO-8859-1 で書けなければ 2.3 は BOM 付き UTF-16LE、 2.4 は UTF-8 にする
+ * @param {string} text
+ * @param {number} version
+ * @returns {Array.<number>}
+ */
+function encode_text(text, version) {
+  if (/^[\x00-\xFF]*$/.test(text)) return [0, ...latin1(text)]
+  if (version === 4) return [3, ...new TextEncoder().encode(text)]
+  const units = Array.from({ length: text.length }, (_, i) => text.charCodeAt(i))
+  return [1, 0xFF, 0xFE, ...units.flatMap((unit) => [unit & 0xFF, unit >> 8])]
+}
+
+/**
+ * 画像は大きいので spread せずにつなぐ
+ * @param {Array.<Array.<number>|Uint8Array>} parts
+ * @returns {Uint8Array}
+ */
+function concat(parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  parts.reduce((offset, part) => {
+    bytes.set(part, offset)
+    return offset + part.length
+  }, 0)
+  return bytes
+}
+
+/**
+ * @param {string} id
+ * @param {Array.<number>|Uint8Array} body
+ * @param {number} version
+ * @returns {Uint8Array}
+ */
+function frame(id, body, version) {
+  // 2.4 の frame の size は synchsafe
+  const size = version === 4 ? synchsafe(body.length) : uint32(body.length)
+  return concat([[...latin1(id), ...size, 0, 0], body])
+}
+
+/**
+ * ms を 00:00:00.000 にする
+ * @param {number} ms
+ * @returns {string}
+ */
+function timestamp(ms) {
+  return new Date(ms).toISOString().slice(11, 23)
+}
+
+/**
+ * APIC の画像の比較に使う FNV-1a
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+function fnv1a(data) {
+  let hash = 0x811C9DC5
+  for (const byte of data) hash = Math.imul(hash ^ byte, 0x01000193) >>> 0
+  return hash.toString(16).padStart(8, `0`)
+}
+
+/**
+ * Encode ID3v2.3 or ID3v2.4 tag
+ * unsynchronisation も padding も使わない
+ * @param {ID3Tag} tag
+ * @param {3|4} [version]
+ * @returns {Uint8Array}
+ */
+export function encode_id3v2(tag, version = 3) {
+  const { title, track, artist, album, genre, cover, chapters = [] } = tag
+  const texts = /** @type {Array.<[string, string]>} */ ([[`TIT2`, title], [`TRCK`, track], [`TPE1`, artist], [`TALB`, album], [`TCON`, genre]])
+  const frames = texts
+    .filter(([_, value]) => value !== undefined && value !== null)
+    .map(([id, value]) => frame(id, encode_text(value, version), version))
+
+  if (cover) {
+    // description は空、 picture type 3 は front cover
+    frames.push(frame(`APIC`, concat([[0, ...latin1(cover.mime), 0, 3, 0], cover.data]), version))
+  }
+
+  if (chapters.length > 0) {
+    const ids = chapters.map((_, i) => `chp${i}`)
+    // flags は top level と ordered
+    const children = ids.flatMap((id) => [...latin1(id), 0])
+    frames.push(frame(`CTOC`, [...latin1(`toc`), 0, 0x03, ids.length, ...children], version))
+    chapters.forEach(({ title, start, end }, i) => {
+      const times = [...uint32(start), ...uint32(end), ...uint32(NO_OFFSET), ...uint32(NO_OFFSET)]
+      const sub = frame(`TIT2`, encode_text(title, version), version)
+      frames.push(frame(`CHAP`, concat([[...latin1(ids[i]), 0, ...times], sub]), version))
+    })
+  }
+
+  const size = frames.reduce((sum, frame) => sum + frame.length, 0)
+  return concat([[...latin1(`ID3`), version, 0, 0, ...synchsafe(size)], ...frames])
+}
+
+/**
+ * NUL で終わる ISO-8859-1 の文字列と、その次の位置
+ * @param {Uint8Array} data
+ * @param {number} start
+ * @returns {{text: string, next: number}}
+ */
+function terminated(data, start) {
+  const end = data.indexOf(0, start)
+  const last = end === -1 ? data.length : end
+  return { text: String.fromCharCode(...data.subarray(start, last)), next: last + 1 }
+}
+
+/**
+ * 比べるために frame を 1 行ずつの文字列にする
+ * 画像は中身の代わりに大きさと hash にする
+ * @param {ID3v2} id3v2
+ * @returns {Array.<string>}
+ */
+export function describe_id3v2(id3v2) {
+  if (id3v2 === null) return []
+  const { version } = id3v2
+  return id3v2.frames.map(({ id, data }) => {
+    const dv = new DataView(data.buffer, data.byteOffset, data.byteLength)
+    if (id.startsWith(`T`) && id !== `TXXX` && data.length > 0) return `${id} ${decode_text(data)}`
+    if (id === `APIC` && data.length > 0) {
+      const mime = terminated(data, 1)
+      const type = data[mime.next]
+      // description の終わりは UTF-16 なら 2 byte の NUL
+      const wide = data[0] === 1 || data[0] === 2
+      let i = mime.next + 1
+      while (i < data.length && (data[i] !== 0 || (wide && data[i + 1] !== 0))) i += wide ? 2 : 1
+      const image = data.subarray(i + (wide ? 2 : 1))
+      return `APIC ${mime.text} type=${type} ${image.length} bytes ${fnv1a(image)}`
+    }
+    if (id === `CHAP`) {
+      const element = terminated(data, 0)
+      const start = dv.getUint32(element.next)
+      const end = dv.getUint32(element.next + 4)
+      const sub = read_frames(data, element.next + 16, data.length, version)
+      const title = sub.find(({ id }) => id === `TIT2`)
+      return `CHAP ${element.text} ${timestamp(start)}-${timestamp(end)}${title ? ` ${decode_text(title.data)}` : ``}`
+    }
+    if (id === `CTOC`) {
+      const element = terminated(data, 0)
+      const count = data[element.next + 1]
+      const children = []
+      let i = element.next + 2
+      for (let n = 0; n < count; n++) {
+        const child = terminated(data, i)
+        children.push(child.text)
+        i = child.next
+      }
+      return `CTOC ${element.text} ${children.join(` `)}`
+    }
+    return `${id} ${data.length} bytes`
+  })
+}
+
+/**
+ * Collect chapters from timestamps in show note
+ * 入れ子でない list の item のうち、 timestamp で始まるものを順に chapter にする
+ * 最後の chapter は duration で終わる
+ * @param {Node} node
+ * @param {number} duration ms
+ * @returns {Array.<Chapter>}
+ */
+export function show_note_chapters(node, duration) {
+  /** @type {Array.<{title: string, start: number}>} */
+  const starts = []
+  const visit = (/** @type {Node} */ node) => {
+    if (node.name === `ul` || node.name === `ol`) {
+      node.children.forEach((li) => {
+        const text = li.children
+          .filter((child) => child.name !== `ul` && child.name !== `ol`)
+          .map((child) => text_content(child))
+          .join(``)
+          .replace(/\s+/g, ` `)
+          .trim()
+        const result = TIMESTAMP.exec(text)
+        if (result === null) return
+        const { h = `0`, m, s, title } = result.groups
+        starts.push({ title: title || text, start: ((parseInt(h) * 60 + parseInt(m)) * 60 + parseInt(s)) * 1000 })
+      })
+      // list の中の list は見ない
+      return
+    }
+    node.children.forEach((child) => visit(child))
+  }
+  visit(node)
+
+  // 戻るものや音声より後のものは書き間違いなので除く
+  const chapters = starts.reduce((acc, chapter) => {
+    if (chapter.start < duration && (acc.length === 0 || chapter.start > acc.at(-1).start)) acc.push(chapter)
+    return acc
+  }, /** @type {Array.<{title: string, start: number}>} */ ([]))
+  return chapters.map(({ title, start }, i) => ({ title, start, end: chapters[i + 1]?.start ?? duration }))
+}
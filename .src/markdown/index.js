@@ -1,6 +1,20 @@
 `use strict`;
 
 export { format } from "./formatter.js";
+export { highlight, highlight_lines, tokenize } from "./highlight.js";
+export { tex_to_mathml } from "./math.js";
+export { sequence_to_svg } from "./sequence.js";
+export { parse_yaml } from "./yaml.js";
+export { parse_time, validate_front_matter, publish_state, is_published } from "./front_matter.js";
+export { related, to_terms, text_content } from "./related.js";
+export { build_search_index, search_sections, search, search_docs, split_text, section_text, fragment } from "./search.js";
+export { parse_search_query, bm25_index, bm25_search } from "./query.js";
+export { collect_links, collect_anchors, html_ids } from "./links.js";
+export { image_size } from "./dimension.js";
+export { parse_mp3, read_id3v2 } from "./mp3.js";
+export { encode_id3v2, describe_id3v2, show_note_chapters } from "./id3.js";
+export * as plugins from "./plugins.js";
+import { tex_to_mathml } from "./math.js";
 
 /**
  * @typedef {Object} Heading
@@ -28,6 +42,20 @@ export function map(obj) {
   return new Map(Object.entries(obj))
 }
 
+/**
+ * 行指定を展開する
+ * "3,5-7" => [3, 5, 6, 7]
+ * @param {string} [spec]
+ * @returns {Array<number>}
+ */
+export function parse_lines(spec) {
+  if (spec === undefined) return []
+  return spec.split(`,`).flatMap((range) => {
+    const [start, end] = range.split(`-`).map((n) => parseInt(n))
+    return Array.from({ length: (end ?? start) - start + 1 }, (_, i) => start + i)
+  })
+}
+
 /**
  * @param {string} str
  * @returns {string}
@@ -48,7 +76,7 @@ export function hsc(str) {
  * @returns {string}
  */
 function unescape(str) {
-  return str.replace(/\\([\*|\`|\!|\[|\]|\<|\>|\(|\)|])/g, `$1`)
+  return str.replace(/\\([\*|\`|\!|\[|\]|\<|\>|\(|\)|\$|])/g, `$1`)
 }
 
 /**
@@ -73,6 +101,23 @@ export function create_id_from_text(h) {
   return id
 }
 
+/**
+ * tag などから URL の path に使う slug を作る
+ * 日本語は残し、 NFKC で全角英数や半角カナを揃えてから小文字にする
+ * 記号や空白の並びは - にし、何も残らなければ code point を並べる
+ * @param {string} text
+ * @returns {string}
+ */
+export function to_slug(text) {
+  const slug = text
+    .normalize(`NFKC`)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, `-`)
+    .replace(/^-|-$/g, ``)
+  if (slug !== ``) return slug
+  return Array.from(text).map((c) => c.codePointAt(0).toString(16)).join(`-`)
+}
+
 /**
  * Headings の配列を <ul>/<ol> リストに組み直す
  * @param {Array.<Node>} headings
@@ -147,6 +192,36 @@ function attr_str(attr = new Map()) {
   }).join(``)
 }
 
+/**
+ * 行と列はどちらも 1 はじまり
+ * @typedef {Object} Point
+ * @prop {number} line
+ * @prop {number} column
+ */
+
+/**
+ * Markdown 上の位置、end の column はその文字を含まない
+ * @typedef {Object} Position
+ * @prop {Point} start
+ * @prop {Point} end
+ */
+
+/**
+ * decode() が投げるエラー
+ * どこで失敗したかを position に持つ
+ */
+export class ParseError extends Error {
+  /**
+   * @param {string} message
+   * @param {Position} position
+   */
+  constructor(message, position) {
+    super(message)
+    this.name = `ParseError`
+    this.position = position
+  }
+}
+
 /**
  * @typedef {Object} NodeParam
  * @prop {string} name
@@ -157,13 +232,14 @@ function attr_str(attr = new Map()) {
  * @prop {string} [text]
  * @prop {Attr} [attr]
  * @prop {Array.<"center" | "left" | "right">} [aligns]
+ * @prop {Position} [position]
  */
 
 /**
  * @param {NodeParam} param
  * @returns {Node}
  */
-export function node({ name, type, parent, children, level, text, attr, aligns }) {
+export function node({ name, type, parent, children, level, text, attr, aligns, position }) {
   return new Node({
     name,
     type,
@@ -173,6 +249,7 @@ export function node({ name, type, parent, children, level, text, attr, aligns }
     text,
     attr,
     aligns,
+    position,
   })
 }
 
@@ -180,7 +257,7 @@ export class Node {
   /**
    * @param {NodeParam} param
    */
-  constructor({ name, type, parent = null, children = [], level = undefined, text = undefined, attr = new Map(), aligns = [] }) {
+  constructor({ name, type, parent = null, children = [], level = undefined, text = undefined, attr = new Map(), aligns = [], position = null }) {
     this.name = name
     this.type = type
     this.parent = parent
@@ -188,6 +265,8 @@ export class Node {
     this.text = text
     this.attr = attr
     this.aligns = aligns
+    // decode() で作られた Node だけが持つ
+    this.position = position
 
     /**@type{Array.<Node>}*/
     this.children = []
@@ -218,13 +297,42 @@ export class Node {
 
   /**
    * @param {string} text
+   * @param {Position} [position]
    */
-  addText(text) {
-    const child = node({ name: `text`, type: `inline`, text: unescape(text) })
+  addText(text, position) {
+    const child = node({ name: `text`, type: `inline`, text: unescape(text), position })
     this.appendChild(child)
   }
 }
 
+/**
+ * $E = mc^2$
+ * 開きの直後と閉じの直前が空白のもの、閉じの直後が数字のものは数式にしない ($10 と $20 など)
+ */
+const INLINE_MATH = /^\$(?<tex>(?![\s$])(?:\\.|[^\\$])+?)(?<!\s)\$(?!\d)/
+
+/**
+ * callout の種類と encode 時の見出し
+ * @type {Object<string, string>}
+ */
+const CALLOUT_LABEL = {
+  note: `Note`,
+  warning: `Warning`,
+  deprecated: `Deprecated`,
+}
+const CALLOUTS = Object.keys(CALLOUT_LABEL)
+
+/**
+ * n 番目の [^id] 参照の id
+ * @param {string} id
+ * @param {number} index 1 origin
+ * @returns {string}
+ */
+export function fnref_id(id, index) {
+  if (index === 1) return `fnref-${id}`
+  return `fnref-${id}-${index}`
+}
+
 /**
  * @typedef {Object} EncodeOption
  * @prop {number} [indent]
@@ -304,7 +412,20 @@ export function encode(node, option = {}) {
       attr.set(`data-path`, attr.get(`path`))
       attr.delete(`path`)
     }
-    const code = node.children.map((child) => serialize(child)).join(`\n`)
+    const lines = node.children.map((child) => serialize(child))
+
+    // 行番号や強調がある場合は 1 行ずつ囲む
+    const marks = parse_lines(attr.get(`_highlight`))
+    const numbered = attr.has(`_numbered`)
+    if (numbered) attr.set(`data-numbered`, null)
+    const start = parseInt(attr.get(`_start`) ?? `1`)
+    const code = (numbered || marks.length > 0)
+      ? lines.map((line, i) => {
+        const n = start + i
+        const tag = marks.includes(n) ? `mark` : `span`
+        return `<${tag} class=line data-line=${n}>${line}</${tag}>`
+      }).join(`\n`)
+      : lines.join(`\n`)
     const lang_class = lang ? ` class=language-${lang}` : ``
     return [
       `${spaces(indent)}<pre${attr_str(attr)}><code translate=no${lang_class}>`,
@@ -399,6 +520,88 @@ export function encode(node, option = {}) {
     ].join(``)
   }
 
+  /**
+   * $tex$ => <math>, $$tex$$ => <math display=block>
+   * @param {Node} node
+   * @param {number} indent
+   * @returns {string}
+   */
+  function math(node, indent) {
+    const tex = node.children.map(({ text }) => text).join(`\n`)
+    if (node.type === `inline`) return tex_to_mathml(tex)
+    return `${spaces(indent)}${tex_to_mathml(tex, true)}\n`
+  }
+
+  /**
+   * <aside role=note class="callout deprecated">
+   *   <p class=callout-title>Deprecated since Chrome 100
+   * @param {Node} node
+   * @param {number} indent
+   * @returns {string}
+   */
+  function callout(node, indent) {
+    const attr = attr_str(node.attr)
+    const label = CALLOUT_LABEL[node.attr.get(`_type`)]
+    const since = node.attr.get(`_since`)
+    const title = since ? `${label} since ${hsc(since)}` : label
+    const [section] = node.children
+    return [
+      `${spaces(indent)}<aside${attr}>\n`,
+      `${spaces(indent + 2)}<p class=callout-title>${title}\n`,
+      section.children.map((child) => serialize(child, indent + 2)).join(``),
+      `${spaces(indent)}</aside>\n`,
+    ].join(``)
+  }
+
+  /**
+   * [^id] => <sup><a href="#fn-id" id="fnref-id">1</a></sup>
+   * 同じ id への 2 つ目以降の参照は fnref-id-2 のように suffix をつける
+   * 番号の無い (定義の無い) 参照はリンク先が無いのでそのまま出す
+   * @param {Node} node
+   * @param {number} indent
+   * @returns {string}
+   */
+  function footnote_ref(node, indent) {
+    const id = node.attr.get(`id`)
+    const number = node.attr.get(`_number`)
+    if (number === undefined) return `[^${id}]`
+    const index = parseInt(node.attr.get(`_index`))
+    const attr = map({ href: `#fn-${id}`, id: fnref_id(id, index) })
+    return `<sup><a${attr_str(attr)}>${number}</a></sup>`
+  }
+
+  /**
+   * 番号順に並んだ注釈を <section><ol> にする
+   * @param {Node} node
+   * @param {number} indent
+   * @returns {string}
+   */
+  function footnotes(node, indent) {
+    return [
+      `${spaces(indent)}<section class=footnotes>\n`,
+      `${spaces(indent + 2)}<ol>\n`,
+      node.children.map((child) => serialize(child, indent + 4)).join(``),
+      `${spaces(indent + 2)}</ol>\n`,
+      `${spaces(indent)}</section>\n`,
+    ].join(``)
+  }
+
+  /**
+   * 注釈本文と、参照している全ての箇所への back link
+   * @param {Node} node
+   * @param {number} indent
+   * @returns {string}
+   */
+  function footnote(node, indent) {
+    const id = node.attr.get(`id`)
+    const refs = parseInt(node.attr.get(`_refs`))
+    const text = node.children.map((child) => serialize(child)).join(``)
+    const backlinks = Array.from({ length: refs }).map((_, i) => {
+      return ` <a${attr_str(map({ href: `#${fnref_id(id, i + 1)}` }))}>↩</a>`
+    }).join(``)
+    return `${spaces(indent)}<li${attr_str(map({ id: `fn-${id}` }))}>${text}${backlinks}\n`
+  }
+
   /**
    * @param {Node} node
    * @param {number} indent
@@ -504,6 +707,11 @@ export function encode(node, option = {}) {
     if (name === `li`) /*            */ return mix_inline(node, indent)
     if (name === `summary`) /*       */ return summary(node, indent)
     if (name === `details`) /*       */ return details(node, indent)
+    if (name === `callout`) /*       */ return callout(node, indent)
+    if (name === `math`) /*          */ return math(node, indent)
+    if (name === `footnote_ref`) /*  */ return footnote_ref(node, indent)
+    if (name === `footnotes`) /*     */ return footnotes(node, indent)
+    if (name === `footnote`) /*      */ return footnote(node, indent)
 
     // Print HTML as-is
     if (name === `html`) {
@@ -547,24 +755,146 @@ export function encode(node, option = {}) {
   return html
 }
 
+/**
+ * @typedef {Object} Diagnostic
+ * @prop {"error" | "warning"} severity
+ * @prop {string} message
+ * @prop {Position} position
+ */
+
+/**
+ * recover: true の場合は最初のエラーで止めずに
+ * diagnostics に全て集めてパースを続ける
+ * @typedef {Object} DecodeOption
+ * @prop {boolean} [recover]
+ */
+
+/**
+ * @typedef {Object} DecodeResult
+ * @prop {Node} ast
+ * @prop {Array.<Diagnostic>} diagnostics
+ */
+
 /**
  * Parse Markdown text to AST
+ * @template {DecodeOption} T
  * @param {string} md
- * @returns {Node}
+ * @param {T} [option]
+ * @returns {T extends { recover: true } ? DecodeResult : Node}
  */
-export function decode(md) {
+export function decode(md, option) {
+  const recover = option?.recover === true
 
   /**
-   * @param {RegExpExecArray} result
-   * @param {Array.<string>} rest
-   * @param {Node} ast
+   * @type {Array.<Diagnostic>}
+   */
+  const diagnostics = []
+
+  /**
+   * strict なら throw し、recover なら diagnostics に積んで続ける
+   * @param {string} message
+   * @param {Position} position
+   */
+  function report(message, position) {
+    if (recover === false) throw new ParseError(message, position)
+    diagnostics.push({ severity: `error`, message, position })
+  }
+
+  /**
+   * [^id]: text の定義、id => footnote
+   * 文書中のどこに書いてもよく、最後に footnotes としてまとめる
+   * @type {Map.<string, Node>}
+   */
+  const definitions = new Map()
+
+  /**
+   * 出てきた順の [^id] 参照
+   * @type {Array.<Node>}
+   */
+  const references = []
+
+  /**
+   * 処理中の行番号 (1 origin)
+   * @type {number}
+   */
+  let line = 0
+
+  /**
+   * inline() でパースしている input が行の何文字目から始まるか
+   * @type {number}
+   */
+  let offset = 0
+
+  /**
+   * 処理中の行の start 文字目から end 文字目まで (0 origin) の位置
+   * @param {number} start
+   * @param {number} end
+   * @returns {Position}
+   */
+  function position(start, end) {
+    return {
+      start: { line, column: start + 1 },
+      end: { line, column: end + 1 },
+    }
+  }
+
+  /**
+   * inline() の input 上での start から end までの位置
+   * @param {number} start
+   * @param {number} end
+   * @returns {Position}
+   */
+  function span(start, end) {
+    return position(offset + start, offset + end)
+  }
+
+  /**
+   * 処理中の行全体の位置
+   * @param {string} input
+   * @returns {Position}
+   */
+  function whole(input) {
+    return position(0, input.length)
+  }
+
+  /**
+   * 開いているコンテナのスタック
+   * stack[0] は常に root で、末尾が今の行を追加していくコンテナ
+   * 末尾のノードから root までの祖先を並べたものと常に一致させる
+   * @type {Array.<Node>}
+   */
+  const stack = []
+
+  /**
+   * 今の行を追加するコンテナ
+   * @returns {Node}
+   */
+  function current() {
+    return stack.at(-1)
+  }
+
+  /**
+   * 指定したコンテナまでスタックを閉じる
+   * Root に到達したら止まる
+   * @param {string} name
    * @returns {Node}
    */
-  function heading(result, rest, ast) {
+  function close(name) {
+    while (stack.length > 1 && current().name !== name) {
+      stack.pop()
+    }
+    return current()
+  }
+
+  /**
+   * @param {RegExpExecArray} result
+   */
+  function heading(result) {
     const { symbol, spaces, text } = result.groups
+    const start = result.input.length - text.length
 
-    if (spaces.length > 1) throw new Error(`too many spaces in "${result.input}"`)
-    if (text.startsWith(` `) || text.endsWith(` `)) throw new Error(`too many spaces in "${result.input}"`)
+    if (spaces.length > 1) report(`too many spaces in "${result.input}"`, position(symbol.length, start))
+    if (text.startsWith(` `) || text.endsWith(` `)) report(`too many spaces in "${result.input}"`, whole(result.input))
 
     const level = symbol.length
 
@@ -572,13 +902,16 @@ export function decode(md) {
       name: `section`,
       type: `block`,
       level,
+      position: whole(result.input),
     })
 
     // タグの [] のせいで複数の text node に別れている場合がある
     // あとで使いにくいのでマージする
-    const children = inline(text).reduce((acc, curr) => {
+    const children = inline(text, start).reduce((acc, curr) => {
       if (curr.name === `text` && acc[acc.length - 1]?.name === `text`) {
-        acc[acc.length - 1].text += curr.text
+        const last = acc[acc.length - 1]
+        last.text += curr.text
+        last.position = { start: last.position.start, end: curr.position.end }
       } else {
         acc.push(curr)
       }
@@ -590,44 +923,47 @@ export function decode(md) {
       type: `inline`,
       level,
       children,
+      position: whole(result.input),
     })
 
     section.appendChild(h)
 
-    if (ast.level < level) {
+    if (current().level < level) {
       // increment only +1
-      if (ast.level !== level - 1) throw new Error(`invalid sectioning "${result.input}"`)
+      if (current().level !== level - 1) report(`invalid sectioning "${result.input}"`, whole(result.input))
       // adding as child of <section>
-      ast.appendChild(section)
-      return parse(rest, section)
+      current().appendChild(section)
+      stack.push(section)
+      return
     }
 
-    if (ast.level === level) {
+    if (current().level === level) {
       // adding as sibling of section
       // rise to parent section
-      ast.parent.appendChild(section)
-      return parse(rest, section)
+      stack.pop()
+      current().appendChild(section)
+      stack.push(section)
+      return
     }
 
     // adding section to parent
-    while (ast.level > level - 1) {
-      ast = ast.parent
+    while (current().level > level - 1) {
+      stack.pop()
     }
-    ast.appendChild(section)
-    return parse(rest, section)
+    current().appendChild(section)
+    stack.push(section)
   }
 
   /**
    * @param {RegExpExecArray} result
-   * @param {Array.<string>} rest
-   * @param {Node} ast
-   * @returns {Node}
    */
-  function dl(result, rest, ast) {
+  function dl(result) {
     const { spaces, text } = result.groups
+    const start = result.input.length - text.length
+    const ast = current()
 
-    if (spaces.length > 1) throw new Error(`too many spaces in "${result.input}"`)
-    if (text.endsWith(` `)) throw new Error(`too many spaces around "${result.input}"`)
+    if (spaces.length > 1) report(`too many spaces in "${result.input}"`, position(1, start))
+    if (text.endsWith(` `)) report(`too many spaces around "${result.input}"`, whole(result.input))
 
     const prev = ast.lastChild()
 
@@ -639,19 +975,22 @@ export function decode(md) {
       const div = node({
         name: `div`,
         type: `block`,
+        position: p.position,
       })
 
       const dt = node({
         name: `dt`,
         type: `inline`,
-        children: p.children
+        children: p.children,
+        position: p.position,
       })
       p.children = []
 
       const dd = node({
         name: `dd`,
         type: `inline`,
-        children: inline(text),
+        children: inline(text, start),
+        position: whole(result.input),
       })
 
       div.appendChild(dt)
@@ -662,16 +1001,16 @@ export function decode(md) {
 
       if (parent?.name === `dl`) {
         parent.appendChild(div)
-        return parse(rest, ast)
       } else {
         const dl = node({
           name: `dl`,
           type: `block`,
+          position: p.position,
         })
         dl.appendChild(div)
         ast.appendChild(dl)
-        return parse(rest, ast)
       }
+      return
     }
 
     if (prev?.name === `dl`) {
@@ -680,36 +1019,48 @@ export function decode(md) {
       const dd = node({
         name: `dd`,
         type: `inline`,
-        children: inline(text),
+        children: inline(text, start),
+        position: whole(result.input),
       })
       div.appendChild(dd)
-      return parse(rest, ast)
+      return
     }
 
-    throw new Error(`invalid <dd> in "${result.input}"`)
+    // <dd> にできないので <p> として続ける
+    report(`invalid <dd> in "${result.input}"`, whole(result.input))
+    p(result.input)
   }
 
   /**
    * @param {RegExpExecArray} result
-   * @param {Array.<string>} rest
-   * @param {Node} ast
-   * @returns {Node}
    */
-  function table_caption(result, rest, ast) {
+  function table_caption(result) {
     const caption = result.groups.caption
+    open_table(caption, result.input.length - caption.length, result.input)
+  }
 
+  /**
+   * figure > figcaption + table > thead を作って
+   * thead までをスタックに積む
+   * @param {string} caption
+   * @param {number} start caption が行の何文字目から始まるか
+   * @param {string} input
+   */
+  function open_table(caption, start, input) {
     // table
     const thead = node({
       name: `thead`,
       type: `block`,
       level: 0,
+      position: whole(input),
     })
 
     const table = node({
       name: `table`,
       type: `block`,
       level: 0,
-      children: [thead]
+      children: [thead],
+      position: whole(input),
     })
 
     // figure
@@ -717,32 +1068,43 @@ export function decode(md) {
       name: `figcaption`,
       type: `inline`,
       text: caption,
-      level: 0
+      level: 0,
+      position: position(start, input.length),
     })
 
     const figure = node({
       name: `figure`,
       type: `block`,
       level: 0,
-      children: [figcaption, table]
+      children: [figcaption, table],
+      position: whole(input),
     })
 
-    ast.appendChild(figure)
-    return parse(rest, thead)
+    current().appendChild(figure)
+    stack.push(figure, table, thead)
   }
 
   /**
    * @param {RegExpExecArray} result
-   * @param {Array.<string>} rest
-   * @param {Node} ast
-   * @returns {Node}
    */
-  function table(result, rest, ast) {
-    if (ast.parent?.name !== `table`) throw new Error(`Table caption required before "${result.input}"`)
+  function table(result) {
+    if (stack.at(-2)?.name !== `table`) {
+      // caption 無しの table として続ける
+      report(`Table caption required before "${result.input}"`, whole(result.input))
+      open_table(``, 0, result.input)
+    }
 
     const row = result.groups.row
     const columns = row.split(`|`)
 
+    // 各 column の trim() した中身が行の何文字目から始まるか
+    const starts = columns.reduce((acc, column, i) => {
+      const prev = i === 0 ? 1 : acc[i - 1].end + 1
+      const start = prev + column.length - column.trimStart().length
+      acc.push({ start, end: prev + column.length })
+      return acc
+    }, []).map(({ start }) => start)
+
     if (row.startsWith(`:`) || row.startsWith(`-`)) {
       const aligns = columns.map((column) => {
         const start = Number(column.startsWith(`:`))
@@ -752,8 +1114,8 @@ export function decode(md) {
         if (end) return `right`
       })
 
-      const thead = ast
-      const table = ast.parent
+      const thead = stack.pop()
+      const table = current()
 
       // 既にある thead > tr > th に align を付与
       const tr = thead.children.at(0)
@@ -764,20 +1126,24 @@ export function decode(md) {
       const tbody = node({
         name: `tbody`,
         type: `block`,
-        aligns: aligns
+        aligns: aligns,
+        position: whole(result.input),
       })
 
       table.appendChild(tbody)
-      return parse(rest, tbody)
+      stack.push(tbody)
+      return
     }
 
-    if (ast.name === `thead`) {
-      const thead = ast
-      const th = columns.map((column) => {
+    if (current().name === `thead`) {
+      const thead = current()
+      const th = columns.map((column, i) => {
+        const text = column.trim()
         return node({
           name: `th`,
           type: `inline`,
-          children: inline(column.trim()),
+          children: inline(text, starts[i]),
+          position: position(starts[i], starts[i] + text.length),
         })
       })
 
@@ -786,189 +1152,267 @@ export function decode(md) {
         type: `block`,
         level: 0,
         children: th,
+        position: whole(result.input),
       })
 
       thead.appendChild(tr)
-      return parse(rest, thead)
+      return
     }
 
-    if (ast.name === `tbody`) {
-      const tbody = ast
+    if (current().name === `tbody`) {
+      const tbody = current()
       const aligns = tbody.aligns
 
       const tr = node({
         name: `tr`,
         type: `block`,
         level: 0,
+        position: whole(result.input),
       })
 
       columns.forEach((column, i) => {
         const align = aligns.at(i)
+        const text = column.trim()
         const td = node({
           name: `td`,
           type: `inline`,
           attr: map({ align }),
-          children: inline(column.trim()),
+          children: inline(text, starts[i]),
+          position: position(starts[i], starts[i] + text.length),
         })
         tr.appendChild(td)
       })
 
       tbody.appendChild(tr)
-      return parse(rest, tbody)
     }
   }
 
   /**
    * @param {RegExpExecArray} result
-   * @param {Array.<string>} rest
-   * @param {Node} ast
-   * @returns {Node}
    */
-  function pre(result, rest, ast) {
-    const { lang, path } = result.groups
+  function pre(result) {
+    const { lang, path, options } = result.groups
     const attr = new Map()
 
     if (lang) {
-      if (lang.startsWith(` `) || lang.endsWith(` `)) throw new Error(`too many spaces around "${result.input}"`)
+      if (lang.startsWith(` `) || lang.endsWith(` `)) report(`too many spaces around "${result.input}"`, whole(result.input))
       attr.set(`lang`, lang)
     }
 
     if (path) {
-      if (path.startsWith(` `) || path.endsWith(` `)) throw new Error(`too many spaces around "${result.input}"`)
-      attr.set(`path`, path)
+      if (path.startsWith(` `) || path.endsWith(` `)) report(`too many spaces around "${result.input}"`, whole(result.input))
+      // :path#L10-L40 はファイルの 10-40 行目だけを読む
+      const { file, start, end } = /^(?<file>.*?)(#L(?<start>\d+)(-L(?<end>\d+))?)?$/.exec(path).groups
+      attr.set(`path`, file)
+      if (start) {
+        attr.set(`_start`, start)
+        if (end) attr.set(`_end`, end)
+        if (parseInt(start) < 1 || parseInt(end ?? start) < parseInt(start)) {
+          report(`invalid line range "${path.slice(file.length)}" in "${result.input}"`, whole(result.input))
+        }
+      }
+    }
+
+    // {3,5-7} で強調する行、 numbered で行番号
+    for (const [, option] of (options ?? ``).matchAll(/ (\{[^}]*\}|numbered)/g)) {
+      if (option === `numbered`) {
+        attr.set(`_numbered`, option)
+        continue
+      }
+      const spec = option.slice(1, -1)
+      const valid = /^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(spec) && spec.split(`,`).every((range) => {
+        const [start, end] = range.split(`-`).map((n) => parseInt(n))
+        return 0 < start && start <= (end ?? start)
+      })
+      if (valid === false) {
+        report(`invalid line spec "${option}" in "${result.input}"`, whole(result.input))
+        continue
+      }
+      attr.set(`_highlight`, spec)
+    }
+
+    // 範囲指定があれば、強調する行はその範囲に収まっている必要がある
+    if (attr.has(`_start`) && attr.has(`_highlight`)) {
+      const start = parseInt(attr.get(`_start`))
+      const end = parseInt(attr.get(`_end`) ?? attr.get(`_start`))
+      const line = parse_lines(attr.get(`_highlight`)).find((n) => n < start || end < n)
+      if (line !== undefined) report(`highlight line ${line} is out of range in "${result.input}"`, whole(result.input))
     }
 
     // already in <pre>
-    if (ast.name === `pre`) return parse(rest, ast.parent)
+    if (current().name === `pre`) {
+      const pre = stack.pop()
+      // 閉じの ``` までを <pre> の範囲とする
+      pre.position.end = whole(result.input).end
+
+      // path の場合は build 時にファイルを読むまで行数がわからない
+      if (pre.attr.has(`path`) === false) {
+        const length = pre.children.length
+        const line = parse_lines(pre.attr.get(`_highlight`)).find((n) => n > length)
+        if (line !== undefined) report(`highlight line ${line} is out of range L1-L${length} in code block`, pre.position)
+      }
+      return
+    }
 
     const pre = node({
       name: `pre`,
       type: `block`,
-      attr
+      attr,
+      position: whole(result.input),
     })
 
-    ast.appendChild(pre)
-    return parse(rest, pre)
+    current().appendChild(pre)
+    stack.push(pre)
+  }
+
+  /**
+   * $$
+   * tex
+   * $$
+   * @param {string} head
+   */
+  function math(head) {
+    if (current().name === `math`) {
+      const math = stack.pop()
+      // 閉じの $$ までを範囲とする
+      math.position.end = whole(head).end
+      const tex = math.children.map(({ text }) => text).join(`\n`)
+      validate_math(tex, true, math.position)
+      return
+    }
+
+    const math = node({
+      name: `math`,
+      type: `block`,
+      position: whole(head),
+    })
+    current().appendChild(math)
+    stack.push(math)
   }
 
   /**
    * @param {RegExpExecArray} result
-   * @param {Array.<string>} rest
-   * @param {Node} ast
-   * @returns {Node}
    */
-  function html(result, rest, ast) {
-    if (ast.name !== `html`) {
+  function html(result) {
+    if (current().name !== `html`) {
       const html = node({
         name: `html`,
         type: `block`,
+        position: whole(result.input),
       })
-      html.addText(result.input)
-      ast.appendChild(html)
-      return parse(rest, html)
+      html.addText(result.input, whole(result.input))
+      current().appendChild(html)
+      stack.push(html)
     } else {
-      ast.addText(result.input)
-      return parse(rest, ast)
+      current().addText(result.input, whole(result.input))
     }
   }
 
   /**
    * @param {string} name
    * @param {RegExpExecArray} result
-   * @param {Array.<string>} rest
-   * @param {Node} ast
-   * @returns {Node}
    */
-  function list(name, result, rest, ast) {
+  function list(name, result) {
     const { indent, spaces, text } = result.groups
+    const start = result.input.length - text.length
 
-    if (spaces.length > 1) throw new Error(`too many spaces in "${result.input}"`)
-    if (text.endsWith(` `)) throw new Error(`too many spaces in "${result.input}"`)
+    if (spaces.length > 1) report(`too many spaces in "${result.input}"`, position(start - spaces.length, start))
+    if (text.endsWith(` `)) report(`too many spaces in "${result.input}"`, whole(result.input))
 
     const INDENT = 2
 
-    if (indent.length % INDENT !== 0) throw new Error(`odd indent in list "${result.input}"`)
+    if (indent.length % INDENT !== 0) report(`odd indent in list "${result.input}"`, position(0, indent.length))
 
-    const level = indent.length / INDENT
+    // odd indent を続ける場合は浅い方に寄せる
+    const level = Math.floor(indent.length / INDENT)
 
     const li = node({
       name: `li`,
       type: `inline`,
       level,
-      children: inline(text),
+      children: inline(text, start),
+      position: position(indent.length, result.input.length),
     })
 
-    // 親が <ul> / <ol> な場合、混ざっててもレベルで判断。
-    if ([`ul`, `ol`].includes(ast.name)) {
-      if (ast.level === level) {
-        // in <ul>/<ol> and same level <li>
-        ast.appendChild(li)
-        return parse(rest, ast)
-      }
-      if (ast.level === level - 1) {
-        // in <ul>/<ol> but lower level <li>
-        const parent = ast.lastChild()
-        const list = node({
-          name,
-          type: `block`,
-          level,
-        })
-        list.appendChild(li)
-        parent.appendChild(list)
-        return parse(rest, list)
-      }
-      if (ast.level > level) {
-        // in <ul>/<ol> but upper level <li>
-        while (true) {
-          if (ast.name === name && ast.level === level) break
-          ast = ast.parent
-        }
-        ast.appendChild(li)
-        return parse(rest, ast)
-      }
-    } else {
-      // 親が <ul> / <ol> じゃないのでここからはじまる
+    /**
+     * 今のコンテナの下に新しい <ul>/<ol> を始める
+     * @param {number} level
+     */
+    function open_list(level) {
       const list = node({
         name,
         type: `block`,
         level,
+        position: li.position,
       })
       list.appendChild(li)
-      ast.appendChild(list)
-      return parse(rest, list)
+      current().appendChild(list)
+      stack.push(list)
+    }
+
+    // 親が <ul> / <ol> じゃないのでここからはじまる
+    if ([`ul`, `ol`].includes(current().name) === false) return open_list(level)
+
+    // 親が <ul> / <ol> な場合、混ざっててもレベルで判断。
+    if (current().level === level) {
+      // in <ul>/<ol> and same level <li>
+      current().appendChild(li)
+      return
+    }
+
+    if (current().level < level) {
+      // in <ul>/<ol> but lower level <li>
+      // 一段ずつしか深くできないので、飛ばした場合は一段下として続ける
+      if (current().level !== level - 1) report(`invalid list level "${result.input}"`, position(0, indent.length))
+      const nested = current().level + 1
+      // 直前の <li> の下にネストする
+      stack.push(current().lastChild())
+      return open_list(nested)
+    }
+
+    // in <ul>/<ol> but upper level <li>
+    while ([`ul`, `ol`, `li`].includes(current().name)) {
+      if (current().name === name && current().level === level) {
+        current().appendChild(li)
+        return
+      }
+      stack.pop()
     }
+    // 同じレベルのリストが無かったのでここからはじめる
+    open_list(level)
   }
 
   /**
    * @param {RegExpExecArray} result
-   * @param {Array.<string>} rest
-   * @param {Node} ast
-   * @returns {Node}
    */
-  function blockquote(result, rest, ast) {
+  function blockquote(result) {
     const { spaces, text } = result.groups
+    const start = result.input.length - text.length
 
-    if (spaces.length > 1) throw new Error(`too many spaces in "${result.input}"`)
-    if (text.endsWith(` `)) throw new Error(`too many spaces around "${result.input}"`)
+    if (spaces.length > 1) report(`too many spaces in "${result.input}"`, position(1, start))
+    if (text.endsWith(` `)) report(`too many spaces around "${result.input}"`, whole(result.input))
 
     const blockquote = (() => {
-      if (ast.name === `blockquote`) return ast
+      if (current().name === `blockquote`) return current()
       const blockquote = node({
         name: `blockquote`,
         type: `block`,
+        position: whole(result.input),
       })
-      ast.appendChild(blockquote)
+      current().appendChild(blockquote)
+      stack.push(blockquote)
       return blockquote
     })()
 
     const p = node({
       name: `p`,
       type: `inline`,
+      position: position(start, result.input.length),
     })
     blockquote.appendChild(p)
 
     if (text.startsWith(`--- `)) {
-      const link = inline(text.slice(4))
+      const link = inline(text.slice(4), start + 4)
 
       // url to <blockquote cite=${url}>
       const url = link[0].attr.get(`href`)
@@ -978,56 +1422,67 @@ export function decode(md) {
       const cite = node({
         name: `cite`,
         type: `inline`,
-        children: link
+        children: link,
+        position: position(start + 4, result.input.length),
       })
-      p.addText(`--- `)
+      p.addText(`--- `, position(start, start + 4))
       p.appendChild(cite)
     } else {
-      p.appendChildren(inline(text))
+      p.appendChildren(inline(text, start))
     }
-    return parse(rest, blockquote)
   }
 
   /**
    * `:::details`, `:::message`, `:::message alert` に対応
-   * ただし rise() する先がわからなくなるので node は全て `details`
+   * ただし close() する先がわからなくなるので node は全て `details`
    *
    * @param {RegExpExecArray} result
-   * @param {Array.<string>} rest
-   * @param {Node} ast
-   * @returns {Node}
    */
-  function details(result, rest, ast) {
+  function details(result) {
     const groups = result.groups
 
-    // end <details>
+    // end <details> or <aside>
     if (groups.symbol === undefined && groups.spaces === undefined && groups.text === undefined) {
-      const details = rise(ast, `details`) // 登る先を固定するため details に統一
-      return parse(rest, details.parent)
+      // 一番内側で開いている details か callout を閉じる
+      const container = stack.slice().reverse().find(({ name }) => name === `details` || name === `callout`)
+      if (container === undefined) {
+        // 開いていない ::: は無視して続ける
+        report(`unmatched ::: in "${result.input}"`, whole(result.input))
+        return
+      }
+      close(container.name)
+      // 閉じの ::: までを範囲とする
+      container.position.end = whole(result.input).end
+      stack.pop()
+      return
     }
 
+    if (CALLOUTS.includes(groups.symbol)) return callout(result)
+
     const { symbol, text } = (({ symbol, spaces, text }) => {
       if (symbol === `details`) {
-        if (spaces.length > 1) throw new Error(`too many spaces in "${result.input}"`)
-        if (text.length < 1) throw new Error(`text required in details "${result.input}"`)
-        if (text.endsWith(` `)) throw new Error(`too many spaces around "${result.input}"`)
+        if (spaces.length > 1) report(`too many spaces in "${result.input}"`, whole(result.input))
+        if (text.length < 1) report(`text required in details "${result.input}"`, whole(result.input))
+        if (text.endsWith(` `)) report(`too many spaces around "${result.input}"`, whole(result.input))
         return { symbol, text }
       }
 
       if (symbol === `message` && text === `alert`) {
-        if (spaces.length > 1) throw new Error(`too many spaces in "${result.input}"`)
-        if (text.endsWith(` `)) throw new Error(`too many spaces around "${result.input}"`)
+        if (spaces.length > 1) report(`too many spaces in "${result.input}"`, whole(result.input))
+        if (text.endsWith(` `)) report(`too many spaces around "${result.input}"`, whole(result.input))
         symbol = text
         return { symbol, text }
       }
 
       if (symbol === `message`) {
-        if (spaces && spaces.length > 1) throw new Error(`too many spaces in "${result.input}"`)
+        if (spaces && spaces.length > 1) report(`too many spaces in "${result.input}"`, whole(result.input))
         text = symbol
         return { symbol, text }
       }
 
-      throw new Error(`start of ::: should have "details" or "message" in "${result.input}"`)
+      // details として続ける
+      report(`start of ::: should have "details", "message" or callout in "${result.input}"`, whole(result.input))
+      return { symbol: `details`, text: result.input.slice(3) }
     })(groups);
 
     /**
@@ -1038,54 +1493,121 @@ export function decode(md) {
      * </details>
      */
     const details = (() => {
-      if (ast.name === `details`) return ast
+      if (current().name === `details`) return current()
       const details = node({
         name: `details`,
         type: `block`,
         attr: map({ class: symbol }), // message, alert はこの class で判別
+        position: whole(result.input),
       })
-      ast.appendChild(details)
+      current().appendChild(details)
+      stack.push(details)
       return details
     })()
 
     const summary = node({
       name: `summary`,
       type: `inline`,
+      position: whole(result.input),
     })
-    summary.addText(text)
+    summary.addText(text, whole(result.input))
     details.appendChild(summary)
 
     const section = node({
       name: `section`,
       type: `block`,
+      position: whole(result.input),
     })
     details.appendChild(section)
+    stack.push(section)
+  }
+
+  /**
+   * `:::note`, `:::warning`, `:::deprecated [since]` に対応
+   * 中身は details と同じく section に入れて ::: で閉じる
+   *
+   * @param {RegExpExecArray} result
+   */
+  function callout(result) {
+    const { symbol, spaces, text } = result.groups
+
+    if (spaces && spaces.length > 1) report(`too many spaces in "${result.input}"`, whole(result.input))
+    if (text && text.endsWith(` `)) report(`too many spaces around "${result.input}"`, whole(result.input))
+    if (symbol !== `deprecated` && text) report(`text not allowed in ${symbol} "${result.input}"`, whole(result.input))
+
+    /**
+     * <aside role=note class="callout note">
+     *  <p class=callout-title>Note
+     *  ...
+     * </aside>
+     */
+    // role=alert は読み込んだときに読み上げられてしまうので、 warning なども note にして種類は class で表す
+    const callout = node({
+      name: `callout`,
+      type: `block`,
+      attr: map({ role: `note`, class: `callout ${symbol}`, _type: symbol }),
+      position: whole(result.input),
+    })
+    if (symbol === `deprecated` && text) callout.attr.set(`_since`, text)
+    current().appendChild(callout)
+    stack.push(callout)
+
+    const section = node({
+      name: `section`,
+      type: `block`,
+      position: whole(result.input),
+    })
+    callout.appendChild(section)
+    stack.push(section)
+  }
+
+  /**
+   * [^id]: text
+   * @param {RegExpExecArray} result
+   */
+  function footnote(result) {
+    const { id, spaces, text } = result.groups
+    const start = result.input.length - text.length
+
+    if (spaces.length > 1) report(`too many spaces in "${result.input}"`, position(start - spaces.length, start))
+    if (text.endsWith(` `)) report(`too many spaces around "${result.input}"`, whole(result.input))
+
+    if (definitions.has(id)) {
+      // 後の定義は無視して続ける
+      report(`duplicated footnote "[^${id}]" in "${result.input}"`, whole(result.input))
+      return
+    }
 
-    return parse(rest, section)
+    const footnote = node({
+      name: `footnote`,
+      type: `inline`,
+      attr: map({ id }),
+      children: inline(text, start),
+      position: whole(result.input),
+    })
+    definitions.set(id, footnote)
   }
 
   /**
    * @param {string} head
-   * @param {Array.<string>} rest
-   * @param {Node} ast
-   * @returns {Node}
    */
-  function p(head, rest, ast) {
-    ast.children.push(node({
+  function p(head) {
+    current().appendChild(node({
       name: `p`,
       type: `inline`,
-      children: inline(head),
+      children: inline(head, 0),
+      position: whole(head),
     }))
-    return parse(rest, ast)
   }
 
   /**
    * @param {string} input
-   * @param {number} _i
+   * @param {number} start 行の何文字目から input が始まるか
    * @returns {Array.<Node>}
    */
-  function inline(input, _i = 0) {
-    const { children, i } = inline_parse(input, _i)
+  function inline(input, start) {
+    offset = start
+    const { children, i } = inline_parse(input, 0)
     if (input.length !== i) console.assert(input.length == i, `input.length = ${input.length} but i = ${i}`)
     return children
   }
@@ -1105,47 +1627,63 @@ export function decode(md) {
         continue
       }
       if (input[i] === `*` && input[i + 1] === `*`) {
-        if (input[i - 1] === ` ` && input[i - 2] === ` `) throw new Error(`too many spaces before "${input}"`)
-        if (input[i + 2] === ` `) throw new Error(`too many spaces in "${input}"`)
-        if (start < i) parent.addText(input.slice(start, i));
+        if (input[i - 1] === ` ` && input[i - 2] === ` `) report(`too many spaces before "${input}"`, span(i - 2, i))
+        if (input[i + 2] === ` `) report(`too many spaces in "${input}"`, span(i + 2, i + 3))
+        if (start < i) parent.addText(input.slice(start, i), span(start, i));
         ({ child, i } = strong(input, i + 2))
-        if (input[i] === ` ` && input[i + 1] === ` `) throw new Error(`too many spaces after "${input}"`)
+        if (input[i] === ` ` && input[i + 1] === ` `) report(`too many spaces after "${input}"`, span(i, i + 2))
         start = i
         parent.appendChild(child)
       }
       else if (input[i] === `*`) {
-        if (input[i - 1] === ` ` && input[i - 2] === ` `) throw new Error(`too many spaces before "${input}"`)
-        if (input[i + 1] === ` `) throw new Error(`too many spaces in "${input}"`)
-        if (start < i) parent.addText(input.slice(start, i));
+        if (input[i - 1] === ` ` && input[i - 2] === ` `) report(`too many spaces before "${input}"`, span(i - 2, i))
+        if (input[i + 1] === ` `) report(`too many spaces in "${input}"`, span(i + 1, i + 2))
+        if (start < i) parent.addText(input.slice(start, i), span(start, i));
         ({ child, i } = em(input, i + 1))
-        if (input[i] === ` ` && input[i + 1] === ` `) throw new Error(`too many spaces after "${input}"`)
+        if (input[i] === ` ` && input[i + 1] === ` `) report(`too many spaces after "${input}"`, span(i, i + 2))
         start = i
         parent.appendChild(child)
       }
       else if (input[i] === "`") {
-        if (input[i - 1] === ` ` && input[i - 2] === ` `) throw new Error(`too many spaces before "${input}"`)
-        if (input[i + 1] === ` `) throw new Error(`too many spaces in "${input}"`)
-        if (start < i) parent.addText(input.slice(start, i));
+        if (input[i - 1] === ` ` && input[i - 2] === ` `) report(`too many spaces before "${input}"`, span(i - 2, i))
+        if (input[i + 1] === ` `) report(`too many spaces in "${input}"`, span(i + 1, i + 2))
+        if (start < i) parent.addText(input.slice(start, i), span(start, i));
         ({ child, i } = code(input, i + 1))
-        if (input[i] === ` ` && input[i + 1] === ` `) throw new Error(`too many spaces after "${input}"`)
+        if (input[i] === ` ` && input[i + 1] === ` `) report(`too many spaces after "${input}"`, span(i, i + 2))
+        start = i
+        parent.appendChild(child)
+      }
+      else if (input[i] === `$` && INLINE_MATH.test(input.slice(i))) {
+        if (input[i - 1] === ` ` && input[i - 2] === ` `) report(`too many spaces before "${input}"`, span(i - 2, i))
+        if (start < i) parent.addText(input.slice(start, i), span(start, i));
+        ({ child, i } = inline_math(input, i))
+        if (input[i] === ` ` && input[i + 1] === ` `) report(`too many spaces after "${input}"`, span(i, i + 2))
+        start = i
+        parent.appendChild(child)
+      }
+      else if (input[i] === `[` && input[i + 1] === `^` && /^\[\^[\w-]+\]/.test(input.slice(i))) {
+        if (input[i - 1] === ` ` && input[i - 2] === ` `) report(`too many spaces before "${input}"`, span(i - 2, i))
+        if (start < i) parent.addText(input.slice(start, i), span(start, i));
+        ({ child, i } = footnote_ref(input, i + 2))
+        if (input[i] === ` ` && input[i + 1] === ` `) report(`too many spaces after "${input}"`, span(i, i + 2))
         start = i
         parent.appendChild(child)
       }
       else if (input[i] === `[`) {
-        if (input[i - 1] === ` ` && input[i - 2] === ` `) throw new Error(`too many spaces before "${input}"`)
+        if (input[i - 1] === ` ` && input[i - 2] === ` `) report(`too many spaces before "${input}"`, span(i - 2, i))
         // link じゃないかもしれないので、ここでは空白判定はしない
-        if (start < i) parent.addText(input.slice(start, i));
+        if (start < i) parent.addText(input.slice(start, i), span(start, i));
         ({ child, i } = link(input, i + 1))
-        if (input[i] === ` ` && input[i + 1] === ` `) throw new Error(`too many spaces after "${input}"`)
+        if (input[i] === ` ` && input[i + 1] === ` `) report(`too many spaces after "${input}"`, span(i, i + 2))
         start = i
         parent.appendChild(child)
       }
       else if (input[i] === `<`) {
-        if (input[i - 1] === ` ` && input[i - 2] === ` `) throw new Error(`too many spaces before "${input}"`)
+        if (input[i - 1] === ` ` && input[i - 2] === ` `) report(`too many spaces before "${input}"`, span(i - 2, i))
         // これがただの < かもしれないので、ここでは空白判定はしない
-        if (start < i) parent.addText(input.slice(start, i));
+        if (start < i) parent.addText(input.slice(start, i), span(start, i));
         ({ child, i } = short_link(input, i + 1))
-        if (input[i] === ` ` && input[i + 1] === ` `) throw new Error(`too many spaces after "${input}"`)
+        if (input[i] === ` ` && input[i + 1] === ` `) report(`too many spaces after "${input}"`, span(i, i + 2))
         start = i
         parent.appendChild(child)
       }
@@ -1154,18 +1692,18 @@ export function decode(md) {
           // 文の途中にある > はタダのカッコ
           i++
         } else {
-          if (input[i - 1] === ` `) throw new Error(`too many spaces in "${input}"`);
+          if (input[i - 1] === ` `) report(`too many spaces in "${input}"`, span(i - 1, i));
           ({ child, i } = inline_blockquote(input, i + 2))
           start = i
           parent.appendChild(child)
         }
       }
       else if (input[i] === `!` && input[i + 1] === `[`) {
-        if (input[i - 1] === ` ` && input[i - 2] === ` `) throw new Error(`too many spaces before "${input}"`)
-        if (input[i + 2] === ` `) throw new Error(`too many spaces in "${input}"`)
-        if (start < i) parent.addText(input.slice(start, i));
+        if (input[i - 1] === ` ` && input[i - 2] === ` `) report(`too many spaces before "${input}"`, span(i - 2, i))
+        if (input[i + 2] === ` `) report(`too many spaces in "${input}"`, span(i + 2, i + 3))
+        if (start < i) parent.addText(input.slice(start, i), span(start, i));
         ({ child, i } = img(input, i + 2))
-        if (input[i] === ` ` && input[i + 1] === ` `) throw new Error(`too many spaces after "${input}"`)
+        if (input[i] === ` ` && input[i + 1] === ` `) report(`too many spaces after "${input}"`, span(i, i + 2))
         start = i
         parent.appendChild(child)
       }
@@ -1180,7 +1718,7 @@ export function decode(md) {
         input[i + 7] !== ` ` &&
         input[i + 7] !== undefined
       ) {
-        if (start < i) parent.addText(input.slice(start, i));
+        if (start < i) parent.addText(input.slice(start, i), span(start, i));
         ({ child, i } = smart_link(input, i))
         start = i
         parent.appendChild(child)
@@ -1197,7 +1735,7 @@ export function decode(md) {
         input[i + 8] !== ` ` &&
         input[i + 8] !== undefined
       ) {
-        if (start < i) parent.addText(input.slice(start, i));
+        if (start < i) parent.addText(input.slice(start, i), span(start, i));
         ({ child, i } = smart_link(input, i))
         start = i
         parent.appendChild(child)
@@ -1207,8 +1745,8 @@ export function decode(md) {
       }
     }
     if (start < i) {
-      if (input[i - 1] === ` `) throw new Error(`too many spaces around "${input}"`)
-      parent.addText(input.slice(start, i))
+      if (input[i - 1] === ` `) report(`too many spaces around "${input}"`, span(i - 1, i))
+      parent.addText(input.slice(start, i), span(start, i))
     }
     return { children: parent.children, i }
   }
@@ -1219,6 +1757,7 @@ export function decode(md) {
    * @returns {{child: Node, i: number}}
    */
   function img(input, i) {
+    const open = i - 2 // `![`
     // parse alt
     const alt_start = i
     // parse alt
@@ -1228,13 +1767,13 @@ export function decode(md) {
       }
       i++
     }
-    if (input[i - 1] === ` `) throw new Error(`too many spaces in "${input}"`)
+    if (input[i - 1] === ` `) report(`too many spaces in "${input}"`, span(i - 1, i))
 
     const alt = input.slice(alt_start, i)
 
     i += 2 // skip `](`
 
-    if (input[i + 1] === ` `) throw new Error(`too many spaces in "${input}"`)
+    if (input[i + 1] === ` `) report(`too many spaces in "${input}"`, span(i + 1, i + 2))
 
     // parse url
     const url_start = i
@@ -1244,7 +1783,7 @@ export function decode(md) {
         break
       }
       if (input[i] === ` `) {
-        if (url_start === i) throw new Error(`too many spaces in "${input}"`)
+        if (url_start === i) report(`too many spaces in "${input}"`, span(i, i + 1))
         title_exists = true
         break
       }
@@ -1264,28 +1803,35 @@ export function decode(md) {
 
     if (title_exists) {
       const title_open = input[i]
-      if (![`'`, `"`].includes(title_open)) throw new Error(`invalid ![img]() title open in "${input}"`)
+      if (![`'`, `"`].includes(title_open)) report(`invalid ![img]() title open in "${input}"`, span(i, i + 1))
       i++
 
-      if (input[i] === ` `) throw new Error(`too many spaces in "${input}"`)
+      if (input[i] === ` `) report(`too many spaces in "${input}"`, span(i, i + 1))
 
       const title_start = i
+      let title_closed = true
       while (true) {
-        if (i > input.length - 1) throw new Error(`invalid ![img]() title close in "${input}"`)
+        if (i > input.length - 1) {
+          // 残りを全て title として続ける
+          report(`invalid ![img]() title close in "${input}"`, span(title_start - 1, i))
+          title_closed = false
+          i = input.length
+          break
+        }
         if (input[i] === title_open && input[i + 1] === `)`) {
           break
         }
         i++
       }
 
-      if (input[i - 1] === ` `) throw new Error(`too many spaces in "${input}"`)
+      if (input[i - 1] === ` `) report(`too many spaces in "${input}"`, span(i - 1, i))
 
       const title = input.slice(title_start, i)
       attr.set(`title`, title)
-      i += 2
+      if (title_closed) i += 2
     }
 
-    const img = node({ name: `img`, type: `block`, attr })
+    const img = node({ name: `img`, type: `block`, attr, position: span(open, i) })
     return { child: img, i }
   }
 
@@ -1309,7 +1855,7 @@ export function decode(md) {
         // もしそこまでに text があったら
         // (e.g. "aaa `code`")
         if (text_start < i) {
-          child.addText(input.slice(text_start, i))
+          child.addText(input.slice(text_start, i), span(text_start, i))
         }
         const inline_code = code(input, i + 1)
         text_start = i = inline_code.i
@@ -1329,7 +1875,7 @@ export function decode(md) {
           break
         } else {
           // 実はリンクじゃなかった (e.g. "this is [not] link")
-          const child = node({ name: `text`, type: `inline`, text: input.slice(text_start - 1, i) })
+          const child = node({ name: `text`, type: `inline`, text: input.slice(text_start - 1, i), position: span(text_start - 1, i) })
           return { child, i }
         }
       }
@@ -1337,14 +1883,15 @@ export function decode(md) {
     }
 
     // link だったことがわかったのでここで空白判定
-    if (input[start] === ` `) throw new Error(`too many spaces in "${input}"`)
-    if (input[i - 1] === ` `) throw new Error(`too many spaces in "${input}"`)
+    if (input[start] === ` `) report(`too many spaces in "${input}"`, span(start, start + 1))
+    if (input[i - 1] === ` `) report(`too many spaces in "${input}"`, span(i - 1, i))
 
     const text = input.slice(text_start, i)
+    const text_end = i
     i += 2 // skip `](`
     const url_start = i
 
-    if (input[i] === ` `) throw new Error(`too many spaces in "${input}"`)
+    if (input[i] === ` `) report(`too many spaces in "${input}"`, span(i, i + 1))
 
     while (i < input.length) {
       if (input[i] === `\\`) {
@@ -1357,15 +1904,63 @@ export function decode(md) {
       i++
     }
 
-    if (input[i - 1] === ` `) throw new Error(`too many spaces in "${input}"`)
+    if (input[i - 1] === ` `) report(`too many spaces in "${input}"`, span(i - 1, i))
 
     const href = input.slice(url_start, i)
     i++ // skip `)`
     child.attr = map({ href })
-    child.addText(text)
+    child.position = span(start - 1, i)
+    child.addText(text, span(text_start, text_end))
     return { child, i }
   }
 
+  /**
+   * e.g. [^id]
+   * @param {string} input
+   * @param {number} i
+   * @returns {{child: Node, i: number}}
+   */
+  function footnote_ref(input, i) {
+    const id_start = i
+    while (input[i] !== `]`) {
+      i++
+    }
+    const id = input.slice(id_start, i)
+    i++ // skip `]`
+    const child = node({ name: `footnote_ref`, type: `inline`, attr: map({ id }), position: span(id_start - 2, i) })
+    references.push(child)
+    return { child, i }
+  }
+
+  /**
+   * $tex$ の中身は escape も含めてそのまま持つ
+   * @param {string} input
+   * @param {number} i "$" の位置
+   * @returns {{child: Node, i: number}}
+   */
+  function inline_math(input, i) {
+    const { tex } = INLINE_MATH.exec(input.slice(i)).groups
+    const end = i + tex.length + 2
+    const child = node({ name: `math`, type: `inline`, position: span(i, end) })
+    child.appendChild(node({ name: `text`, type: `inline`, text: tex, position: span(i + 1, end - 1) }))
+    validate_math(tex, false, child.position)
+    return { child, i: end }
+  }
+
+  /**
+   * encode できない数式はここで report しておく
+   * @param {string} tex
+   * @param {boolean} display
+   * @param {Position} position
+   */
+  function validate_math(tex, display, position) {
+    try {
+      tex_to_mathml(tex, display)
+    } catch (err) {
+      report(`${err.message} in math "${tex}"`, position)
+    }
+  }
+
   /**
    * e.g. <https://example.com>
    * @param {string} input
@@ -1377,7 +1972,7 @@ export function decode(md) {
       if (i > input.length - 1) {
         // 実際は Link じゃなかったので text として処理 (e.g.  10 < 20)
         const text = `<${input.slice(url_start, i)}`
-        const child = node({ name: `text`, type: `inline`, text })
+        const child = node({ name: `text`, type: `inline`, text, position: span(url_start - 1, i) })
         return { child, i }
       }
       if (input[i] === `>`) {
@@ -1386,13 +1981,13 @@ export function decode(md) {
       i++
     }
 
-    if (input[url_start] === ` `) throw new Error(`too many spaces in "${input}"`)
-    if (input[i - 1] === ` `) throw new Error(`too many spaces in "${input}"`)
+    if (input[url_start] === ` `) report(`too many spaces in "${input}"`, span(url_start, url_start + 1))
+    if (input[i - 1] === ` `) report(`too many spaces in "${input}"`, span(i - 1, i))
 
     const href = input.slice(url_start, i)
     const attr = map({ href })
-    const child = node({ name: `a`, type: `inline`, attr })
-    child.addText(href)
+    const child = node({ name: `a`, type: `inline`, attr, position: span(url_start - 1, i + 1) })
+    child.addText(href, span(url_start, i))
 
     i++ // skip `>`
 
@@ -1416,8 +2011,8 @@ export function decode(md) {
     }
     const href = input.slice(url_start, i)
     const attr = map({ href })
-    const child = node({ name: `a`, type: `inline`, attr })
-    child.addText(href)
+    const child = node({ name: `a`, type: `inline`, attr, position: span(url_start, i) })
+    child.addText(href, span(url_start, i))
     return { child, i }
   }
 
@@ -1427,11 +2022,16 @@ export function decode(md) {
    * @returns {{child: Node, i: number}}
    */
   function em(input, i) {
+    const open = i - 1 // `*`
     let text_start = i
     const child = node({ name: `em`, type: `inline` })
     while (true) {
       // "* a * b *" みたいにマッチしてない場合
-      if (i > input.length) throw new Error(`unmatched </em> on "${input}"`)
+      if (i > input.length) {
+        // 閉じていないので残りを text として続ける
+        report(`unmatched </em> on "${input}"`, span(open, input.length))
+        return unmatched(input, open)
+      }
 
       // escape を無視
       if (input[i] === `\\`) {
@@ -1447,7 +2047,7 @@ export function decode(md) {
         // もしそこまでに text があったら
         // (e.g. "aaa `code`")
         if (text_start < i) {
-          child.addText(input.slice(text_start, i))
+          child.addText(input.slice(text_start, i), span(text_start, i))
         }
         const inline_code = code(input, i + 1)
         text_start = i = inline_code.i
@@ -1456,8 +2056,9 @@ export function decode(md) {
       }
       i++
     }
-    if (input[i - 1] === ` `) throw new Error(`too many spaces in "${input}"`)
-    if (text_start < i) child.addText(input.slice(text_start, i))
+    if (input[i - 1] === ` `) report(`too many spaces in "${input}"`, span(i - 1, i))
+    if (text_start < i) child.addText(input.slice(text_start, i), span(text_start, i))
+    child.position = span(open, i + 1)
     return { child, i: i + 1 }
   }
 
@@ -1467,11 +2068,16 @@ export function decode(md) {
    * @returns {{child: Node, i: number}}
    */
   function strong(input, i) {
+    const open = i - 2 // `**`
     let text_start = i
     const child = node({ name: `strong`, type: `inline` })
     while (true) {
       // "** a" みたいにマッチしてない場合
-      if (i > input.length) throw new Error(`unmatched </strong> on "${input}"`)
+      if (i > input.length) {
+        // 閉じていないので残りを text として続ける
+        report(`unmatched </strong> on "${input}"`, span(open, input.length))
+        return unmatched(input, open)
+      }
 
       // escape を無視
       if (input[i] === `\\`) {
@@ -1487,7 +2093,7 @@ export function decode(md) {
         // もしそこまでに text があったら
         // (e.g. "aaa `code`")
         if (text_start < i) {
-          child.addText(input.slice(text_start, i))
+          child.addText(input.slice(text_start, i), span(text_start, i))
         }
         const inline_code = code(input, i + 1)
         text_start = i = inline_code.i
@@ -1496,8 +2102,9 @@ export function decode(md) {
       }
       i++
     }
-    if (input[i - 1] === ` `) throw new Error(`too many spaces in "${input}"`)
-    if (text_start < i) child.addText(input.slice(text_start, i))
+    if (input[i - 1] === ` `) report(`too many spaces in "${input}"`, span(i - 1, i))
+    if (text_start < i) child.addText(input.slice(text_start, i), span(text_start, i))
+    child.position = span(open, i + 2)
     return { child, i: i + 2 }
   }
 
@@ -1507,12 +2114,17 @@ export function decode(md) {
    * @returns {{child: Node, i: number}}
    */
   function code(input, i) {
+    const open = i - 1 // "`"
     const text_start = i
     const attr = map({ translate: `no` })
     const child = node({ name: `code`, type: `inline`, attr })
     while (true) {
       // "` a ` b `" みたいにマッチしてない場合
-      if (i > input.length) throw new Error(`unmatched </code> on "${input}"`)
+      if (i > input.length) {
+        // 閉じていないので残りを text として続ける
+        report(`unmatched </code> on "${input}"`, span(open, input.length))
+        return unmatched(input, open)
+      }
 
       // escape を無視
       if (input[i] === `\\`) {
@@ -1527,11 +2139,23 @@ export function decode(md) {
 
       i++
     }
-    if (input[i - 1] === ` `) throw new Error(`too many spaces in "${input}"`)
-    if (text_start < i) child.addText(input.slice(text_start, i))
+    if (input[i - 1] === ` `) report(`too many spaces in "${input}"`, span(i - 1, i))
+    if (text_start < i) child.addText(input.slice(text_start, i), span(text_start, i))
+    child.position = span(open, i + 1)
     return { child, i: i + 1 }
   }
 
+  /**
+   * 閉じていない記号から行末までを text にする
+   * @param {string} input
+   * @param {number} open
+   * @returns {{child: Node, i: number}}
+   */
+  function unmatched(input, open) {
+    const child = node({ name: `text`, type: `inline`, text: unescape(input.slice(open)), position: span(open, input.length) })
+    return { child, i: input.length }
+  }
+
   /**
    * @param {string} input
    * @param {number} _i
@@ -1539,63 +2163,184 @@ export function decode(md) {
    */
   function inline_blockquote(input, _i) {
     const { children, i } = inline_parse(input, _i)
-    const p = node({ name: `p`, type: `inline`, children })
-    const child = node({ name: `blockquote`, type: `block` })
+    const p = node({ name: `p`, type: `inline`, children, position: span(_i, i) })
+    const child = node({ name: `blockquote`, type: `block`, position: span(_i - 2, i) })
     child.appendChild(p)
     return { child, i }
   }
 
   /**
+   * 一行ずつ処理し、開いているコンテナは stack で管理する
+   * (行ごとに再帰すると長い文書でスタックが溢れるため)
    * @param {Array.<string>} lines
-   * @param {Node} ast
+   * @param {Node} root
    * @returns {Node}
    */
-  function parse(lines, ast = node({ name: `root`, type: `block`, level: 0 })) {
-    // proceed all lines
-    if (lines.length === 0) return rise(ast, `root`)
+  function parse(lines, root) {
+    stack.push(root)
 
-    const [head, ...rest] = lines
+    for (const head of lines) {
+      line++
+      block(head)
+    }
 
+    // proceed all lines
+    return stack.at(0)
+  }
+
+  /**
+   * @param {string} head
+   */
+  function block(head) {
     /**@type {RegExpExecArray} */
     let result
 
+    // $$ 中は閉じるまで各行を children にそのまま追加
+    if (current().name === `math`) {
+      if (head === `$$`) return math(head)
+      return current().appendChild(node({ name: `text`, type: `inline`, text: head, position: whole(head) }))
+    }
+
     // pre ((?<sp2> *)(?<after>.*))?
-    if (result = /^```(?<lang>.*?)((:)(?<path>.*))?$/.exec(head)) return pre(result, rest, ast)
+    if (result = /^```(?<lang>.*?)((:)(?<path>.*?))?(?<options>( \{[^}]*\}| numbered)*)$/.exec(head)) return pre(result)
 
     // pre 中は各行を children にそのまま追加
-    if (ast.name === `pre`) {
-      ast.addText(head)
-      return parse(rest, ast)
-    }
+    if (current().name === `pre`) return current().addText(head, whole(head))
+
+    // math open
+    if (head === `$$`) return math(head)
 
     // details open
-    if (result = /^:::((?<symbol>.+?)((?<spaces> +)(?<text>.*))*){0,1}$/.exec(head)) return details(result, rest, ast)
+    if (result = /^:::((?<symbol>.+?)((?<spaces> +)(?<text>.*))*){0,1}$/.exec(head)) return details(result)
 
     // html
     if (result = /^( *)\<(\/{0,1})(iframe|div|span|p|pre|code|\!--).*/.exec(head)) {
-      return html(result, rest, ast)
+      return html(result)
     }
 
     // skip break line
-    if (head === ``) return parse(rest, rise(ast, `section`))
+    if (head === ``) return void close(`section`)
 
-    if (result = /^(?<symbol>#+)(?<spaces> +)(?<text>.+)$/.exec(head)) /*           */ return heading(result, rest, ast)
-    if (result = /^(?<indent> *)(?<number>\d+)\.(?<spaces> +)(?<text>.+)$/.exec(head)) return list(`ol`, result, rest, ast)
-    if (result = /^(?<indent> *)\-(?<spaces> +)(?<text>.+)$/.exec(head)) /*         */ return list(`ul`, result, rest, ast)
-    if (result = /^(\:)(?<spaces> +)(?<text>.+)$/.exec(head)) /*                    */ return dl(result, rest, ast)
-    if (result = /^(\>)(?<spaces> +)(?<text>.+)$/.exec(head)) /*                    */ return blockquote(result, rest, ast)
-    if (result = /^Caption: (?<caption>.+)$/.exec(head)) /*                         */ return table_caption(result, rest, ast)
-    if (result = /^\|(?<row>.*)\|$/.exec(head)) /*                                  */ return table(result, rest, ast)
+    if (result = /^(?<symbol>#+)(?<spaces> +)(?<text>.+)$/.exec(head)) /*           */ return heading(result)
+    if (result = /^(?<indent> *)(?<number>\d+)\.(?<spaces> +)(?<text>.+)$/.exec(head)) return list(`ol`, result)
+    if (result = /^(?<indent> *)\-(?<spaces> +)(?<text>.+)$/.exec(head)) /*         */ return list(`ul`, result)
+    if (result = /^(\:)(?<spaces> +)(?<text>.+)$/.exec(head)) /*                    */ return dl(result)
+    if (result = /^(\>)(?<spaces> +)(?<text>.+)$/.exec(head)) /*                    */ return blockquote(result)
+    if (result = /^\[\^(?<id>[\w-]+)\]:(?<spaces> +)(?<text>.+)$/.exec(head)) /*     */ return footnote(result)
+    if (result = /^Caption: (?<caption>.+)$/.exec(head)) /*                         */ return table_caption(result)
+    if (result = /^\|(?<row>.*)\|$/.exec(head)) /*                                  */ return table(result)
 
     // space only line
-    if (result = /^( *)$/.exec(head)) throw new Error(`space only line in "${head}"`)
+    if (result = /^( *)$/.exec(head)) {
+      // 空行として続ける
+      report(`space only line in "${head}"`, whole(head))
+      return void close(`section`)
+    }
 
     // rest are <p>
-    return p(head, rest, ast)
+    return p(head)
+  }
+
+  /**
+   * 参照された順に注釈に番号を振り
+   * 定義を文書末尾の footnotes にまとめる
+   * 定義の無い参照 (recover のときだけ残る) には番号を振らない
+   * @param {Node} root
+   * @returns {Node}
+   */
+  function collect_footnotes(root) {
+    /**
+     * 定義のある id => 参照された回数
+     * @type {Map.<string, number>}
+     */
+    const counts = new Map()
+
+    references.forEach((ref) => {
+      const id = ref.attr.get(`id`)
+      if (definitions.has(id) === false) {
+        report(`undefined footnote "[^${id}]"`, ref.position)
+        return
+      }
+      const count = (counts.get(id) ?? 0) + 1
+      counts.set(id, count)
+      ref.attr.set(`_number`, `${Array.from(counts.keys()).indexOf(id) + 1}`)
+      ref.attr.set(`_index`, `${count}`)
+    })
+
+    definitions.forEach((footnote, id) => {
+      if (counts.has(id) === false) report(`unused footnote "[^${id}]"`, footnote.position)
+    })
+
+    const used = Array.from(counts.keys())
+    if (used.length === 0) return root
+
+    const footnotes = node({ name: `footnotes`, type: `block` })
+    used.forEach((id) => {
+      const footnote = definitions.get(id)
+      footnote.attr.set(`_number`, `${Array.from(counts.keys()).indexOf(id) + 1}`)
+      footnote.attr.set(`_refs`, `${counts.get(id)}`)
+      footnotes.appendChild(footnote)
+    })
+
+    // 本文 (<article>) があればその末尾に入れる
+    const last = root.lastChild()
+    const article = last?.name === `section` && last.level === 1 ? last : root
+    article.appendChild(footnotes)
+    return root
+  }
+
+  /**
+   * 子孫の範囲を含むように親の position を広げる
+   * (section や list などは開始行しか持っていないため)
+   * 深い入れ子でも stack が溢れないように、再帰せずに子孫から順に広げる
+   * @param {Node} root
+   * @returns {Node}
+   */
+  function fit(root) {
+    /** @type {Array.<Node>} */
+    const nodes = []
+    const stack = [root]
+    while (stack.length > 0) {
+      const node = stack.pop()
+      nodes.push(node)
+      node.children.forEach((child) => stack.push(child))
+    }
+    // 親は必ず子孫より前にあるので、逆から見れば子孫が先に広がっている
+    nodes.reverse().forEach((node) => node.children.forEach((child) => {
+      if (child.position === null) return
+      if (node.position === null) {
+        node.position = { start: { ...child.position.start }, end: { ...child.position.end } }
+        return
+      }
+      if (before(child.position.start, node.position.start)) node.position.start = { ...child.position.start }
+      if (before(node.position.end, child.position.end)) node.position.end = { ...child.position.end }
+    }))
+    return root
   }
 
   const lines = md.split(`\n`)
-  return parse(lines)
+  const root = node({
+    name: `root`,
+    type: `block`,
+    level: 0,
+    position: {
+      start: { line: 1, column: 1 },
+      end: { line: lines.length, column: lines.at(-1).length + 1 },
+    },
+  })
+  const ast = fit(collect_footnotes(parse(lines, root)))
+  return /**@type {any}*/ (recover ? { ast, diagnostics } : ast)
+}
+
+/**
+ * a が b より前の位置か
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {boolean}
+ */
+function before(a, b) {
+  if (a.line !== b.line) return a.line < b.line
+  return a.column < b.column
 }
 
 /**
@@ -1620,17 +2365,52 @@ export function traverse(ast, plugin) {
 }
 
 /**
- * 指定した親ノードまで登る
- * Root に到達したら止まる
+ * ページ単位で plugin 間に共有する値
+ * @typedef {Object} PipelineContext
+ * @property {Set.<string>} assets 読み込む CSS などの URL
+ * @property {Map.<string, any>} meta title, tags などのメタデータ
+ */
+
+/**
+ * pipeline() に渡す plugin
+ * names があればその node だけを visit する
+ * @typedef {Object} NamedPlugin
+ * @property {string} name
+ * @property {Array.<string>} [names]
+ * @property {function(Node, PipelineContext): Node} [enter]
+ * @property {function(Node, PipelineContext): Node} [leave]
+ */
+
+/**
+ * plugin を並べた順に適用しながら traverse する
+ * 前の plugin が node を置き換えた場合、後ろの plugin は置き換え後の node を受け取る
  * @param {Node} ast
- * @param {string} name
- * @returns {Node}
+ * @param {Array.<NamedPlugin>} plugins
+ * @returns {{root: Node} & PipelineContext}
  */
-function rise(ast, name) {
-  while (ast.name !== `root` && ast.name !== name) {
-    ast = ast.parent
+export function pipeline(ast, plugins) {
+  plugins.reduce((names, { name }) => {
+    if (names.has(name)) throw new Error(`duplicate plugin name "${name}"`)
+    return names.add(name)
+  }, new Set())
+
+  /** @type {PipelineContext} */
+  const context = { assets: new Set(), meta: new Map() }
+
+  /**
+   * @param {"enter"|"leave"} phase
+   * @returns {function(Node): Node}
+   */
+  const visit = (phase) => (child) => {
+    return plugins.reduce((node, plugin) => {
+      if (plugin[phase] === undefined) return node
+      if (plugin.names && plugin.names.includes(node.name) === false) return node
+      return plugin[phase](node, context)
+    }, child)
   }
-  return ast
+
+  const root = traverse(ast, { enter: visit(`enter`), leave: visit(`leave`) })
+  return { root, ...context }
 }
 
 /**
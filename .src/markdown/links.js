@@ -0,0 +1,64 @@
+import { fnref_id, serialize_child_text } from "./index.js"
+
+/**
+ * ページ内のリンクと、リンクで飛べる id を集める
+ * リンク先のファイルがあるかどうかは site の配置によるので build.js で確かめる
+ *
+ * @typedef {import("./index.js").Node} Node
+ * @typedef {import("./index.js").Position} Position
+ */
+
+/**
+ * @typedef {Object} Link
+ * @prop {"a"|"img"} name
+ * @prop {string} url a の href か img の src、 src の #WxH は除く
+ * @prop {Position} position
+ */
+
+/**
+ * html に直接書かれた id="..." / id='...' / id=...
+ */
+const HTML_ID = /\sid=(?:"(?<double>[^"]*)"|'(?<single>[^']*)'|(?<bare>[^\s"'>]+))/g
+
+/**
+ * html 中の id を全て返す
+ * @param {string} html
+ * @returns {Array.<string>}
+ */
+export function html_ids(html) {
+  return Array.from(html.matchAll(HTML_ID)).map(({ groups }) => groups.double ?? groups.single ?? groups.bare)
+}
+
+/**
+ * heading_id() を通した AST の中で #id として飛べるもの
+ * heading と footnote の他に、 md に直接書いた html の id も含む
+ * @param {Node} node
+ * @param {Set.<string>} [ids]
+ * @returns {Set.<string>}
+ */
+export function collect_anchors(node, ids = new Set()) {
+  if (node.name === `heading` && node.attr.has(`id`)) ids.add(node.attr.get(`id`))
+  if (node.name === `footnote`) ids.add(`fn-${node.attr.get(`id`)}`)
+  if (node.name === `footnote_ref` && node.attr.has(`_number`)) ids.add(fnref_id(node.attr.get(`id`), parseInt(node.attr.get(`_index`) ?? `1`)))
+  if (node.name === `html`) html_ids(serialize_child_text(node)).forEach((id) => ids.add(id))
+  node.children.forEach((child) => collect_anchors(child, ids))
+  return ids
+}
+
+/**
+ * 本文に書かれた a と img
+ * heading_id() が heading に付けた a は position を持たないので含まない
+ * @param {Node} node
+ * @param {Array.<Link>} [links]
+ * @returns {Array.<Link>}
+ */
+export function collect_links(node, links = []) {
+  if (node.name === `a` && node.position && node.attr.has(`href`)) {
+    links.push({ name: `a`, url: node.attr.get(`href`), position: node.position })
+  }
+  if (node.name === `img` && node.attr.has(`src`)) {
+    links.push({ name: `img`, url: node.attr.get(`src`).replace(/#\d+x\d+$/, ``), position: node.position })
+  }
+  node.children.forEach((child) => collect_links(child, links))
+  return links
+}
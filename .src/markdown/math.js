@@ -0,0 +1,397 @@
+import { hsc } from "./index.js"
+
+/**
+ * TeX のサブセットを MathML に変換する
+ * client の JS や Web Font を使わずに数式を出すため build 時に変換する
+ */
+
+/** @type {Object<string, string>} */
+const GREEK = {
+  alpha: `α`, beta: `β`, gamma: `γ`, delta: `δ`, epsilon: `ϵ`, varepsilon: `ε`, zeta: `ζ`, eta: `η`,
+  theta: `θ`, vartheta: `ϑ`, iota: `ι`, kappa: `κ`, lambda: `λ`, mu: `μ`, nu: `ν`, xi: `ξ`, pi: `π`,
+  varpi: `ϖ`, rho: `ρ`, varrho: `ϱ`, sigma: `σ`, varsigma: `ς`, tau: `τ`, upsilon: `υ`, phi: `ϕ`,
+  varphi: `φ`, chi: `χ`, psi: `ψ`, omega: `ω`,
+  Gamma: `Γ`, Delta: `Δ`, Theta: `Θ`, Lambda: `Λ`, Xi: `Ξ`, Pi: `Π`, Sigma: `Σ`, Upsilon: `Υ`,
+  Phi: `Φ`, Psi: `Ψ`, Omega: `Ω`,
+}
+
+/**
+ * <mi> になる記号
+ * @type {Object<string, string>}
+ */
+const IDENTIFIERS = {
+  infty: `∞`, partial: `∂`, nabla: `∇`, ell: `ℓ`, hbar: `ℏ`, emptyset: `∅`, aleph: `ℵ`, Re: `ℜ`, Im: `ℑ`,
+}
+
+/**
+ * <mo> になる記号
+ * @type {Object<string, string>}
+ */
+const OPERATORS = {
+  cdot: `⋅`, times: `×`, div: `÷`, pm: `±`, mp: `∓`, ast: `∗`, star: `⋆`, circ: `∘`, bullet: `∙`,
+  oplus: `⊕`, ominus: `⊖`, otimes: `⊗`, odot: `⊙`, wedge: `∧`, land: `∧`, vee: `∨`, lor: `∨`, neg: `¬`, lnot: `¬`,
+  cup: `∪`, cap: `∩`, setminus: `∖`,
+  leq: `≤`, le: `≤`, geq: `≥`, ge: `≥`, neq: `≠`, ne: `≠`, ll: `≪`, gg: `≫`, approx: `≈`, sim: `∼`,
+  simeq: `≃`, cong: `≅`, equiv: `≡`, propto: `∝`, in: `∈`, notin: `∉`, ni: `∋`, subset: `⊂`, supset: `⊃`,
+  subseteq: `⊆`, supseteq: `⊇`, mid: `∣`, parallel: `∥`, perp: `⊥`, forall: `∀`, exists: `∃`,
+  to: `→`, rightarrow: `→`, leftarrow: `←`, gets: `←`, leftrightarrow: `↔`, Rightarrow: `⇒`, Leftarrow: `⇐`,
+  Leftrightarrow: `⇔`, implies: `⟹`, iff: `⟺`, mapsto: `↦`,
+  ldots: `…`, cdots: `⋯`, vdots: `⋮`, ddots: `⋱`, dots: `…`,
+  langle: `⟨`, rangle: `⟩`, lfloor: `⌊`, rfloor: `⌋`, lceil: `⌈`, rceil: `⌉`, vert: `|`, Vert: `‖`,
+  "{": `{`, "}": `}`, "|": `‖`, "%": `%`, "&": `&`, "#": `#`, "$": `$`, "_": `_`,
+}
+
+/**
+ * 上下に添字が付く大きな演算子
+ * @type {Object<string, string>}
+ */
+const LARGE = {
+  sum: `∑`, prod: `∏`, coprod: `∐`, int: `∫`, iint: `∬`, oint: `∮`, bigcup: `⋃`, bigcap: `⋂`,
+  bigoplus: `⨁`, bigotimes: `⨂`, bigvee: `⋁`, bigwedge: `⋀`,
+}
+
+/** 立体で出す関数名 */
+const FUNCTIONS = `
+  sin cos tan sec csc cot arcsin arccos arctan sinh cosh tanh exp log ln lg det dim ker gcd deg arg
+  hom min max sup inf lim liminf limsup Pr
+`.trim().split(/\s+/)
+
+/** lim などは添字を下に付ける */
+const LIMITS = [`lim`, `liminf`, `limsup`, `min`, `max`, `sup`, `inf`, `det`, `gcd`, `Pr`]
+
+/** @type {Object<string, string>} */
+const ACCENTS = {
+  hat: `^`, widehat: `^`, bar: `¯`, overline: `¯`, vec: `→`, overrightarrow: `→`, tilde: `~`,
+  widetilde: `~`, dot: `˙`, ddot: `¨`,
+}
+
+/** @type {Object<string, string>} */
+const SPACES = {
+  ",": `0.1667em`, ":": `0.2222em`, ">": `0.2222em`, ";": `0.2778em`, "!": `-0.1667em`, " ": `0.25em`,
+  quad: `1em`, qquad: `2em`,
+}
+
+/**
+ * 環境と、その左右につける括弧
+ * @type {Object<string, Array<string>>}
+ */
+const ENVIRONMENTS = {
+  matrix: [``, ``], pmatrix: [`(`, `)`], bmatrix: [`[`, `]`], Bmatrix: [`{`, `}`], vmatrix: [`|`, `|`],
+  Vmatrix: [`‖`, `‖`], cases: [`{`, ``], aligned: [``, ``],
+}
+
+/**
+ * \mathbb などは Unicode の数学用英数字で出す
+ * 先に割り当て済みの文字は例外として持つ
+ * @type {Object<string, {upper: number, lower: number, digit: number, except: Object<string, string>}>}
+ */
+const ALPHABETS = {
+  mathbb: {
+    upper: 0x1D538, lower: 0x1D552, digit: 0x1D7D8,
+    except: { C: `ℂ`, H: `ℍ`, N: `ℕ`, P: `ℙ`, Q: `ℚ`, R: `ℝ`, Z: `ℤ` },
+  },
+  mathbf: { upper: 0x1D400, lower: 0x1D41A, digit: 0x1D7CE, except: {} },
+  mathcal: {
+    upper: 0x1D49C, lower: 0x1D4B6, digit: 0,
+    except: { B: `ℬ`, E: `ℰ`, F: `ℱ`, H: `ℋ`, I: `ℐ`, L: `ℒ`, M: `ℳ`, R: `ℛ`, e: `ℯ`, g: `ℊ`, o: `ℴ` },
+  },
+}
+
+/**
+ * @param {Array<string>} items
+ * @returns {string}
+ */
+function mrow(items) {
+  if (items.length === 1) return items[0]
+  return `<mrow>${items.join(``)}</mrow>`
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function mo(text) {
+  return `<mo>${hsc(text)}</mo>`
+}
+
+/**
+ * @param {string} text
+ * @param {string} font
+ * @returns {string}
+ */
+function alphabet(text, font) {
+  const { upper, lower, digit, except } = ALPHABETS[font]
+  return Array.from(text).map((c) => {
+    if (except[c]) return except[c]
+    if (/[A-Z]/.test(c)) return String.fromCodePoint(upper + c.charCodeAt(0) - 0x41)
+    if (/[a-z]/.test(c)) return String.fromCodePoint(lower + c.charCodeAt(0) - 0x61)
+    if (/[0-9]/.test(c) && digit) return String.fromCodePoint(digit + c.charCodeAt(0) - 0x30)
+    return c
+  }).join(``)
+}
+
+/**
+ * TeX を <math> に変換する
+ * 対応していないコマンドや括弧の対応が取れない場合は Error を投げる
+ * @param {string} tex
+ * @param {boolean} [display] block として表示するか
+ * @returns {string}
+ */
+export function tex_to_mathml(tex, display = false) {
+  let i = 0
+
+  function skip() {
+    while (/\s/.test(tex[i] ?? ``)) i++
+  }
+
+  /**
+   * 次の token を読み進めずに返す
+   * \name, \c, 1 文字のいずれか
+   * @returns {string}
+   */
+  function peek() {
+    skip()
+    if (i >= tex.length) return ``
+    if (tex[i] !== `\\`) return tex[i]
+    const name = /^\\([A-Za-z]+|[^A-Za-z])/.exec(tex.slice(i))
+    return name ? name[0] : `\\`
+  }
+
+  /**
+   * @param {string} token
+   */
+  function expect(token) {
+    const next = peek()
+    if (next !== token) throw new Error(`expected "${token}" but got "${next || `end of math`}"`)
+    i += token.length
+  }
+
+  /**
+   * { } の中身を変換せずにそのまま読む
+   * @returns {string}
+   */
+  function raw_group() {
+    expect(`{`)
+    const start = i
+    let depth = 1
+    while (i < tex.length) {
+      if (tex[i] === `\\`) {
+        i += 2
+        continue
+      }
+      if (tex[i] === `{`) depth++
+      if (tex[i] === `}` && --depth === 0) break
+      i++
+    }
+    if (depth !== 0) throw new Error(`unmatched "{"`)
+    return tex.slice(start, i++)
+  }
+
+  /**
+   * stop に含まれる token か末尾まで読む
+   * @param {Array<string>} stop
+   * @returns {Array<string>}
+   */
+  function expression(stop) {
+    const items = []
+    while (true) {
+      const next = peek()
+      if (next === `` || stop.includes(next)) return items
+      items.push(scripts(atom(false)))
+    }
+  }
+
+  /**
+   * 添字 1 つ分、 { } かひと文字
+   * @returns {string}
+   */
+  function argument() {
+    if (peek() === ``) throw new Error(`missing argument`)
+    return atom(true).base
+  }
+
+  /**
+   * base に続く ^ _ ' を処理する
+   * @param {{base: string, limits: boolean}} atom
+   * @returns {string}
+   */
+  function scripts({ base, limits }) {
+    let sub = null
+    let sup = null
+    let primes = ``
+    while (true) {
+      const next = peek()
+      if (next === `'`) {
+        i++
+        primes += `′`
+      } else if (next === `^`) {
+        i++
+        if (sup !== null) throw new Error(`double superscript`)
+        sup = argument()
+      } else if (next === `_`) {
+        i++
+        if (sub !== null) throw new Error(`double subscript`)
+        sub = argument()
+      } else {
+        break
+      }
+    }
+    if (primes) sup = sup === null ? mo(primes) : `<mrow>${mo(primes)}${sup}</mrow>`
+    const [under, over, both] = limits ? [`munder`, `mover`, `munderover`] : [`msub`, `msup`, `msubsup`]
+    if (sub !== null && sup !== null) return `<${both}>${base}${sub}${sup}</${both}>`
+    if (sub !== null) return `<${under}>${base}${sub}</${under}>`
+    if (sup !== null) return `<${over}>${base}${sup}</${over}>`
+    return base
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string}
+   */
+  function environment(name) {
+    if (ENVIRONMENTS[name] === undefined) throw new Error(`unknown environment "${name}"`)
+    const [open, close] = ENVIRONMENTS[name]
+    const rows = []
+    while (true) {
+      const cells = []
+      while (true) {
+        cells.push(`<mtd>${expression([`&`, `\\\\`, `\\end`]).join(``)}</mtd>`)
+        if (peek() !== `&`) break
+        i++
+      }
+      rows.push(`<mtr>${cells.join(``)}</mtr>`)
+      if (peek() !== `\\\\`) break
+      i += 2
+    }
+    expect(`\\end`)
+    const end = raw_group()
+    if (end !== name) throw new Error(`\\begin{${name}} ended by \\end{${end}}`)
+    const align = name === `cases` ? ` columnalign=left` : name === `aligned` ? ` columnalign="right left"` : ``
+    const table = `<mtable${align}>${rows.join(``)}</mtable>`
+    return mrow([open && mo(open), table, close && mo(close)].filter((item) => item))
+  }
+
+  /**
+   * \command
+   * @param {string} name
+   * @returns {{base: string, limits: boolean}}
+   */
+  function command(name) {
+    if (GREEK[name]) {
+      // 大文字のギリシャ文字は立体
+      const variant = /^[A-Z]/.test(name) ? ` mathvariant=normal` : ``
+      return { base: `<mi${variant}>${GREEK[name]}</mi>`, limits: false }
+    }
+    if (IDENTIFIERS[name]) return { base: `<mi>${IDENTIFIERS[name]}</mi>`, limits: false }
+    if (OPERATORS[name]) return { base: mo(OPERATORS[name]), limits: false }
+    if (LARGE[name]) return { base: mo(LARGE[name]), limits: display && name.endsWith(`int`) === false }
+    if (FUNCTIONS.includes(name)) return { base: `<mi>${name}</mi>`, limits: display && LIMITS.includes(name) }
+    if (SPACES[name]) return { base: `<mspace width=${SPACES[name]}></mspace>`, limits: false }
+    if (ALPHABETS[name]) return { base: `<mi>${hsc(alphabet(raw_group(), name))}</mi>`, limits: false }
+    if (ACCENTS[name]) {
+      const stretchy = [`overline`, `widehat`, `widetilde`, `overrightarrow`].includes(name) ? ` stretchy=true` : ``
+      return { base: `<mover accent=true>${argument()}<mo${stretchy}>${ACCENTS[name]}</mo></mover>`, limits: false }
+    }
+
+    switch (name) {
+      case `frac`:
+      case `dfrac`:
+      case `tfrac`:
+        return { base: `<mfrac>${argument()}${argument()}</mfrac>`, limits: false }
+      case `binom`:
+        return { base: `<mrow>${mo(`(`)}<mfrac linethickness=0>${argument()}${argument()}</mfrac>${mo(`)`)}</mrow>`, limits: false }
+      case `sqrt`: {
+        if (peek() === `[`) {
+          i++
+          const index = mrow(expression([`]`]))
+          expect(`]`)
+          return { base: `<mroot>${argument()}${index}</mroot>`, limits: false }
+        }
+        return { base: `<msqrt>${argument()}</msqrt>`, limits: false }
+      }
+      case `bmod`:
+        return { base: mo(`mod`), limits: false }
+      case `pmod`:
+        return { base: `<mrow>${mo(`(`)}${mo(`mod`)}${argument()}${mo(`)`)}</mrow>`, limits: false }
+      case `underline`:
+        return { base: `<munder accentunder=true>${argument()}<mo stretchy=true>_</mo></munder>`, limits: false }
+      case `text`:
+      case `mbox`:
+        return { base: `<mtext>${hsc(raw_group())}</mtext>`, limits: false }
+      case `mathrm`:
+      case `operatorname`:
+        return { base: `<mi mathvariant=normal>${hsc(raw_group())}</mi>`, limits: false }
+      case `mathit`:
+        return { base: `<mi>${hsc(raw_group())}</mi>`, limits: false }
+      case `left`: {
+        const open = delimiter()
+        const inner = expression([`\\right`])
+        expect(`\\right`)
+        const close = delimiter()
+        return { base: `<mrow>${open}${inner.join(``)}${close}</mrow>`, limits: false }
+      }
+      case `begin`:
+        return { base: environment(raw_group()), limits: false }
+      case `right`:
+      case `end`:
+        throw new Error(`unmatched "\\${name}"`)
+      case `\\`:
+        throw new Error(`"\\\\" outside of environment`)
+    }
+    throw new Error(`unknown command "\\${name}"`)
+  }
+
+  /**
+   * \left, \right の後の括弧、 . は表示しない
+   * @returns {string}
+   */
+  function delimiter() {
+    const next = peek()
+    i += next.length
+    if (next === `.`) return ``
+    if (next.startsWith(`\\`)) {
+      const symbol = OPERATORS[next.slice(1)]
+      if (symbol === undefined) throw new Error(`invalid delimiter "${next}"`)
+      return `<mo stretchy=true>${hsc(symbol)}</mo>`
+    }
+    if (/^[()[\]|/]$/.test(next) === false) throw new Error(`invalid delimiter "${next || `end of math`}"`)
+    return `<mo stretchy=true>${next}</mo>`
+  }
+
+  /**
+   * 添字を除いた 1 要素
+   * single の場合は数字も 1 文字だけ読む (x^10 は x^{1}0)
+   * @param {boolean} single
+   * @returns {{base: string, limits: boolean}}
+   */
+  function atom(single) {
+    const next = peek()
+    if (next === `{`) {
+      i++
+      const items = expression([`}`])
+      expect(`}`)
+      return { base: items.length === 1 ? items[0] : `<mrow>${items.join(``)}</mrow>`, limits: false }
+    }
+    if (next === `}`) throw new Error(`unmatched "}"`)
+    if (next === `&`) throw new Error(`"&" outside of environment`)
+    if (next === `^` || next === `_`) return { base: `<mrow></mrow>`, limits: false }
+    if (next.startsWith(`\\`)) {
+      i += next.length
+      return command(next.slice(1))
+    }
+    if (/[0-9]/.test(next)) {
+      const number = single ? next : /^[0-9]+(\.[0-9]+)?/.exec(tex.slice(i))[0]
+      i += number.length
+      return { base: `<mn>${number}</mn>`, limits: false }
+    }
+    i += next.length
+    if (/\p{L}/u.test(next)) return { base: `<mi>${next}</mi>`, limits: false }
+    if (next === `-`) return { base: mo(`−`), limits: false }
+    if (next === `*`) return { base: mo(`∗`), limits: false }
+    return { base: mo(next), limits: false }
+  }
+
+  const items = expression([])
+  const attr = display ? ` display=block` : ``
+  return `<math${attr}>${items.join(``)}</math>`
+}
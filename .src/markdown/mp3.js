@@ -0,0 +1,387 @@
+/**
+ * MP3 の tag と長さを読む
+ *
+ * ID3v2   先頭の tag、 2.2 / 2.3 / 2.4 の text frame (T***) を読む
+ * ID3v1   末尾の 128 byte
+ * Xing    VBR (Info は CBR) の frame 数と byte 数、 LAME tag があれば encoder delay と padding
+ * VBRI    Fraunhofer encoder の VBR の frame 数と byte 数
+ *
+ * どちらの header も無ければ全ての frame header を辿って数える
+ * 長さは frame 数 * frame あたりの sample 数 / sample rate から、 LAME の delay と padding を引いたもの
+ */
+
+/**
+ * @typedef {Object} ID3v2
+ * @prop {number} version 2, 3, 4
+ * @prop {number} size header を含めた tag 全体の byte 数
+ * @prop {Object.<string, string>} tags text frame の id と値、 2.2 の 3 文字の id もそのまま
+ * @prop {Array.<ID3Frame>} frames 全ての frame
+ */
+
+/**
+ * @typedef {Object} ID3Frame
+ * @prop {string} id
+ * @prop {Uint8Array} data header を除いた中身
+ */
+
+/**
+ * @typedef {Object} ID3v1
+ * @prop {string} title
+ * @prop {string} artist
+ * @prop {string} album
+ * @prop {string} year
+ * @prop {string} comment
+ * @prop {number} track 無ければ null
+ * @prop {number} genre
+ */
+
+/**
+ * @typedef {Object} FrameHeader
+ * @prop {"MPEG-1"|"MPEG-2"|"MPEG-2.5"} version
+ * @prop {1|2|3} layer
+ * @prop {boolean} crc
+ * @prop {number} bitrate kbps
+ * @prop {number} sample_rate Hz
+ * @prop {boolean} padding
+ * @prop {"stereo"|"joint stereo"|"dual channel"|"mono"} channel_mode
+ * @prop {number} samples frame あたりの sample 数
+ * @prop {number} length frame の byte 数
+ */
+
+/**
+ * @typedef {Object} MP3Info
+ * @prop {number} duration 秒
+ * @prop {number} bitrate 平均の kbps
+ * @prop {number} sample_rate Hz
+ * @prop {"stereo"|"joint stereo"|"dual channel"|"mono"} channel_mode
+ * @prop {number} channels
+ * @prop {"MPEG-1"|"MPEG-2"|"MPEG-2.5"} version
+ * @prop {1|2|3} layer
+ * @prop {boolean} vbr
+ * @prop {number} frames
+ * @prop {"Xing"|"Info"|"VBRI"|null} header frame 数をどこから取ったか、 null は数えたもの
+ * @prop {string} encoder LAME tag の encoder、無ければ null
+ * @prop {number} delay encoder が先頭に入れた sample 数
+ * @prop {number} padding encoder が末尾に入れた sample 数
+ * @prop {ID3v2} id3v2 無ければ null
+ * @prop {ID3v1} id3v1 無ければ null
+ */
+
+/**
+ * [version][layer] の kbps、 index 0 は free format で 15 は不正
+ * MPEG-2.5 は MPEG-2 と同じ
+ */
+const BITRATES = {
+  "MPEG-1": {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  "MPEG-2": {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+}
+
+const SAMPLE_RATES = {
+  "MPEG-1": [44100, 48000, 32000],
+  "MPEG-2": [22050, 24000, 16000],
+  "MPEG-2.5": [11025, 12000, 8000],
+}
+
+/** @type {Array.<"stereo"|"joint stereo"|"dual channel"|"mono">} */
+const CHANNEL_MODES = [`stereo`, `joint stereo`, `dual channel`, `mono`]
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {string} text
+ * @returns {boolean}
+ */
+function ascii(data, offset, text) {
+  return Array.from(text).every((c, i) => data[offset + i] === c.charCodeAt(0))
+}
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @returns {number}
+ */
+function uint32(data, offset) {
+  return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0
+}
+
+/**
+ * 各 byte の上位 1bit を使わない 28bit の整数
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @returns {number}
+ */
+function synchsafe(data, offset) {
+  return (data[offset] << 21) | (data[offset + 1] << 14) | (data[offset + 2] << 7) | data[offset + 3]
+}
+
+/**
+ * 末尾の NUL と空白を除く
+ * @param {string} text
+ * @returns {string}
+ */
+function trim(text) {
+  return text.replace(/[\0\s]+$/, ``)
+}
+
+/**
+ * 先頭の 1 byte で encoding を指定した text frame の中身
+ * 0: ISO-8859-1, 1: BOM 付き UTF-16, 2: UTF-16BE, 3: UTF-8
+ * 2.4 では NUL 区切りで複数の値を持てるので " / " でつなぐ
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+export function decode_text(data) {
+  const [encoding] = data
+  const body = data.subarray(1)
+  const text = (() => {
+    if (encoding === 0) return String.fromCharCode(...body)
+    if (encoding === 3) return new TextDecoder(`utf-8`).decode(body)
+    if (encoding === 2) return new TextDecoder(`utf-16be`).decode(body)
+    const big = body[0] === 0xFE && body[1] === 0xFF
+    return new TextDecoder(big ? `utf-16be` : `utf-16le`).decode(body)
+  })()
+  return text.replace(/^﻿/, ``).split(`\0`).map((value) => value.replace(/^﻿/, ``)).filter((value) => value !== ``).join(` / `)
+}
+
+/**
+ * ID3v2 の frame を並べる、 CHAP や CTOC の中の frame にも使う
+ * @param {Uint8Array} data
+ * @param {number} start
+ * @param {number} end
+ * @param {number} version
+ * @returns {Array.<ID3Frame>}
+ */
+export function read_frames(data, start, end, version) {
+  /** @type {Array.<ID3Frame>} */
+  const frames = []
+  const header = version === 2 ? 6 : 10
+  let i = start
+  while (i + header <= end) {
+    const id = String.fromCharCode(...data.subarray(i, i + (version === 2 ? 3 : 4)))
+    // padding に入った
+    if (/^[A-Z0-9]+$/.test(id) === false) break
+    const length = version === 2
+      ? (data[i + 3] << 16) | (data[i + 4] << 8) | data[i + 5]
+      : version === 4 ? synchsafe(data, i + 4) : uint32(data, i + 4)
+    frames.push({ id, data: data.subarray(i + header, Math.min(i + header + length, end)) })
+    i += header + length
+  }
+  return frames
+}
+
+/**
+ * Read ID3v2 tag at the beginning of the file
+ * unsynchronisation された tag は扱わず、 size だけを返す
+ * @param {Uint8Array} data
+ * @returns {ID3v2}
+ */
+export function read_id3v2(data) {
+  if (data.length < 10 || ascii(data, 0, `ID3`) === false) return null
+  const version = data[3]
+  const flags = data[5]
+  // footer があれば 10 byte 足す
+  const size = 10 + synchsafe(data, 6) + (flags & 0x10 ? 10 : 0)
+  /** @type {Object.<string, string>} */
+  const tags = {}
+  if (flags & 0x80) return { version, size, tags, frames: [] }
+
+  const end = Math.min(10 + synchsafe(data, 6), data.length)
+  let i = 10
+  // 拡張 header は 2.3 では size を含まず、 2.4 では含む
+  if (flags & 0x40) i += version === 4 ? synchsafe(data, i) : uint32(data, i) + 4
+
+  const frames = read_frames(data, i, end, version)
+  frames.forEach(({ id, data }) => {
+    if (id.startsWith(`T`) && id !== `TXXX` && id !== `TXX` && data.length > 0) tags[id] = decode_text(data)
+  })
+  return { version, size, tags, frames }
+}
+
+/**
+ * Read ID3v1 tag at the end of the file
+ * comment の 29 byte 目が 0 なら 30 byte 目は track 番号 (ID3v1.1)
+ * @param {Uint8Array} data
+ * @returns {ID3v1}
+ */
+export function read_id3v1(data) {
+  const start = data.length - 128
+  if (start < 0 || ascii(data, start, `TAG`) === false) return null
+  const text = (/** @type {number} */ offset, /** @type {number} */ length) => {
+    return trim(String.fromCharCode(...data.subarray(start + offset, start + offset + length)))
+  }
+  const v11 = data[start + 125] === 0 && data[start + 126] !== 0
+  return {
+    title: text(3, 30),
+    artist: text(33, 30),
+    album: text(63, 30),
+    year: text(93, 4),
+    comment: text(97, v11 ? 28 : 30),
+    track: v11 ? data[start + 126] : null,
+    genre: data[start + 127],
+  }
+}
+
+/**
+ * 4 byte の frame header を読む、 frame でなければ null
+ * @param {Uint8Array} data
+ * @param {number} i
+ * @returns {FrameHeader}
+ */
+export function read_frame_header(data, i) {
+  if (i + 4 > data.length) return null
+  if (data[i] !== 0xFF || (data[i + 1] & 0xE0) !== 0xE0) return null
+  const version = /** @type {FrameHeader["version"]} */ ([`MPEG-2.5`, null, `MPEG-2`, `MPEG-1`][(data[i + 1] >> 3) & 0x03])
+  const layer = /** @type {FrameHeader["layer"]} */ ([null, 3, 2, 1][(data[i + 1] >> 1) & 0x03])
+  const bitrate_index = data[i + 2] >> 4
+  const sample_rate_index = (data[i + 2] >> 2) & 0x03
+  // free format は長さが決まらないので扱わない
+  if (version === null || layer === null || bitrate_index === 0 || bitrate_index === 15 || sample_rate_index === 3) return null
+
+  const bitrate = BITRATES[version === `MPEG-1` ? `MPEG-1` : `MPEG-2`][layer][bitrate_index]
+  const sample_rate = SAMPLE_RATES[version][sample_rate_index]
+  const padding = (data[i + 2] & 0x02) !== 0
+  const samples = layer === 1 ? 384 : layer === 3 && version !== `MPEG-1` ? 576 : 1152
+  // layer 1 の slot は 4 byte
+  const length = layer === 1
+    ? (Math.floor(12 * bitrate * 1000 / sample_rate) + (padding ? 1 : 0)) * 4
+    : Math.floor(samples / 8 * bitrate * 1000 / sample_rate) + (padding ? 1 : 0)
+  return {
+    version,
+    layer,
+    crc: (data[i + 1] & 0x01) === 0,
+    bitrate,
+    sample_rate,
+    padding,
+    channel_mode: CHANNEL_MODES[data[i + 3] >> 6],
+    samples,
+    length,
+  }
+}
+
+/**
+ * 最初の frame の位置
+ * 偶然 sync に見える byte を除くため、次の frame も続いているものを探す
+ * @param {Uint8Array} data
+ * @param {number} start
+ * @param {number} end
+ * @returns {number}
+ */
+function first_frame(data, start, end) {
+  for (let i = start; i + 4 <= end; i++) {
+    const header = read_frame_header(data, i)
+    if (header === null) continue
+    const next = i + header.length
+    if (next === end || (next + 4 <= end && read_frame_header(data, next) !== null)) return i
+  }
+  return -1
+}
+
+/**
+ * 最初の frame にある Xing / Info / VBRI header
+ * @param {Uint8Array} data
+ * @param {number} i frame の位置
+ * @param {FrameHeader} frame
+ * @returns {{header: "Xing"|"Info"|"VBRI", frames: number, bytes: number, encoder: string, delay: number, padding: number}}
+ */
+function read_vbr_header(data, i, frame) {
+  // side information の後ろにある
+  const mono = frame.channel_mode === `mono`
+  const side = frame.version === `MPEG-1` ? (mono ? 17 : 32) : (mono ? 9 : 17)
+  const xing = i + 4 + side
+  if (ascii(data, xing, `Xing`) || ascii(data, xing, `Info`)) {
+    const header = /** @type {"Xing"|"Info"} */ (String.fromCharCode(...data.subarray(xing, xing + 4)))
+    const flags = uint32(data, xing + 4)
+    let offset = xing + 8
+    const frames = flags & 0x01 ? uint32(data, offset) : null
+    if (flags & 0x01) offset += 4
+    const bytes = flags & 0x02 ? uint32(data, offset) : null
+    if (flags & 0x02) offset += 4
+    // TOC と quality
+    if (flags & 0x04) offset += 100
+    if (flags & 0x08) offset += 4
+
+    // LAME tag の delay と padding は 12bit ずつ
+    const lame = /^(LAME|Lavc|Lavf|GOGO)/.test(String.fromCharCode(...data.subarray(offset, offset + 4)))
+    const encoder = lame ? trim(String.fromCharCode(...data.subarray(offset, offset + 9))) : null
+    const delay = lame ? (data[offset + 21] << 4) | (data[offset + 22] >> 4) : 0
+    const padding = lame ? ((data[offset + 22] & 0x0F) << 8) | data[offset + 23] : 0
+    return { header, frames, bytes, encoder, delay, padding }
+  }
+  // VBRI は header の 32 byte 後ろに固定
+  const vbri = i + 4 + 32
+  if (ascii(data, vbri, `VBRI`)) {
+    return { header: `VBRI`, frames: uint32(data, vbri + 14), bytes: uint32(data, vbri + 10), encoder: null, delay: 0, padding: 0 }
+  }
+  return null
+}
+
+/**
+ * Parse MP3 file and calculate exact duration
+ * MP3 でなければ null
+ * @param {Uint8Array} data
+ * @returns {MP3Info}
+ */
+export function parse_mp3(data) {
+  const id3v2 = read_id3v2(data)
+  const id3v1 = read_id3v1(data)
+  const end = data.length - (id3v1 ? 128 : 0)
+  const start = first_frame(data, id3v2 ? id3v2.size : 0, end)
+  if (start === -1) return null
+
+  const first = read_frame_header(data, start)
+  const { version, layer, sample_rate, channel_mode } = first
+  const vbr_header = read_vbr_header(data, start, first)
+  // Xing / Info の frame は bitrate が音の frame と違うことがある
+  const audio_frame = (vbr_header && read_frame_header(data, start + first.length)) || first
+
+  let frames = vbr_header?.frames
+  let bytes = vbr_header?.bytes
+  let vbr = vbr_header !== null && vbr_header.header !== `Info`
+  if (frames === null || frames === undefined) {
+    // Xing / Info の frame はそれ自体は音を持たないので数えない
+    let i = vbr_header ? start + first.length : start
+    const audio = i
+    const bitrates = new Set()
+    frames = 0
+    for (let frame = read_frame_header(data, i); frame !== null && i + frame.length <= end; frame = read_frame_header(data, i)) {
+      bitrates.add(frame.bitrate)
+      frames++
+      i += frame.length
+    }
+    bytes = i - audio
+    vbr = vbr || bitrates.size > 1
+  }
+  if (bytes === null || bytes === undefined) bytes = end - start - (vbr_header ? first.length : 0)
+
+  const delay = vbr_header?.delay ?? 0
+  const padding = vbr_header?.padding ?? 0
+  const duration = Math.max(frames * first.samples - delay - padding, 0) / sample_rate
+  // 平均は frame 全体の長さから計算する
+  const bitrate = vbr && frames > 0 ? Math.round(bytes * 8 / (frames * first.samples / sample_rate) / 1000) : audio_frame.bitrate
+
+  return {
+    duration,
+    bitrate,
+    sample_rate,
+    channel_mode,
+    channels: channel_mode === `mono` ? 1 : 2,
+    version,
+    layer,
+    vbr,
+    frames,
+    header: vbr_header?.header ?? null,
+    encoder: vbr_header?.encoder ?? null,
+    delay,
+    padding,
+    id3v2,
+    id3v1,
+  }
+}
@@ -0,0 +1,183 @@
+import { Node, map, hsc, encode, create_id_from_text } from "./index.js"
+import { highlight_lines } from "./highlight.js"
+
+/**
+ * pipeline() で使う汎用の plugin
+ * ファイルを読むなどサイトに依存するものは build 側で定義する
+ *
+ * @typedef {import("./index.js").NamedPlugin} NamedPlugin
+ */
+
+/**
+ * # [tag][tag] title の tag を外し、 title と tags を meta に入れる
+ * @returns {NamedPlugin}
+ */
+export function heading_title() {
+  return {
+    name: `heading_title`,
+    names: [`heading`],
+    leave: (node, { meta }) => {
+      if (node.level !== 1) return node
+      const text = node.children[0].text
+      const { tag, title } = /(?<tag>\[.*\])?(?<title>.*)/.exec(text).groups
+      // tag は optional
+      const tags = Array.from(tag?.matchAll(/\[(?<tag>.*?)\]/g) ?? []).map((match) => {
+        return match.groups.tag
+      })
+      node.children[0].text = title.trim()
+      meta.set(`tags`, tags)
+      meta.set(`title`, node.children.map((child) => encode(child)).join(``))
+      return node
+    }
+  }
+}
+
+/**
+ * heading を除いた text だけを連結する
+ * @param {Node} node
+ * @returns {string}
+ */
+function serialize_description(node) {
+  if (node.name === `heading`) return ``
+  if (node.name === `text`) return node.text
+  return node.children.map((child) => serialize_description(child)).join(``)
+}
+
+/**
+ * ## Intro か ## Theme の section を description として meta に入れる
+ * @returns {NamedPlugin}
+ */
+export function heading_description() {
+  return {
+    name: `heading_description`,
+    names: [`heading`],
+    leave: (node, { meta }) => {
+      if (node.level !== 2) return node
+      const text = node.children.at(0).text
+      if (text === `Intro` || text === `Theme`) {
+        meta.set(`description`, hsc(serialize_description(node.parent)))
+      }
+      return node
+    }
+  }
+}
+
+/**
+ * heading に id を振り、自身へのリンクにする
+ * TOC を作れるよう、 id を振った heading は meta の headings に貯める
+ * @returns {NamedPlugin}
+ */
+export function heading_id() {
+  return {
+    name: `heading_id`,
+    names: [`heading`],
+    leave: (node, { meta }) => {
+      if (meta.has(`headings`) === false) meta.set(`headings`, [])
+      /** @type {Array.<Node>} */
+      const headings = meta.get(`headings`)
+
+      // id は <h2>text</h2> の部分から生成するが、そこにもタグがあった場合のために
+      // create_id_from_text でシリアライズしてエスケープした文字をベースにする
+      // 正式な id ではないので _id で保存。 _ がついてるとレンダリングしない実装
+      const _id = create_id_from_text(node)
+      node.attr.set(`_id`, _id)
+
+      // かぶるものが前にあったら _1, _2 などを suffix につける
+      // そのために、 TOC にある値を調べて重複をカウントする
+      // reduceRight できるかと思ったけど break できないので reduce で頭から見ていく
+      const last = headings.reduce((prev, curr) => {
+        return curr.attr.get(`_id`) === _id ? curr : prev
+      }, null)
+
+      // あったらその重複カウント、なければ 0
+      const _id_count = last !== null ? parseInt(last.attr.get(`_id_count`)) + 1 : 0
+      const suffix = _id_count === 0 ? `` : `_${_id_count}`
+      const id = `${_id}${suffix}`
+
+      // 重複カウントを保存しつつ、 suffix をつけたものを正式 id として登録
+      node.attr.set(`_id_count`, `${_id_count}`)
+      node.attr.set(`id`, id)
+      headings.push(node)
+
+      const attr = new Map()
+      if (node.level === 1) {
+        node.attr.delete(`id`)
+        attr.set(`href`, ``)
+      } else {
+        attr.set(`href`, `#${id}`)
+      }
+      const a = new Node({ name: `a`, type: `inline`, attr, children: node.children })
+      node.children = []
+      node.appendChild(a)
+      return node
+    }
+  }
+}
+
+/**
+ * table, pre など必ず出てくるわけではない CSS は
+ * 最初に登場した node の前に一度だけ <link rel=stylesheet> を挿入し、 assets に記録する
+ * @param {{name: string, names: Array.<string>, href: string}} option
+ * @returns {NamedPlugin}
+ */
+export function stylesheet({ name, names, href }) {
+  return {
+    name: `stylesheet:${name}`,
+    names,
+    leave: (node, { assets }) => {
+      if (assets.has(href)) return node
+      assets.add(href)
+      const link = new Node({
+        name: `link`,
+        type: `inline`,
+        attr: map({
+          rel: `stylesheet`,
+          property: `stylesheet`,
+          type: `text/css`,
+          href,
+        })
+      })
+      const empty = new Node({ name: `empty`, type: `block` })
+      empty.appendChildren([link, node])
+      return empty
+    }
+  }
+}
+
+/**
+ * ハイライト済みの <span> を 1 行ずつ raw で入れ、クライアントでの highlight をやめる
+ * @returns {NamedPlugin}
+ */
+export function highlight_code() {
+  return {
+    name: `highlight_code`,
+    names: [`pre`],
+    leave: (node) => {
+      const code = node.children.map(({ text }) => text).join(`\n`)
+      node.children = []
+      highlight_lines(code, node.attr.get(`lang`)).forEach((text) => {
+        node.appendChild(new Node({ name: `raw`, type: `inline`, text }))
+      })
+      return node
+    }
+  }
+}
+
+/**
+ * 別ホストへのリンクは新しいタブで開く
+ * @param {string} host
+ * @returns {NamedPlugin}
+ */
+export function external_link(host) {
+  return {
+    name: `external_link`,
+    names: [`a`],
+    leave: (node) => {
+      const href = new URL(node.attr.get(`href`), `https://${host}`)
+      if (href.host !== host) {
+        node.attr.set(`target`, `_blank`)
+      }
+      return node
+    }
+  }
+}
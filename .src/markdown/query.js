@@ -0,0 +1,204 @@
+import { to_slug } from "./index.js"
+import { search_terms, find_hits } from "./search.js"
+
+/**
+ * server で行う検索
+ * search.js と同じ bigram の語で BM25 の score を付け、 query の指定で絞り込む
+ *
+ * cookie samesite          全てを含む
+ * "same site"              空白も含めて続けて含む
+ * -amp -"signed exchange"  含まない
+ * tag:http guest:jxck      tag や guest で絞る
+ * after:2020 before:2021-04  after はその日を含み、 before は含まない
+ *
+ * @typedef {import("./search.js").Section} Section
+ * @typedef {import("./search.js").Hit} Hit
+ * @typedef {import("./search.js").SearchOption} SearchOption
+ */
+
+/**
+ * @typedef {Object} SearchDocument
+ * @prop {string} url
+ * @prop {string} host
+ * @prop {string} title
+ * @prop {string} date
+ * @prop {Array.<string>} tags
+ * @prop {Array.<string>} guests
+ * @prop {Array.<Section>} sections
+ */
+
+/**
+ * @typedef {Object} Query
+ * @prop {Array.<string>} include 全て含む語と phrase
+ * @prop {Array.<string>} exclude 1 つも含まない語と phrase
+ * @prop {Array.<string>} tags
+ * @prop {Array.<string>} guests
+ * @prop {string} before
+ * @prop {string} after
+ */
+
+/**
+ * @typedef {Object} BM25Index
+ * @prop {Array.<SearchDocument>} docs
+ * @prop {Array.<string>} texts 空白をまとめて小文字にした本文、 phrase の照合に使う
+ * @prop {Array.<Map.<string, number>>} tfs
+ * @prop {Array.<number>} lengths 語の数
+ * @prop {Map.<string, number>} df
+ * @prop {number} avgdl
+ */
+
+/**
+ * @typedef {Object} Ranked
+ * @prop {string} url
+ * @prop {string} host
+ * @prop {string} title
+ * @prop {string} date
+ * @prop {Array.<string>} tags
+ * @prop {Array.<string>} guests
+ * @prop {number} score
+ * @prop {Array.<Hit>} hits
+ */
+
+/**
+ * @typedef {Object} RankOption
+ * @prop {number} [limit]
+ * @prop {(doc: SearchDocument) => boolean} [filter] 公開前のものなど、 query とは別に除くもの
+ */
+
+/**
+ * query の長さの上限、 filter を並べられるように search.js より長い
+ */
+export const MAX_QUERY_LENGTH = 200
+
+const K1 = 1.2
+const B = 0.75
+
+/**
+ * 2020, 2020-04, 2020-04-01 のどれか
+ */
+const DATE = /^\d{4}(-\d{2}(-\d{2})?)?$/
+
+/**
+ * -"phrase" や tag:value を 1 つずつ取り出す
+ */
+const TOKEN = /(?<not>-)?(?:(?<key>tag|guest|before|after):)?(?:"(?<phrase>[^"]*)"?|(?<word>\S+))/g
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return text.normalize(`NFKC`).toLowerCase().replace(/\s+/g, ` `).trim()
+}
+
+/**
+ * Parse search query into include/exclude keywords and filters
+ * @param {string} q
+ * @returns {Query}
+ */
+export function parse_search_query(q) {
+  if (q.length > MAX_QUERY_LENGTH) throw new Error(`search query is too long`)
+  /** @type {Query} */
+  const query = { include: [], exclude: [], tags: [], guests: [], before: null, after: null }
+  for (const { groups } of q.normalize(`NFKC`).matchAll(TOKEN)) {
+    const { not, key } = groups
+    const value = (groups.phrase ?? groups.word).replace(/\s+/g, ` `).trim()
+    if (value === `` || (value === `-` && key === undefined)) continue
+    if (not && key) throw new Error(`-${key}: is not supported`)
+    if (key === `before` || key === `after`) {
+      if (DATE.test(value) === false) throw new Error(`${key}: should be a date like 2020-04-01 but got "${value}"`)
+      query[key] = value
+      continue
+    }
+    if (key === `tag`) {
+      query.tags.push(value)
+      continue
+    }
+    if (key === `guest`) {
+      query.guests.push(value)
+      continue
+    }
+    const list = not ? query.exclude : query.include
+    if (list.includes(value) === false) list.push(value)
+  }
+  return query
+}
+
+/**
+ * 語の出現数と、全体の df と平均の長さを数えておく
+ * @param {Array.<SearchDocument>} docs
+ * @returns {BM25Index}
+ */
+export function bm25_index(docs) {
+  /** @type {Map.<string, number>} */
+  const df = new Map()
+  const texts = docs.map(({ sections }) => normalize(sections.map(({ text }) => text).join(` `)))
+  const tfs = texts.map((text) => {
+    /** @type {Map.<string, number>} */
+    const tf = new Map()
+    search_terms(text).forEach((term) => tf.set(term, (tf.get(term) ?? 0) + 1))
+    tf.forEach((_, term) => df.set(term, (df.get(term) ?? 0) + 1))
+    return tf
+  })
+  const lengths = tfs.map((tf) => Array.from(tf.values()).reduce((sum, n) => sum + n, 0))
+  const avgdl = lengths.reduce((sum, n) => sum + n, 0) / Math.max(docs.length, 1)
+  return { docs, texts, tfs, lengths, df, avgdl }
+}
+
+/**
+ * query の filter を全て満たすか
+ * @param {SearchDocument} doc
+ * @param {string} text
+ * @param {Query} query
+ * @returns {boolean}
+ */
+function matches(doc, text, query) {
+  if (query.include.some((keyword) => text.includes(normalize(keyword)) === false)) return false
+  if (query.exclude.some((keyword) => text.includes(normalize(keyword)))) return false
+  const tags = doc.tags.map((tag) => to_slug(tag))
+  if (query.tags.some((tag) => tags.includes(to_slug(tag)) === false)) return false
+  const guests = doc.guests.map((guest) => normalize(guest))
+  if (query.guests.some((guest) => guests.some((name) => name.includes(normalize(guest))) === false)) return false
+  if (query.after && doc.date < query.after) return false
+  if (query.before && doc.date >= query.before) return false
+  return true
+}
+
+/**
+ * query に合うものを BM25 の score の高い順に返す
+ * 語の指定が無く filter だけの場合は新しい順にする
+ * @param {BM25Index} index
+ * @param {Query} query
+ * @param {RankOption & SearchOption} [option]
+ * @returns {Array.<Ranked>}
+ */
+export function bm25_search(index, query, option = {}) {
+  const { limit = 50, filter = () => true } = option
+  const { include, exclude, tags, guests, before, after } = query
+  if (include.length + exclude.length + tags.length + guests.length === 0 && before === null && after === null) return []
+
+  const n = index.docs.length
+  const terms = Array.from(new Set(include.flatMap((keyword) => search_terms(keyword))))
+  const idf = new Map(terms.map((term) => {
+    const df = index.df.get(term) ?? 0
+    return [term, Math.log(1 + (n - df + 0.5) / (df + 0.5))]
+  }))
+  const keywords = include.map((keyword) => normalize(keyword))
+
+  return index.docs
+    .map((doc, i) => {
+      if (filter(doc) === false || matches(doc, index.texts[i], query) === false) return null
+      const tf = index.tfs[i]
+      const dl = index.lengths[i]
+      const score = terms.reduce((sum, term) => {
+        const f = tf.get(term) ?? 0
+        return sum + idf.get(term) * f * (K1 + 1) / (f + K1 * (1 - B + B * dl / index.avgdl))
+      }, 0)
+      const { url, host, title, date } = doc
+      const hits = find_hits(doc.sections, keywords, option)
+      return { url, host, title, date, tags: doc.tags, guests: doc.guests, score: Math.round(score * 10000) / 10000, hits }
+    })
+    .filter((result) => result !== null)
+    .sort((a, b) => b.score - a.score || b.date.localeCompare(a.date))
+    .slice(0, limit)
+}
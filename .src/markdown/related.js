@@ -0,0 +1,176 @@
+/**
+ * 関連する記事を探す
+ * 共有している tag と、本文の TF-IDF の cosine 類似度を重み付けして足す
+ * 日本語は tokenizer を入れずに文字の bigram で扱う
+ *
+ * @typedef {import("./index.js").Node} Node
+ */
+
+/**
+ * @typedef {Object} Document
+ * @prop {string} id
+ * @prop {Array.<string>} tags
+ * @prop {string} text
+ */
+
+/**
+ * @typedef {Object} Score
+ * @prop {string} id
+ * @prop {number} score tag と text を重み付けして足したもの
+ * @prop {number} tag 共有している tag の Jaccard 係数
+ * @prop {number} text TF-IDF の cosine 類似度
+ */
+
+/**
+ * @typedef {Object} RelatedOption
+ * @prop {number} [limit] 1 つの Document あたりの件数
+ * @prop {number} [tag_weight] tag の重み、 text は 1 - tag_weight
+ * @prop {number} [threshold] これより低い score は関連とみなさない
+ */
+
+/**
+ * 英語の頻出語、 IDF だけでは下がりきらないので消す
+ */
+const STOPWORDS = new Set([
+  `a`, `an`, `and`, `are`, `as`, `at`, `be`, `by`, `can`, `do`, `for`, `from`, `has`, `have`, `if`, `in`, `is`, `it`,
+  `its`, `not`, `of`, `on`, `or`, `so`, `that`, `the`, `this`, `to`, `was`, `we`, `will`, `with`, `you`,
+])
+
+/**
+ * 英数字の単語と、漢字かなカナの並びに分ける
+ */
+const SEGMENT = /(?<word>[\p{Script=Latin}\p{N}_]+)|(?<cjk>[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー々]+)/gu
+
+/**
+ * 文章を TF-IDF の単位にする
+ * 英数字は小文字の単語、日本語は bigram (1 文字なら unigram) にする
+ * 数字だけの単語と、ひらがなだけのものは助詞や語尾ばかりなので捨てる
+ * @param {string} text
+ * @returns {Array.<string>}
+ */
+export function to_terms(text) {
+  const terms = []
+  for (const { groups } of text.normalize(`NFKC`).toLowerCase().matchAll(SEGMENT)) {
+    if (groups.word) {
+      if (groups.word.length < 2 || STOPWORDS.has(groups.word) || /^[\d_]+$/.test(groups.word)) continue
+      terms.push(groups.word)
+      continue
+    }
+    const chars = Array.from(groups.cjk)
+    const grams = chars.length === 1 ? chars : chars.slice(1).map((c, i) => chars[i] + c)
+    grams.forEach((gram) => {
+      if (/^\p{Script=Hiragana}+$/u.test(gram)) return
+      terms.push(gram)
+    })
+  }
+  return terms
+}
+
+/**
+ * AST から本文の text だけを取り出す、 code block は除く
+ * @param {Node} node
+ * @returns {string}
+ */
+export function text_content(node) {
+  if (node.name === `pre`) return ``
+  if (node.name === `text`) return node.text
+  return node.children.map((child) => text_content(child)).join(` `)
+}
+
+/**
+ * 正規化した TF-IDF のベクトル
+ * どの Document にも出てくるような語は類似度に効かないので、半分を超える Document に出る語は捨てる
+ * @param {Array.<Array.<string>>} terms_list
+ * @returns {Array.<Map.<string, number>>}
+ */
+function tf_idf(terms_list) {
+  const n = terms_list.length
+  /** @type {Map.<string, number>} */
+  const df = new Map()
+  const tfs = terms_list.map((terms) => {
+    /** @type {Map.<string, number>} */
+    const tf = new Map()
+    terms.forEach((term) => tf.set(term, (tf.get(term) ?? 0) + 1))
+    tf.forEach((_, term) => df.set(term, (df.get(term) ?? 0) + 1))
+    return tf
+  })
+  return tfs.map((tf) => {
+    /** @type {Map.<string, number>} */
+    const vector = new Map()
+    tf.forEach((count, term) => {
+      const d = df.get(term)
+      // 1 つにしか出ない語も他と共有しないので捨てる
+      if (d < 2 || d > n / 2) return
+      vector.set(term, (1 + Math.log(count)) * Math.log(n / d))
+    })
+    const norm = Math.sqrt(Array.from(vector.values()).reduce((sum, w) => sum + w * w, 0))
+    vector.forEach((w, term) => vector.set(term, w / norm))
+    return vector
+  })
+}
+
+/**
+ * @param {Array.<string>} a
+ * @param {Array.<string>} b
+ * @returns {number}
+ */
+function jaccard(a, b) {
+  const x = new Set(a.map((tag) => tag.toLowerCase()))
+  const y = new Set(b.map((tag) => tag.toLowerCase()))
+  const shared = Array.from(x).filter((tag) => y.has(tag)).length
+  const union = x.size + y.size - shared
+  return union === 0 ? 0 : shared / union
+}
+
+/**
+ * 桁を揃えて JSON に出したときに読みやすくする
+ * @param {number} n
+ * @returns {number}
+ */
+function round(n) {
+  return Math.round(n * 10000) / 10000
+}
+
+/**
+ * Document ごとに関連の強い順に limit 件返す
+ * score が同じなら id の順にして、結果が変わらないようにする
+ * @param {Array.<Document>} docs
+ * @param {RelatedOption} [option]
+ * @returns {Map.<string, Array.<Score>>}
+ */
+export function related(docs, option = {}) {
+  const { limit = 5, tag_weight = 0.3, threshold = 0.05 } = option
+  const vectors = tf_idf(docs.map(({ text }) => to_terms(text)))
+
+  // 転置 index で語を共有する Document の組だけ内積を計算する
+  /** @type {Map.<string, Array.<[number, number]>>} */
+  const postings = new Map()
+  vectors.forEach((vector, i) => {
+    vector.forEach((w, term) => {
+      if (postings.has(term) === false) postings.set(term, [])
+      postings.get(term).push([i, w])
+    })
+  })
+
+  return new Map(docs.map((doc, i) => {
+    /** @type {Map.<number, number>} */
+    const dots = new Map()
+    vectors[i].forEach((w, term) => {
+      postings.get(term).forEach(([j, v]) => {
+        if (i !== j) dots.set(j, (dots.get(j) ?? 0) + w * v)
+      })
+    })
+    const scores = docs
+      .map((other, j) => {
+        if (i === j) return null
+        const tag = jaccard(doc.tags, other.tags)
+        const text = dots.get(j) ?? 0
+        const score = tag_weight * tag + (1 - tag_weight) * text
+        return { id: other.id, score: round(score), tag: round(tag), text: round(text) }
+      })
+      .filter((score) => score !== null && score.score >= threshold)
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1))
+      .slice(0, limit)
+    return [doc.id, scores]
+  }))
+}
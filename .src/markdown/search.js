@@ -0,0 +1,399 @@
+/**
+ * 静的な全文検索
+ * build 時に section ごとの転置 index を作り、 browser ではそれを読んで検索する
+ * 日本語は tokenizer を入れずに文字の bigram で引き、最後に本文と突き合わせて絞る
+ * このファイルは search/ にそのままコピーして browser でも使うので、他のファイルを import しない
+ *
+ * @typedef {import("./index.js").Node} Node
+ */
+
+/**
+ * @typedef {Object} Section
+ * @prop {string} id heading の id、 h1 の section は ""
+ * @prop {string} heading
+ * @prop {string} text 子の section を除いた本文、 block ごとに改行する
+ */
+
+/**
+ * @typedef {Object} SearchSource
+ * @prop {string} url
+ * @prop {string} title
+ * @prop {string} date
+ * @prop {Array.<Section>} sections
+ */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @prop {Array.<[string, string, string]>} docs url, title, date
+ * @prop {Array.<[number, string, string]>} sections doc の番号, id, heading
+ * @prop {Object.<string, Array.<number>>} terms 語を含む section の番号を、前の番号との差で持つ
+ */
+
+/**
+ * @typedef {Object} Hit
+ * @prop {string} id
+ * @prop {string} heading
+ * @prop {string} prefix
+ * @prop {string} keyword
+ * @prop {string} suffix
+ * @prop {string} fragment
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @prop {string} url
+ * @prop {string} title
+ * @prop {string} date
+ * @prop {number} score
+ * @prop {Array.<Hit>} hits
+ */
+
+/**
+ * @typedef {Object} SearchOption
+ * @prop {number} [hits] 1 つの結果に出す Hit の数
+ * @prop {number} [context] Hit の前後に出す文字数
+ */
+
+/**
+ * 検索語の長さの上限
+ */
+export const MAX_LENGTH = 30
+
+/**
+ * 英数字の単語と、漢字かなカナの並びに分ける
+ */
+const SEGMENT = /(?<word>[\p{Script=Latin}\p{N}_]+)|(?<cjk>[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー々]+)/gu
+
+/**
+ * 改行を入れずにつなげる node
+ */
+const INLINE = new Set([`text`, `a`, `code`, `em`, `strong`, `cite`, `math`, `footnote_ref`])
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return text.normalize(`NFKC`).toLowerCase()
+}
+
+/**
+ * 文章を index の単位にする
+ * 英数字は小文字の単語、日本語は bigram (1 文字なら unigram) にする
+ * 関連記事と違い、ひらがなや数字も検索できるように残す
+ * @param {string} text
+ * @returns {Array.<string>}
+ */
+export function search_terms(text) {
+  const terms = []
+  for (const { groups } of normalize(text).matchAll(SEGMENT)) {
+    if (groups.word) {
+      terms.push(groups.word)
+      continue
+    }
+    const chars = Array.from(groups.cjk)
+    if (chars.length === 1) {
+      terms.push(chars[0])
+      continue
+    }
+    chars.slice(1).forEach((c, i) => terms.push(chars[i] + c))
+  }
+  return terms
+}
+
+/**
+ * ページに表示される text、 block の間は改行にする
+ * @param {Node} node
+ * @returns {string}
+ */
+function plain(node) {
+  if (node.name === `text`) return node.text
+  if (node.name === `html`) return ``
+  return node.children.reduce((text, child, i) => {
+    const prev = node.children[i - 1]
+    const separator = i === 0 || (INLINE.has(prev.name) && INLINE.has(child.name)) ? `` : `\n`
+    return text + separator + plain(child)
+  }, ``)
+}
+
+/**
+ * heading_id() を通した AST を section ごとの本文に分ける
+ * @param {Node} node
+ * @returns {Array.<Section>}
+ */
+export function search_sections(node) {
+  if (node.name !== `section`) return node.children.flatMap((child) => search_sections(child))
+  const heading = node.children.find((child) => child.name === `heading`)
+  const body = node.children.filter((child) => child.name !== `section`)
+  const section = {
+    id: heading?.attr.get(`id`) ?? ``,
+    heading: heading ? plain(heading) : ``,
+    text: body.map((child) => plain(child)).join(`\n`).normalize(`NFKC`),
+  }
+  const children = node.children.filter((child) => child.name === `section`)
+  return [section, ...children.flatMap((child) => search_sections(child))]
+}
+
+/**
+ * index と、 snippet を作るための section の本文を分けて作る
+ * 本文は section の番号と同じ順に並べる
+ * @param {Array.<SearchSource>} sources
+ * @returns {{index: SearchIndex, text: Array.<string>}}
+ */
+export function build_search_index(sources) {
+  /** @type {SearchIndex} */
+  const index = { docs: [], sections: [], terms: {} }
+  /** @type {Array.<string>} */
+  const text = []
+  /** @type {Map.<string, Array.<number>>} */
+  const postings = new Map()
+
+  sources.forEach(({ url, title, date, sections }, doc) => {
+    index.docs.push([url, title, date])
+    sections.forEach(({ id, heading, text: body }) => {
+      const n = index.sections.length
+      index.sections.push([doc, id, heading])
+      text.push(body)
+      new Set(search_terms(body)).forEach((term) => {
+        if (postings.has(term) === false) postings.set(term, [])
+        postings.get(term).push(n)
+      })
+    })
+  })
+
+  // 小さい数字が並ぶ方が JSON が短くなる
+  Array.from(postings.keys()).sort().forEach((term) => {
+    index.terms[term] = postings.get(term).map((n, i, list) => n - (list[i - 1] ?? 0))
+  })
+  return { index, text }
+}
+
+/**
+ * 空白で区切った検索語、重複は除く
+ * @param {string} q
+ * @returns {Array.<string>}
+ */
+export function parse_query(q) {
+  if (q.length > MAX_LENGTH) throw new Error(`search keyword is too long`)
+  return Array.from(new Set(q.normalize(`NFKC`).split(/\s+/).filter((keyword) => keyword !== ``)))
+}
+
+/**
+ * text fragment の 1 つの値、 - , & も % encode する
+ * @param {string} text
+ * @returns {string}
+ */
+function encode_fragment(text) {
+  return encodeURIComponent(text).replace(/[-!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+/**
+ * keyword の前後の単語を prefix と suffix にした #:~:text= の値
+ * @param {string} prefix
+ * @param {string} keyword
+ * @param {string} suffix
+ * @returns {string}
+ */
+export function fragment(prefix, keyword, suffix) {
+  const word = encode_fragment(keyword)
+  const before = encode_fragment(prefix.trim().split(/\s+/).at(-1))
+  const after = encode_fragment(suffix.trim().split(/\s+/).at(0))
+  return `${before === `` ? `` : `${before}-,`}${word}${after === `` ? `` : `,-${after}`}`
+}
+
+/**
+ * 差分で持っている postings を section の番号に戻す
+ * @param {Array.<number>} deltas
+ * @returns {Array.<number>}
+ */
+function decode_postings(deltas) {
+  let n = 0
+  return deltas.map((delta) => n += delta)
+}
+
+/**
+ * 語を含む section の番号
+ * 英数字の単語は前方一致、 1 文字の漢字かなは bigram の中も探す
+ * @param {SearchIndex} index
+ * @param {string} term
+ * @returns {Set.<number>}
+ */
+function lookup(index, term) {
+  const latin = /^[\p{Script=Latin}\p{N}_]+$/u.test(term)
+  const single = Array.from(term).length === 1 && latin === false
+  const keys = Object.keys(index.terms).filter((key) => {
+    if (latin) return key.startsWith(term)
+    if (single) return key.includes(term)
+    return key === term
+  })
+  return new Set(keys.flatMap((key) => decode_postings(index.terms[key])))
+}
+
+/**
+ * @param {string} text
+ * @param {string} keyword normalize() したもの
+ * @returns {number}
+ */
+function count(text, keyword) {
+  let n = 0
+  for (let i = text.indexOf(keyword); i !== -1; i = text.indexOf(keyword, i + keyword.length)) n++
+  return n
+}
+
+/**
+ * section の本文から keyword を含む行を探し、前後を付けて返す
+ * @param {Array.<Section>} sections
+ * @param {Array.<string>} keywords normalize() したもの
+ * @param {SearchOption} [option]
+ * @returns {Array.<Hit>}
+ */
+export function find_hits(sections, keywords, option = {}) {
+  const { hits: max_hits = 10, context = 40 } = option
+  /** @type {Array.<Hit>} */
+  const hits = []
+  sections.forEach(({ id, heading, text }) => {
+    text.split(`\n`).forEach((line) => {
+      const lowered = line.toLowerCase()
+      keywords.forEach((normalized) => {
+        if (hits.length >= max_hits) return
+        const i = lowered.indexOf(normalized)
+        if (i === -1) return
+        const prefix = line.slice(0, i)
+        const keyword = line.slice(i, i + normalized.length)
+        const suffix = line.slice(i + normalized.length)
+        hits.push({
+          id,
+          heading,
+          prefix: prefix.length > context ? `…${prefix.slice(-context)}` : prefix,
+          keyword,
+          suffix: suffix.length > context ? `${suffix.slice(0, context)}…` : suffix,
+          fragment: fragment(prefix, keyword, suffix),
+        })
+      })
+    })
+  })
+  return hits
+}
+
+/**
+ * keyword ごとに、 index から本文と照合する候補の section を引く
+ * 記号だけの keyword は index に無いので全ての section を候補にする
+ * @param {SearchIndex} index
+ * @param {Array.<string>} keywords
+ * @returns {Array.<{keyword: string, normalized: string, candidates: Array.<number>}>}
+ */
+function candidate_sections(index, keywords) {
+  return keywords.map((keyword) => {
+    const normalized = normalize(keyword)
+    const terms = Array.from(new Set(search_terms(normalized)))
+    const candidates = terms.length === 0
+      ? index.sections.map((_, n) => n)
+      : Array.from(terms.map((term) => lookup(index, term)).reduce((acc, set) => {
+        return new Set(Array.from(acc).filter((n) => set.has(n)))
+      }))
+    return { keyword, normalized, candidates }
+  })
+}
+
+/**
+ * 全ての keyword の候補を含む doc の番号
+ * search() はこの doc の本文しか読まないので、 browser ではこれだけ読めばよい
+ * @param {SearchIndex} index
+ * @param {string} q
+ * @returns {Array.<number>}
+ */
+export function search_docs(index, q) {
+  const keywords = parse_query(q)
+  if (keywords.length === 0) return []
+  const docs = candidate_sections(index, keywords).map(({ candidates }) => new Set(candidates.map((n) => index.sections[n][0])))
+  const [first, ...rest] = docs
+  return Array.from(first).filter((doc) => rest.every((set) => set.has(doc))).sort((a, b) => a - b)
+}
+
+/**
+ * doc ごとに分けた section の本文
+ * @param {SearchIndex} index
+ * @param {Array.<string>} text
+ * @returns {Array.<Array.<string>>}
+ */
+export function split_text(index, text) {
+  /** @type {Array.<Array.<string>>} */
+  const docs = index.docs.map(() => [])
+  index.sections.forEach(([doc], n) => docs[doc].push(text[n]))
+  return docs
+}
+
+/**
+ * split_text() したものを section の番号の位置に戻す、読んでいない doc の section は undefined
+ * @param {SearchIndex} index
+ * @param {Map.<number, Array.<string>>} docs doc の番号 => その doc の section の本文
+ * @returns {Array.<string>}
+ */
+export function section_text(index, docs) {
+  /** @type {Map.<number, number>} */
+  const seen = new Map()
+  return index.sections.map(([doc]) => {
+    const i = seen.get(doc) ?? 0
+    seen.set(doc, i + 1)
+    return docs.get(doc)?.[i]
+  })
+}
+
+/**
+ * 全ての keyword を含むページを score の高い順に返す
+ * keyword は section 単位で本文と照合するので、 bigram が離れて出てくるだけのものは含まない
+ * score は keyword ごとの (1 + log 出現数) * idf の和で、 title に含むと idf を足す
+ * text は search_docs() の doc の section の分だけあればよい
+ * @param {SearchIndex} index
+ * @param {Array.<string>} text
+ * @param {string} q
+ * @param {SearchOption} [option]
+ * @returns {Array.<SearchResult>}
+ */
+export function search(index, text, q, option = {}) {
+  const keywords = parse_query(q)
+  if (keywords.length === 0) return []
+
+  /** @type {Map.<number, string>} */
+  const lowered = new Map()
+  const lower = (/** @type {number} */ n) => {
+    if (lowered.has(n) === false) lowered.set(n, text[n].toLowerCase())
+    return lowered.get(n)
+  }
+
+  // keyword ごとに、含む section と doc ごとの出現数
+  // 全ての keyword の候補を含まない doc は結果にならないので本文を見ない
+  const targets = new Set(search_docs(index, q))
+  const matches = candidate_sections(index, keywords).map(({ keyword, normalized, candidates }) => {
+    /** @type {Map.<number, number>} */
+    const docs = new Map()
+    const sections = new Set(candidates.filter((n) => {
+      const doc = index.sections[n][0]
+      if (targets.has(doc) === false) return false
+      const c = count(lower(n), normalized)
+      if (c === 0) return false
+      docs.set(doc, (docs.get(doc) ?? 0) + c)
+      return true
+    }))
+    // idf の doc 数は、全ての本文を読まずに済むよう index の候補で数える
+    const df = new Set(candidates.map((n) => index.sections[n][0])).size
+    return { keyword, normalized, sections, docs, df }
+  })
+
+  const n_docs = index.docs.length
+  const [first, ...rest] = matches
+  const docs = Array.from(first.docs.keys()).filter((doc) => rest.every(({ docs }) => docs.has(doc)))
+
+  return docs.map((doc) => {
+    const [url, title, date] = index.docs[doc]
+    const score = matches.reduce((sum, { normalized, docs: counts, df }) => {
+      const idf = Math.log(1 + n_docs / df)
+      const bonus = normalize(title).includes(normalized) ? idf : 0
+      return sum + (1 + Math.log(counts.get(doc))) * idf + bonus
+    }, 0)
+
+    const sections = index.sections.flatMap(([d, id, heading], n) => d === doc ? [{ id, heading, text: text[n] }] : [])
+    const hits = find_hits(sections, matches.map(({ normalized }) => normalized), option)
+    return { url, title, date, score: Math.round(score * 10000) / 10000, hits }
+  }).sort((a, b) => b.score - a.score || b.date.localeCompare(a.date))
+}
@@ -0,0 +1,323 @@
+import { hsc } from "./index.js"
+
+/**
+ * ```sequence の DSL から SVG のシーケンス図を作る
+ *
+ * title: Offer/Answer
+ * participant A as Alice
+ * A -> B: request   実線
+ * B --> A: response 点線
+ * A ->> B: async    矢印の先を開く
+ * note over A, B: text
+ * note left of A: text
+ * %% comment
+ */
+
+/**
+ * @typedef {Object} Participant
+ * @prop {string} id
+ * @prop {string} label
+ */
+
+/**
+ * @typedef {Object} Message
+ * @prop {"message"} type
+ * @prop {string} from
+ * @prop {string} to
+ * @prop {string} text
+ * @prop {boolean} dashed
+ * @prop {boolean} open 矢印の先を塗らない
+ */
+
+/**
+ * @typedef {Object} Note
+ * @prop {"note"} type
+ * @prop {"over"|"left"|"right"} place
+ * @prop {Array<string>} targets
+ * @prop {string} text
+ */
+
+/**
+ * @typedef {Object} Diagram
+ * @prop {string} title
+ * @prop {Array<Participant>} participants
+ * @prop {Array<Message|Note>} rows
+ */
+
+const FONT_SIZE = 14
+const LINE_HEIGHT = 18
+const PADDING = 10
+const BOX_HEIGHT = 32
+const ROW_HEIGHT = 40
+const SELF_WIDTH = 30
+const MARGIN = 20
+const STROKE = `#333`
+const FILL = `#f5f5f5`
+const NOTE = `#fff8c4`
+const FONT = `sans-serif`
+
+/**
+ * 等幅ではないので文字幅は概算
+ * 全角は 1em, 半角は 0.6em とする
+ * @param {string} text
+ * @returns {number}
+ */
+function text_width(text) {
+  return Array.from(text).reduce((width, c) => {
+    return width + (/[\u0000-ÿ]/.test(c) ? FONT_SIZE * 0.6 : FONT_SIZE)
+  }, 0)
+}
+
+/**
+ * @param {string} source
+ * @returns {Diagram}
+ */
+export function parse_sequence(source) {
+  /** @type {Diagram} */
+  const diagram = { title: null, participants: [], rows: [] }
+
+  /**
+   * 登場した順に participant を追加する
+   * @param {string} id
+   * @param {string} [label]
+   */
+  function participant(id, label = id) {
+    const found = diagram.participants.find((p) => p.id === id)
+    if (found) return found
+    const p = { id, label }
+    diagram.participants.push(p)
+    return p
+  }
+
+  source.split(`\n`).forEach((line, i) => {
+    const text = line.trim()
+    if (text === `` || text.startsWith(`%%`)) return
+
+    /** @type {RegExpExecArray} */
+    let result
+
+    if (result = /^title:\s*(?<title>.+)$/.exec(text)) {
+      diagram.title = result.groups.title
+      return
+    }
+
+    if (result = /^participant\s+(?<id>[^\s:]+)(\s+as\s+(?<label>.+))?$/.exec(text)) {
+      const { id, label } = result.groups
+      const p = participant(id, label)
+      if (label) p.label = label
+      return
+    }
+
+    if (result = /^note\s+(?<place>over|left of|right of)\s+(?<targets>[^:]+?)\s*:\s*(?<text>.+)$/.exec(text)) {
+      const place = /** @type {"over"|"left"|"right"} */ (result.groups.place.split(` `)[0])
+      const targets = result.groups.targets.split(/\s*,\s*/)
+      if (targets.length > 2) throw new Error(`line ${i + 1}: note can be over at most 2 participants in "${line}"`)
+      if (place !== `over` && targets.length > 1) throw new Error(`line ${i + 1}: note ${place} of takes 1 participant in "${line}"`)
+      targets.forEach((id) => participant(id))
+      diagram.rows.push({ type: `note`, place, targets, text: result.groups.text })
+      return
+    }
+
+    if (result = /^(?<from>[^\s:-]+)\s*(?<arrow>-->>|->>|-->|->)\s*(?<to>[^\s:]+)\s*:\s*(?<text>.*)$/.exec(text)) {
+      const { from, arrow, to } = result.groups
+      participant(from)
+      participant(to)
+      diagram.rows.push({
+        type: `message`,
+        from,
+        to,
+        text: result.groups.text,
+        dashed: arrow.startsWith(`--`),
+        open: arrow.endsWith(`>>`),
+      })
+      return
+    }
+
+    throw new Error(`line ${i + 1}: invalid sequence "${line}"`)
+  })
+
+  if (diagram.participants.length === 0) throw new Error(`sequence has no participant`)
+  return diagram
+}
+
+/**
+ * @param {Object<string, string|number>} attr
+ * @returns {string}
+ */
+function attrs(attr) {
+  return Object.entries(attr).map(([k, v]) => {
+    // 座標の誤差で桁が増えないように丸める
+    const value = typeof v === `number` ? Math.round(v * 10) / 10 : v
+    return ` ${k}="${value}"`
+  }).join(``)
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @param {string} text
+ * @param {string} [anchor]
+ * @returns {string}
+ */
+function label(x, y, text, anchor = `middle`) {
+  return `<text${attrs({ x, y, "text-anchor": anchor })}>${hsc(text)}</text>`
+}
+
+/**
+ * to の方向を向いた矢印の先
+ * @param {number} x
+ * @param {number} y
+ * @param {number} direction 1 なら右向き、 -1 なら左向き
+ * @param {boolean} open
+ * @returns {string}
+ */
+function arrow_head(x, y, direction, open) {
+  const back = x - direction * 10
+  const points = `${back},${y - 5} ${x},${y} ${back},${y + 5}`
+  if (open) return `<polyline${attrs({ points, fill: `none`, stroke: STROKE })}/>`
+  return `<polygon${attrs({ points, fill: STROKE })}/>`
+}
+
+/**
+ * @param {Diagram} diagram
+ * @returns {{svg: string, width: number, height: number}}
+ */
+export function render_sequence({ title, participants, rows }) {
+  const index = (/** @type {string} */ id) => participants.findIndex((p) => p.id === id)
+  const box_widths = participants.map(({ label }) => Math.max(text_width(label) + PADDING * 2, 80))
+
+  // 隣り合う participant の中心間の距離、ラベルが収まるように広げる
+  const gaps = participants.slice(1).map((_, i) => (box_widths[i] + box_widths[i + 1]) / 2 + MARGIN)
+  const require = (/** @type {number} */ from, /** @type {number} */ to, /** @type {number} */ width) => {
+    const [a, b] = from < to ? [from, to] : [to, from]
+    const current = gaps.slice(a, b).reduce((sum, gap) => sum + gap, 0)
+    if (current < width) gaps[b - 1] += width - current
+  }
+  rows.forEach((row) => {
+    if (row.type === `message`) {
+      const from = index(row.from)
+      const to = index(row.to)
+      const width = text_width(row.text) + PADDING * 2
+      if (from === to) {
+        // 自分への message は右側にはみ出す
+        if (from < gaps.length) require(from, from + 1, width + SELF_WIDTH)
+      } else {
+        require(from, to, width)
+      }
+    }
+    if (row.type === `note`) {
+      const i = index(row.targets[0])
+      const width = text_width(row.text) + PADDING * 2
+      if (row.targets.length === 2) require(i, index(row.targets[1]), width)
+      // 隣の lifeline に重ならないように
+      if (row.place === `left` && i > 0) require(i - 1, i, width + PADDING * 2)
+      if (row.place === `right` && i < gaps.length) require(i, i + 1, width + PADDING * 2)
+    }
+  })
+
+  // note が左右にはみ出す分を余白にする
+  const overflow = (/** @type {"left"|"right"} */ side) => {
+    return rows.reduce((max, row) => {
+      const edge = side === `left` ? 0 : gaps.length
+      if (row.type === `note` && row.place === side && index(row.targets[0]) === edge) {
+        return Math.max(max, text_width(row.text) + PADDING * 3)
+      }
+      if (side === `right` && row.type === `message` && row.from === row.to && index(row.from) === gaps.length) {
+        return Math.max(max, text_width(row.text) + SELF_WIDTH + PADDING * 2)
+      }
+      return max
+    }, 0)
+  }
+
+  const left = Math.max(MARGIN + box_widths[0] / 2, overflow(`left`) + MARGIN)
+  const centers = [Math.round(left)]
+  gaps.forEach((gap) => centers.push(centers.at(-1) + Math.round(gap)))
+  const right = Math.max(box_widths.at(-1) / 2 + MARGIN, overflow(`right`) + MARGIN)
+  const width = Math.ceil(Math.max(centers.at(-1) + right, title ? text_width(title) + MARGIN * 2 : 0))
+
+  const elements = []
+  let y = MARGIN
+  if (title) {
+    y += LINE_HEIGHT
+    elements.push(`<text${attrs({ x: width / 2, y, "text-anchor": `middle`, "font-weight": `bold` })}>${hsc(title)}</text>`)
+    y += PADDING
+  }
+
+  const top = y
+  y += BOX_HEIGHT
+
+  rows.forEach((row) => {
+    if (row.type === `message`) {
+      const from = centers[index(row.from)]
+      const to = centers[index(row.to)]
+      const dash = row.dashed ? { "stroke-dasharray": `4 3` } : {}
+      if (from === to) {
+        y += ROW_HEIGHT
+        const points = `${from},${y - 10} ${from + SELF_WIDTH},${y - 10} ${from + SELF_WIDTH},${y + 10} ${from},${y + 10}`
+        elements.push(label(from + SELF_WIDTH + PADDING / 2, y + 5, row.text, `start`))
+        elements.push(`<polyline${attrs({ points, fill: `none`, stroke: STROKE, ...dash })}/>`)
+        elements.push(arrow_head(from, y + 10, -1, row.open))
+        y += 10
+        return
+      }
+      y += ROW_HEIGHT
+      elements.push(label((from + to) / 2, y - 6, row.text))
+      elements.push(`<line${attrs({ x1: from, y1: y, x2: to, y2: y, stroke: STROKE, ...dash })}/>`)
+      elements.push(arrow_head(to, y, Math.sign(to - from), row.open))
+      return
+    }
+
+    // note
+    const xs = row.targets.map((id) => centers[index(id)])
+    const text_w = text_width(row.text) + PADDING * 2
+    const [x, w] = (() => {
+      if (row.place === `left`) return [xs[0] - PADDING - text_w, text_w]
+      if (row.place === `right`) return [xs[0] + PADDING, text_w]
+      const min = Math.min(...xs)
+      const max = Math.max(...xs)
+      const w = Math.max(max - min + PADDING * 4, text_w)
+      return [(min + max) / 2 - w / 2, w]
+    })()
+    y += PADDING
+    const h = LINE_HEIGHT + PADDING
+    elements.push(`<rect${attrs({ x, y, width: w, height: h, fill: NOTE, stroke: STROKE })}/>`)
+    elements.push(label(x + w / 2, y + h / 2 + FONT_SIZE / 2 - 2, row.text))
+    y += h
+  })
+
+  y += PADDING * 2
+  const height = Math.ceil(y + BOX_HEIGHT + MARGIN)
+
+  // lifeline は一番下に描くと矢印に重なるので先頭に入れる
+  const lifelines = centers.map((x) => {
+    return `<line${attrs({ x1: x, y1: top + BOX_HEIGHT, x2: x, y2: y, stroke: STROKE, "stroke-dasharray": `2 2` })}/>`
+  })
+  const boxes = participants.flatMap(({ label: text }, i) => {
+    const x = centers[i] - box_widths[i] / 2
+    return [top, y].flatMap((box_y) => [
+      `<rect${attrs({ x, y: box_y, width: box_widths[i], height: BOX_HEIGHT, rx: 4, fill: FILL, stroke: STROKE })}/>`,
+      label(centers[i], box_y + BOX_HEIGHT / 2 + FONT_SIZE / 2 - 2, text),
+    ])
+  })
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" role="img" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" font-family="${FONT}" font-size="${FONT_SIZE}">`,
+    `<title>${hsc(title ?? `sequence diagram`)}</title>`,
+    `<rect width="100%" height="100%" fill="#fff"/>`,
+    ...lifelines,
+    ...boxes,
+    ...elements,
+    `</svg>`,
+  ].join(`\n`)
+
+  return { svg, width, height }
+}
+
+/**
+ * @param {string} source
+ * @returns {{svg: string, width: number, height: number, title: string}}
+ */
+export function sequence_to_svg(source) {
+  const diagram = parse_sequence(source)
+  return { ...render_sequence(diagram), title: diagram.title }
+}
@@ -0,0 +1,75 @@
+import { decode } from "../index.js"
+import { strictEqual } from "assert"
+import fs from "fs"
+import { performance } from "perf_hooks"
+
+const ENTRIES = `../../../blog.jxck.io/entries`
+const ITERATION = 10
+
+/**
+ * entries/yyyy-mm-dd/*.md を全て読む
+ * @returns {Array.<string>}
+ */
+function read_entries() {
+  return fs.readdirSync(ENTRIES).flatMap((dir) => {
+    return fs.readdirSync(`${ENTRIES}/${dir}`)
+      .filter((file) => file.endsWith(`.md`))
+      .map((file) => fs.readFileSync(`${ENTRIES}/${dir}/${file}`, { encoding: `utf-8` }))
+  })
+}
+
+/**
+ * 再帰で作った parser では stack が溢れる入力もあるので、 warm up の結果を check で確かめてから計る
+ * @param {string} label
+ * @param {function(): any} fn
+ * @param {function(any): void} [check]
+ */
+function bench(label, fn, check = () => {}) {
+  check(fn()) // warm up
+  const start = performance.now()
+  for (let i = 0; i < ITERATION; i++) fn()
+  const avg = (performance.now() - start) / ITERATION
+  console.log(`${label}: ${avg.toFixed(2)}ms`)
+}
+
+const entries = read_entries()
+const lines = entries.reduce((acc, md) => acc + md.split(`\n`).length, 0)
+console.log(`${entries.length} entries, ${lines} lines`)
+
+// 一つずつ decode する
+bench(`each entry`, () => {
+  return entries.map((md) => decode(md, { recover: true }))
+}, (results) => {
+  strictEqual(results.length, entries.length)
+})
+
+// 全 entry を一つの巨大な文書として decode する
+const all = entries.join(`\n`)
+bench(`all entries as one document`, () => {
+  return decode(all, { recover: true })
+}, ({ ast }) => {
+  strictEqual(ast.position.end.line, lines)
+})
+
+// 巨大なログを貼った code block
+const log = [
+  "```",
+  ...Array.from({ length: 100000 }, (_, i) => `${i} GET /index.html 200`),
+  "```",
+].join(`\n`)
+bench(`100000 lines in code block`, () => {
+  return decode(log)
+}, (ast) => {
+  strictEqual(ast.children[0].children.length, 100000)
+})
+
+// 深く入れ子にした list
+const DEPTH = 10000
+const nested = Array.from({ length: DEPTH }, (_, i) => `${`  `.repeat(i)}- ${i}`).join(`\n`)
+bench(`${DEPTH} levels of nested list`, () => {
+  return decode(nested)
+}, (ast) => {
+  let depth = 0
+  for (let list = ast.children[0]; list; list = list.children[0].children.find(({ name }) => name === `ul`)) depth++
+  strictEqual(depth, DEPTH)
+})
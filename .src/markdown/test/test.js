@@ -1,11 +1,12 @@
-import { encode, decode, traverse, node, Node, to_toc, dump } from "../index.js"
+import { encode, decode, traverse, node, Node, to_toc, dump, ParseError, highlight, highlight_lines, tex_to_mathml, sequence_to_svg, pipeline, plugins, parse_yaml, to_slug, related, to_terms, text_content, build_search_index, search_sections, search, search_docs, split_text, section_text, fragment, parse_search_query, bm25_index, bm25_search, collect_links, collect_anchors, html_ids, image_size, parse_mp3, read_id3v2, encode_id3v2, describe_id3v2, show_note_chapters, validate_front_matter, publish_state, is_published } from "../index.js"
 import { format } from "../formatter.js";
-import { deepStrictEqual } from "assert";
+import { read_code } from "../code.js";
+import { deepStrictEqual, throws } from "assert";
 import fs from "fs";
 
-function test_case() {
+function read_cases() {
   const text = fs.readFileSync("./test.txt").toString()
-  const cases = text.split(`=`.repeat(30))
+  return text.split(`=`.repeat(30))
     .filter((line) => {
       return !line.startsWith("\n//")
     })
@@ -13,6 +14,10 @@ function test_case() {
       const [md, expected] = block.split(`-`.repeat(30))
       return [md, expected.trim()]
     })
+}
+
+function test_case() {
+  const cases = read_cases()
 
   for (const [md, expected] of cases) {
     try {
@@ -31,6 +36,76 @@ function test_case() {
   }
 }
 
+function large() {
+  // 行や入れ子の数だけ再帰すると stack が溢れる大きさでも decode できる
+  const log = [`\`\`\``, ...Array.from({ length: 100000 }, (_, i) => `${i} GET /index.html 200`), `\`\`\``].join(`\n`)
+  const pre = decode(log).children[0]
+  deepStrictEqual(pre.name, `pre`)
+  deepStrictEqual(pre.children.length, 100000)
+  deepStrictEqual(pre.children.at(-1).text, `99999 GET /index.html 200`)
+
+  const nested = Array.from({ length: 5000 }, (_, i) => `${`  `.repeat(i)}- ${i}`).join(`\n`)
+  let list = decode(nested).children[0]
+  let depth = 0
+  while (list) {
+    depth++
+    list = list.children[0].children.find(({ name }) => name === `ul`)
+  }
+  deepStrictEqual(depth, 5000)
+}
+
+function recover() {
+  // エラーのケースでも throw せず、最初の diagnostic が strict 時のエラーと一致する
+  for (const [md, expected] of read_cases()) {
+    const { ast, diagnostics } = decode(md, { recover: true })
+    let strict = null
+    try {
+      decode(md)
+    } catch (err) {
+      strict = err.message
+    }
+    if (strict === null) {
+      deepStrictEqual(diagnostics, [])
+      deepStrictEqual(encode(ast), expected + `\n`)
+    } else {
+      deepStrictEqual(diagnostics.at(0).message, strict)
+      deepStrictEqual(diagnostics.at(0).severity, `error`)
+    }
+  }
+
+  // 複数のエラーをまとめて返す
+  const md = [
+    `# title`,
+    ``,
+    `aaa  **bbb**`,
+    ` `,
+    `### skip`,
+    ``,
+    `- a`,
+    `   - b`,
+    ``,
+    `*unclosed`,
+  ].join(`\n`)
+  const { ast, diagnostics } = decode(md, { recover: true })
+  deepStrictEqual(diagnostics.map(({ message, position }) => [position.start.line, message]), [
+    [3, `too many spaces before "aaa  **bbb**"`],
+    [4, `space only line in " "`],
+    [5, `invalid sectioning "### skip"`],
+    [8, `odd indent in list "   - b"`],
+    [10, `unmatched </em> on "*unclosed"`],
+  ])
+  deepStrictEqual(ast.name, `root`)
+
+  // 定義の無い注釈は番号を取らず、後の注釈の番号を飛ばさない
+  {
+    const { ast, diagnostics } = decode(`# title\n\na[^x] b[^1] c[^2]\n\n[^1]: one\n[^2]: two`, { recover: true })
+    deepStrictEqual(diagnostics.map(({ message }) => message), [`undefined footnote "[^x]"`])
+    const p = encode(ast).split(`\n`).find((line) => line.includes(`<p>`))
+    deepStrictEqual(p, `  <p>a[^x] b<sup><a href="#fn-1" id="fnref-1">1</a></sup> c<sup><a href="#fn-2" id="fnref-2">2</a></sup>`)
+    deepStrictEqual(collect_anchors(ast).has(`fnref-x`), false)
+  }
+}
+
 function api() {
   const root = node({ name: `root`, type: `block` })
 
@@ -81,6 +156,69 @@ function formatter() {
   const before = fs.readFileSync(before_path, { encoding: `utf-8` })
   const after = fs.readFileSync(after_path, { encoding: `utf-8` })
   deepStrictEqual(format(before), after)
+
+  // rule ごとに変更した箇所を数える
+  const md = [`# title`, ``, `## a`, ``, `日本語（かっこ）とEnglish`, ``, `Caption: c`, `|a|bb|`, `|:-|-:|`, `|1|2|`, ``, `1. x`, `3. y`].join(`\n`)
+  const changes = { spacer: 0, singler: 0, table: 0, list: 0 }
+  const formatted = format(md, { changes })
+  deepStrictEqual(changes, { spacer: 1, singler: 1, table: 1, list: 1 })
+
+  // format 済みなら何も変わらない
+  const none = { spacer: 0, singler: 0, table: 0, list: 0 }
+  deepStrictEqual(format(formatted, { changes: none }), formatted)
+  deepStrictEqual(none, { spacer: 0, singler: 0, table: 0, list: 0 })
+
+  // 入れ子の list や callout の中でも 1 箇所は 1 回だけ数える
+  const nested = [`# title`, ``, `## a`, ``, `- 日本語（a）`, `  - 日本語（b）`, `    1. x`, `    3. y`, ``, `:::note`, `日本語（c）`, `:::`].join(`\n`)
+  const counts = { spacer: 0, singler: 0, table: 0, list: 0 }
+  format(nested, { changes: counts })
+  deepStrictEqual(counts, { spacer: 0, singler: 3, table: 0, list: 1 })
+}
+
+function position() {
+  /**
+   * @param {Node} node
+   * @returns {string}
+   */
+  function pos(node) {
+    const { start, end } = node.position
+    return `${start.line}:${start.column}-${end.line}:${end.column}`
+  }
+
+  const md = [
+    `# title`,
+    ``,
+    `aaa **bbb** ccc`,
+    ``,
+    `- a`,
+    `  - b`,
+    ``,
+    "```js",
+    `code`,
+    "```",
+  ].join(`\n`)
+
+  const ast = decode(md)
+  const article = ast.children.at(0)
+  const [h1, p, ul, pre] = article.children
+  deepStrictEqual(pos(ast), `1:1-10:4`)
+  deepStrictEqual(pos(article), `1:1-10:4`)
+  deepStrictEqual(pos(h1), `1:1-1:8`)
+  deepStrictEqual(pos(h1.children.at(0)), `1:3-1:8`)
+  deepStrictEqual(pos(p), `3:1-3:16`)
+  deepStrictEqual(p.children.map(pos), [`3:1-3:5`, `3:5-3:12`, `3:12-3:16`])
+  deepStrictEqual(pos(ul), `5:1-6:6`)
+  deepStrictEqual(pos(ul.children.at(0).children.at(1)), `6:3-6:6`)
+  deepStrictEqual(pos(pre), `8:1-10:4`)
+
+  throws(() => decode(`# title\n\naaa  **bbb**`), {
+    name: `ParseError`,
+    message: `too many spaces before "aaa  **bbb**"`,
+    position: {
+      start: { line: 3, column: 4 },
+      end: { line: 3, column: 6 },
+    },
+  })
 }
 
 function util() {
@@ -127,11 +265,555 @@ function util() {
   <li><a href="#k">k</a>
 </ul>`
   console.assert(actual, expected)
+
+  deepStrictEqual(to_slug(`service worker`), `service-worker`)
+  deepStrictEqual(to_slug(`HTTP`), to_slug(`http`))
+  deepStrictEqual(to_slug(`web+db`), `web-db`)
+  deepStrictEqual(to_slug(`node.js`), `node-js`)
+  deepStrictEqual(to_slug(` ＷＥＢ　フォント `), `web-フォント`)
+  deepStrictEqual(to_slug(`ｳｪﾌﾞ`), `ウェブ`)
+  deepStrictEqual(to_slug(`+++`), `2b-2b-2b`)
+}
+
+function syntax() {
+  const span = (type, text) => `<span class="token ${type}">${text}</span>`
+
+  deepStrictEqual(
+    highlight(`const a = "<b>" // c`, `js`),
+    `${span(`keyword`, `const`)} a ${span(`operator`, `=`)} ${span(`string`, `&quot;&lt;b&gt;&quot;`)} ${span(`comment`, `// c`)}`
+  )
+
+  // 単語の途中の keyword は無視
+  deepStrictEqual(highlight(`index`, `js`), `index`)
+
+  deepStrictEqual(
+    highlight(`GET / HTTP/1.1\nHost: example.com`, `http`),
+    `${span(`request-line`, `GET / HTTP/1.1`)}\n${span(`header-name keyword`, `Host`)}: example.com`
+  )
+
+  // $ ではじまれば shell session
+  deepStrictEqual(
+    highlight(`$ echo $A\nok`, `sh`),
+    `${span(`command`, `${span(`shell-symbol`, `$`)} ${span(`builtin`, `echo`)} ${span(`variable`, `$A`)}`)}\n${span(`output`, `ok`)}`
+  )
+
+  deepStrictEqual(
+    highlight(`{"a": [1, null]}`, `json`),
+    [
+      span(`punctuation`, `{`),
+      span(`property`, `&quot;a&quot;`),
+      span(`punctuation`, `:`),
+      ` `,
+      span(`punctuation`, `[`),
+      span(`number`, `1`),
+      span(`punctuation`, `,`),
+      ` `,
+      span(`keyword`, `null`),
+      span(`punctuation`, `]`),
+      span(`punctuation`, `}`),
+    ].join(``)
+  )
+
+  deepStrictEqual(
+    highlight(`-a\n+b`, `diff`),
+    `${span(`deleted`, `-a`)}\n${span(`inserted`, `+b`)}`
+  )
+
+  // 未対応の言語は escape のみ
+  deepStrictEqual(highlight(`<a>`, `erlang`), `&lt;a&gt;`)
+
+  // 行をまたぐ token は行ごとに閉じる
+  deepStrictEqual(
+    highlight_lines(`/* a\nb */`, `js`),
+    [span(`comment`, `/* a`), span(`comment`, `b */`)]
+  )
+}
+
+function mathml() {
+  const cases = [
+    [`x^2_i`, `<math><msubsup><mi>x</mi><mi>i</mi><mn>2</mn></msubsup></math>`],
+    [`x^10`, `<math><msup><mi>x</mi><mn>1</mn></msup><mn>0</mn></math>`],
+    [`f'(x)`, `<math><msup><mi>f</mi><mo>′</mo></msup><mo>(</mo><mi>x</mi><mo>)</mo></math>`],
+    [`\\sqrt[3]{a}`, `<math><mroot><mi>a</mi><mn>3</mn></mroot></math>`],
+    [`\\alpha \\leq \\Omega`, `<math><mi>α</mi><mo>≤</mo><mi mathvariant=normal>Ω</mi></math>`],
+    [`a < b`, `<math><mi>a</mi><mo>&lt;</mo><mi>b</mi></math>`],
+    [`\\mathbb{R}`, `<math><mi>ℝ</mi></math>`],
+    [`\\text{if } x`, `<math><mtext>if </mtext><mi>x</mi></math>`],
+    [`\\left( a \\right.`, `<math><mrow><mo stretchy=true>(</mo><mi>a</mi></mrow></math>`],
+    [
+      `\\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix}`,
+      `<math><mrow><mo>(</mo><mtable><mtr><mtd><mi>a</mi></mtd><mtd><mi>b</mi></mtd></mtr><mtr><mtd><mi>c</mi></mtd><mtd><mi>d</mi></mtd></mtr></mtable><mo>)</mo></mrow></math>`,
+    ],
+  ]
+  cases.forEach(([tex, expected]) => {
+    deepStrictEqual(tex_to_mathml(tex), expected)
+  })
+
+  // display では lim の添字が下に付く
+  deepStrictEqual(
+    tex_to_mathml(`\\lim_{n}`, true),
+    `<math display=block><munder><mi>lim</mi><mi>n</mi></munder></math>`
+  )
+
+  const errors = [
+    [`x^1^2`, `double superscript`],
+    [`\\begin{matrix} a \\end{pmatrix}`, `\\begin{matrix} ended by \\end{pmatrix}`],
+    [`a & b`, `"&" outside of environment`],
+    [`a}`, `unmatched "}"`],
+  ]
+  errors.forEach(([tex, message]) => {
+    throws(() => tex_to_mathml(tex), { message })
+  })
+}
+
+function code() {
+  /**
+   * ```lang:path の <pre> を読む
+   * @param {string} fence
+   * @returns {{code: string, deps: Set.<string>}}
+   */
+  function read(fence) {
+    const pre = decode(`${fence}\n\`\`\``).children.at(0)
+    const deps = new Set()
+    return { code: read_code(pre, `./`, deps), deps }
+  }
+
+  deepStrictEqual(read("```json:./test.json"), { code: `{\n  "hello": "world"\n}`, deps: new Set([`././test.json`]) })
+  deepStrictEqual(read("```json:./test.json#L2").code, `  "hello": "world"`)
+  deepStrictEqual(read("```json:./test.json#L2-L3 {3}").code, `  "hello": "world"\n}`)
+
+  throws(() => read("```json:./missing.json"), { message: `code file "./missing.json" not found at ././missing.json` })
+  throws(() => read("```json:./test.json#L2-L4"), { message: `line range L2-L4 is out of "./test.json" (3 lines)` })
+  throws(() => read("```json:./test.json#L5"), { message: `line range L5-L5 is out of "./test.json" (3 lines)` })
+  throws(() => read("```json:./test.json {4}"), { message: `highlight line 4 is out of "./test.json" (L1-L3)` })
+}
+
+function sequence() {
+  const { svg, width, height, title } = sequence_to_svg([
+    `title: Offer/Answer`,
+    `participant A as Alice`,
+    `A -> B: offer`,
+    `B -->> A: answer`,
+    `note over A, B: connected`,
+  ].join(`\n`))
+  deepStrictEqual(title, `Offer/Answer`)
+  deepStrictEqual(svg.split(`\n`)[0].includes(`viewBox="0 0 ${width} ${height}"`), true)
+  deepStrictEqual(svg.split(`\n`)[1], `<title>Offer/Answer</title>`)
+  deepStrictEqual(svg.match(/>Alice</g).length, 2)
+  deepStrictEqual(svg.match(/<polygon /g).length, 1)
+  deepStrictEqual(svg.match(/<polyline /g).length, 1)
+
+  const errors = [
+    [`A => B: x`, `line 1: invalid sequence "A => B: x"`],
+    [`note over A, B, C: x`, `line 1: note can be over at most 2 participants in "note over A, B, C: x"`],
+    [`%% comment`, `sequence has no participant`],
+  ]
+  errors.forEach(([source, message]) => {
+    throws(() => sequence_to_svg(source), { message })
+  })
+}
+
+function yaml() {
+  deepStrictEqual(parse_yaml([
+    `type: podcast # comment`,
+    `tags: ["web components", 'it''s', 1]`,
+    `published_at: 2022-08-01`,
+    `guest: [@myakura](https://twitter.com/myakura)`,
+    `guest: 先生(匿名)`,
+    `noindex: true`,
+    `series:`,
+    `  name: "HTTP/3\\t#1"`,
+    `  entries:`,
+    `    - a`,
+    `    - title: b`,
+    `      url: ~`,
+    `list:`,
+    `- [x, [y]]`,
+  ].join(`\n`), { repeatable: [`guest`] }), {
+    type: `podcast`,
+    tags: [`web components`, `it's`, 1],
+    published_at: `2022-08-01`,
+    guest: [`[@myakura](https://twitter.com/myakura)`, `先生(匿名)`],
+    noindex: true,
+    series: { name: `HTTP/3\t#1`, entries: [`a`, { title: `b`, url: null }] },
+    list: [[`x`, [`y`]]],
+  })
+
+  const errors = [
+    [`a: 1\na: 2`, `duplicate key "a"`, 2],
+    [`a: 1\n  b: 2`, `unexpected indent`, 2],
+    [`a:\n  - 1\n  b: 2`, `unexpected indent`, 3],
+    [`# comment\na: "b`, `unterminated string`, 2],
+    [`a: [1, 2`, `unterminated flow list`, 1],
+    [`a: |\n  text`, `block scalar is not supported`, 1],
+    [`a\n`, `expected "key: value" but got "a"`, 1],
+  ]
+  errors.forEach(([source, message, line]) => {
+    throws(() => parse_yaml(String(source)), (err) => {
+      deepStrictEqual(err instanceof ParseError, true)
+      deepStrictEqual(err.message, message)
+      deepStrictEqual(err.position.start.line, line)
+      return true
+    })
+  })
+}
+
+function front_matter() {
+  const schema = /** @type {const} */ ({ title: `string`, status: `string`, publish_at: `datetime` })
+  validate_front_matter({ title: `a`, status: `scheduled`, publish_at: `2023-05-01T12:00` }, schema, `a.md`)
+  validate_front_matter({ status: `draft` }, schema, `a.md`)
+
+  deepStrictEqual(publish_state({}, `a.md`), { status: `published`, publish_at: null })
+  deepStrictEqual(publish_state({ publish_at: `2023-05-01` }, `a.md`), { status: `scheduled`, publish_at: `2023-04-30T15:00:00.000Z` })
+  deepStrictEqual(publish_state({ status: `scheduled`, publish_at: `2023-05-01T12:00Z` }, `a.md`), { status: `scheduled`, publish_at: `2023-05-01T12:00:00.000Z` })
+
+  const scheduled = publish_state({ publish_at: `2023-05-01T12:00` }, `a.md`)
+  deepStrictEqual(is_published(scheduled, new Date(`2023-05-01T02:59:59Z`)), false)
+  deepStrictEqual(is_published(scheduled, new Date(`2023-05-01T03:00:00Z`)), true)
+  deepStrictEqual(is_published({ status: `draft`, publish_at: null }, new Date()), false)
+
+  const errors = [
+    [{ status: `scheduled` }, `a.md: front matter "publish_at" is required for status scheduled`],
+    [{ status: `scheduled`, publish_at: `tomorrow` }, `a.md: front matter "publish_at" should be datetime but got "tomorrow"`],
+    [{ date: `2023-05-01` }, `a.md: unknown front matter "date"`],
+  ]
+  errors.forEach(([data, message]) => {
+    throws(() => validate_front_matter(data, schema, `a.md`), { message })
+  })
+  throws(() => publish_state({ status: `hidden` }, `a.md`), { message: `a.md: status should be draft, scheduled or published but got "hidden"` })
+}
+
+function recommend() {
+  deepStrictEqual(to_terms(`The Fetch API と Service Worker の関係は 2022 年に`), [`fetch`, `api`, `service`, `worker`, `の関`, `関係`, `係は`, `年に`])
+  deepStrictEqual(to_terms(`ｷｬｯｼｭ`), [`キャ`, `ャッ`, `ッシ`, `シュ`])
+  deepStrictEqual(text_content(decode(`# a\n\nb *c*\n\n\`\`\`\nd\n\`\`\``)).replace(/\s+/g, ` `).trim(), `a b c`)
+
+  const docs = [
+    { id: `cookie`, tags: [`cookie`], text: `Cookie の SameSite 属性と 3rd Party Cookie の廃止` },
+    { id: `samesite`, tags: [`cookie`, `security`], text: `SameSite Cookie の Lax がデフォルトになる` },
+    { id: `http3`, tags: [`http3`], text: `QUIC の上で動く HTTP/3 のフレーム` },
+    { id: `quic`, tags: [`quic`, `http3`], text: `QUIC のハンドシェイクと HTTP/3` },
+    { id: `css`, tags: [`css`], text: `Container Query と :has() セレクタ` },
+  ]
+  const result = related(docs, { limit: 2 })
+  deepStrictEqual(result.get(`cookie`).map(({ id }) => id), [`samesite`])
+  deepStrictEqual(result.get(`quic`).map(({ id }) => id), [`http3`])
+  deepStrictEqual(result.get(`css`), [])
+  const [score] = result.get(`samesite`)
+  deepStrictEqual(score.tag, 0.5)
+  deepStrictEqual(score.score > score.text * 0.7, true)
+}
+
+function full_text_search() {
+  const { root } = pipeline(decode(`# [web] Cookie の話\n\n## Intro\n\nCookie の SameSite 属性。\n\n## SameSite\n\n*Lax* が default になる。\n\n- 3rd Party Cookie の廃止`), [plugins.heading_title(), plugins.heading_id()])
+  const sections = search_sections(root)
+  deepStrictEqual(sections.map(({ id, heading }) => [id, heading]), [[``, `Cookie の話`], [`intro`, `Intro`], [`samesite`, `SameSite`]])
+  deepStrictEqual(sections[2].text, `SameSite\nLax が default になる。\n3rd Party Cookie の廃止`)
+
+  const sources = [
+    { url: `/entries/2020-01-01/cookie.html`, title: `Cookie の話`, date: `2020-01-01`, sections },
+    { url: `/entries/2021-01-01/http3.html`, title: `HTTP/3`, date: `2021-01-01`, sections: [{ id: ``, heading: `HTTP/3`, text: `QUIC の上で Cookie を送る` }] },
+  ]
+  const { index, text } = build_search_index(sources)
+  deepStrictEqual(index.docs.length, 2)
+  deepStrictEqual(text.length, 4)
+  // section 0 と 1 は Cookie を含むので差分は 0 から 1
+  deepStrictEqual(index.terms[`cookie`], [0, 1, 1, 1])
+
+  // 全ての keyword を含むものだけ、 title に含む方が上
+  deepStrictEqual(search(index, text, `cookie`).map(({ url }) => url), [`/entries/2020-01-01/cookie.html`, `/entries/2021-01-01/http3.html`])
+  deepStrictEqual(search(index, text, `cookie QUIC`).map(({ url }) => url), [`/entries/2021-01-01/http3.html`])
+  // 前方一致と 1 文字の検索
+  deepStrictEqual(search(index, text, `same`).length, 1)
+  deepStrictEqual(search(index, text, `廃`).length, 1)
+  // bigram は揃っていても続いていなければ含まない
+  deepStrictEqual(search(index, text, `属廃`), [])
+  deepStrictEqual(search(index, text, `ｄｅｆａｕｌｔ`)[0].hits[0], {
+    id: `samesite`,
+    heading: `SameSite`,
+    prefix: `Lax が `,
+    keyword: `default`,
+    suffix: ` になる。`,
+    fragment: `%E3%81%8C-,default,-%E3%81%AB%E3%81%AA%E3%82%8B%E3%80%82`,
+  })
+
+  // 本文は doc ごとに分けて、候補の doc の分だけ読めば同じ結果になる
+  deepStrictEqual(split_text(index, text), [text.slice(0, 3), text.slice(3)])
+  deepStrictEqual(search_docs(index, `cookie`), [0, 1])
+  deepStrictEqual(search_docs(index, `QUIC cookie`), [1])
+  deepStrictEqual(search_docs(index, `nothing`), [])
+  const partial = section_text(index, new Map([[1, split_text(index, text)[1]]]))
+  deepStrictEqual(partial, [undefined, undefined, undefined, text[3]])
+  deepStrictEqual(search(index, partial, `cookie QUIC`), search(index, text, `cookie QUIC`))
+
+  deepStrictEqual(fragment(`see `, `Cookie`, ``), `see-,Cookie`)
+  deepStrictEqual(fragment(``, `a-b`, `,c d`), `a%2Db,-%2Cc`)
+}
+
+function ranking() {
+  deepStrictEqual(parse_search_query(`cookie "same  site" -amp -"signed exchange" tag:HTTP guest:jxck after:2020 before:2021-04`), {
+    include: [`cookie`, `same site`],
+    exclude: [`amp`, `signed exchange`],
+    tags: [`HTTP`],
+    guests: [`jxck`],
+    before: `2021-04`,
+    after: `2020`,
+  })
+  deepStrictEqual(parse_search_query(`co-op - ｃｏｏｋｉｅ cookie`).include, [`co-op`, `cookie`])
+  const errors = [
+    [`before:yesterday`, `before: should be a date like 2020-04-01 but got "yesterday"`],
+    [`-tag:http`, `-tag: is not supported`],
+    [`a`.repeat(201), `search query is too long`],
+  ]
+  errors.forEach(([q, message]) => {
+    throws(() => parse_search_query(q), { message })
+  })
+
+  const doc = (/** @type {string} */ url, /** @type {string} */ date, /** @type {Array.<string>} */ tags, /** @type {string} */ text, guests = []) => {
+    return { url, host: `blog.jxck.io`, title: url, date, tags, guests, sections: [{ id: ``, heading: url, text }] }
+  }
+  const index = bm25_index([
+    doc(`a`, `2019-05-01`, [`cookie`], `Same Site Cookie と Cookie の関係、 Cookie は重要`),
+    doc(`b`, `2020-05-01`, [`http`], `Cookie を HTTP/2 で送る\nSignature 付きの Signed Exchange`),
+    doc(`c`, `2021-05-01`, [`HTTP`, `cookie`], `HTTP/3 の話`, [`Jxck`, `Someone`]),
+  ])
+  const ids = (/** @type {string} */ q) => bm25_search(index, parse_search_query(q)).map(({ url }) => url)
+  // 出現数が多く短い方が上
+  deepStrictEqual(ids(`cookie`), [`a`, `b`])
+  deepStrictEqual(ids(`"same site"`), [`a`])
+  deepStrictEqual(ids(`cookie -"signed exchange"`), [`a`])
+  // filter だけなら新しい順
+  deepStrictEqual(ids(`tag:http`), [`c`, `b`])
+  deepStrictEqual(ids(`tag:cookie guest:jxck`), [`c`])
+  deepStrictEqual(ids(`after:2020 before:2021`), [`b`])
+  deepStrictEqual(ids(`after:2020-05-02`), [`c`])
+  deepStrictEqual(bm25_search(index, parse_search_query(`cookie`), { filter: ({ url }) => url !== `a` }).map(({ url }) => url), [`b`])
+  deepStrictEqual(bm25_search(index, parse_search_query(`signed exchange`))[0].hits.map(({ keyword }) => keyword), [`Signed`, `Exchange`])
+}
+
+function links() {
+  const { root } = pipeline(decode(`# t\n\n## Intro\n\n[a](#intro) [b](./b.html#x)[^n][^n]\n\n<div id="raw"></div>\n\n![c](c.png#10x20)\n\n[^n]: note`), [plugins.heading_title(), plugins.heading_id()])
+  // heading_id() が付けた a は含まない
+  deepStrictEqual(collect_links(root).map(({ name, url, position }) => [name, url, position.start.line]), [
+    [`a`, `#intro`, 5],
+    [`a`, `./b.html#x`, 5],
+    [`img`, `c.png`, 9],
+  ])
+  deepStrictEqual(Array.from(collect_anchors(root)).sort(), [`fn-n`, `fnref-n`, `fnref-n-2`, `intro`, `raw`])
+  deepStrictEqual(html_ids(`<p id="a"><b id='b'><i id=c>`), [`a`, `b`, `c`])
+}
+
+function dimension() {
+  const chars = (/** @type {string} */ text) => Array.from(text, (c) => c.charCodeAt(0))
+  const bytes = (/** @type {Array.<number|string>} */ ...parts) => Uint8Array.from(parts.flatMap((part) => typeof part === `string` ? chars(part) : [part]))
+  const u32 = (/** @type {number} */ n) => [n >>> 24, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF]
+  const box = (/** @type {string} */ type, /** @type {Array.<number>} */ body) => [...u32(body.length + 8), ...chars(type), ...body]
+
+  deepStrictEqual(image_size(bytes(`\x89PNG\r\n\x1A\n`, 0, 0, 0, 13, `IHDR`, ...u32(640), ...u32(480))), { width: 640, height: 480 })
+  deepStrictEqual(image_size(bytes(`GIF89a`, 0x80, 0x02, 0xE0, 0x01)), { width: 640, height: 480 })
+  // APP0 を飛ばして SOF0 を読む
+  deepStrictEqual(image_size(bytes(0xFF, 0xD8, 0xFF, 0xE0, 0, 4, 0, 0, 0xFF, 0xC0, 0, 11, 8, 0x01, 0xE0, 0x02, 0x80, 3, 0, 0)), { width: 640, height: 480 })
+  deepStrictEqual(image_size(bytes(`RIFF`, 0, 0, 0, 0, `WEBPVP8X`, 10, 0, 0, 0, 0, 0, 0, 0, 0x7F, 0x02, 0, 0xDF, 0x01, 0)), { width: 640, height: 480 })
+  const ispe = box(`ispe`, [0, 0, 0, 0, ...u32(640), ...u32(480)])
+  deepStrictEqual(image_size(Uint8Array.from([...box(`ftyp`, chars(`avif`)), ...box(`meta`, [0, 0, 0, 0, ...box(`iprp`, box(`ipco`, ispe))])])), { width: 640, height: 480 })
+  // audio の track は幅が 0 なので video の track を使う
+  const tkhd = (/** @type {number} */ width, /** @type {number} */ height) => box(`trak`, box(`tkhd`, [...new Array(76).fill(0), ...u32(width * 0x10000), ...u32(height * 0x10000)]))
+  deepStrictEqual(image_size(Uint8Array.from([...box(`ftyp`, chars(`isom`)), ...box(`moov`, [...tkhd(0, 0), ...tkhd(640, 480)])])), { width: 640, height: 480 })
+  // Segment の長さが不明でも中に入る
+  deepStrictEqual(image_size(bytes(0x1A, 0x45, 0xDF, 0xA3, 0x80, 0x18, 0x53, 0x80, 0x67, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x16, 0x54, 0xAE, 0x6B, 0x8C, 0xAE, 0x8A, 0xE0, 0x88, 0xB0, 0x82, 0x02, 0x80, 0xBA, 0x82, 0x01, 0xE0)), { width: 640, height: 480 })
+  const svg = (/** @type {string} */ attrs) => image_size(new TextEncoder().encode(`<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" ${attrs}></svg>`))
+  deepStrictEqual(svg(`width="640px" height="480"`), { width: 640, height: 480 })
+  deepStrictEqual(svg(`viewBox="0 0 320 240"`), { width: 320, height: 240 })
+  deepStrictEqual(svg(`width="640" viewBox="0 0 320 240"`), { width: 640, height: 480 })
+  deepStrictEqual(svg(`width="100%"`), null)
+  // 途中で切れていたり知らない形式は null
+  deepStrictEqual(image_size(bytes(`\x89PNG\r\n\x1A\n`, 0, 0)), null)
+  deepStrictEqual(image_size(bytes(`BM`)), null)
+}
+
+function mp3() {
+  const chars = (/** @type {string} */ text) => Array.from(text, (c) => c.charCodeAt(0))
+  const u32 = (/** @type {number} */ n) => [n >>> 24, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF]
+  // MPEG-1 Layer III 128kbps 44100Hz stereo は 417 byte
+  const frame = (/** @type {Array.<number>} */ body = []) => [0xFF, 0xFB, 0x90, 0x00, ...body, ...new Array(413 - body.length).fill(0)]
+  const frames = (/** @type {number} */ n) => new Array(n).fill(null).flatMap(() => frame())
+
+  // header が無ければ全ての frame を数える
+  {
+    const info = parse_mp3(Uint8Array.from(frames(10)))
+    deepStrictEqual(info.frames, 10)
+    deepStrictEqual(info.duration, 10 * 1152 / 44100)
+    deepStrictEqual(info.bitrate, 128)
+    deepStrictEqual(info.sample_rate, 44100)
+    deepStrictEqual(info.channel_mode, `stereo`)
+    deepStrictEqual(info.vbr, false)
+    deepStrictEqual(info.header, null)
+  }
+
+  // Xing header の frame 数から、 LAME tag の delay 576 と padding 1000 を引く
+  {
+    const lame = [...chars(`LAME3.100`), ...new Array(12).fill(0), 0x24, 0x03, 0xE8]
+    const xing = frame([...new Array(32).fill(0), ...chars(`Xing`), ...u32(0x03), ...u32(100), ...u32(417 * 100), ...lame])
+    const info = parse_mp3(Uint8Array.from([...xing, ...frames(2)]))
+    deepStrictEqual(info.header, `Xing`)
+    deepStrictEqual(info.vbr, true)
+    deepStrictEqual(info.frames, 100)
+    deepStrictEqual(info.encoder, `LAME3.100`)
+    deepStrictEqual([info.delay, info.padding], [576, 1000])
+    deepStrictEqual(info.duration, (100 * 1152 - 1576) / 44100)
+  }
+
+  // ID3v2.3 の UTF-16 と ISO-8859-1 の text frame、末尾の ID3v1.1
+  {
+    const text = (/** @type {string} */ id, /** @type {Array.<number>} */ body) => [...chars(id), ...u32(body.length), 0, 0, ...body]
+    const utf16 = [1, 0xFF, 0xFE, ...Array.from(`タイトル`).flatMap((c) => [c.charCodeAt(0) & 0xFF, c.charCodeAt(0) >> 8])]
+    const tags = [...text(`TIT2`, utf16), ...text(`TPE1`, [0, ...chars(`Jxck`)]), ...new Array(10).fill(0)]
+    const id3v2 = [...chars(`ID3`), 3, 0, 0, 0, 0, 0, tags.length, ...tags]
+    const field = (/** @type {string} */ value, /** @type {number} */ length) => [...chars(value), ...new Array(length - value.length).fill(0)]
+    const id3v1 = [...chars(`TAG`), ...field(`title`, 30), ...field(`artist`, 30), ...field(`album`, 30), ...chars(`2022`), ...field(`comment`, 28), 0, 3, 101]
+    const info = parse_mp3(Uint8Array.from([...id3v2, ...frames(3), ...id3v1]))
+    deepStrictEqual([info.id3v2.version, info.id3v2.size], [3, id3v2.length])
+    deepStrictEqual(info.id3v2.tags, { TIT2: `タイトル`, TPE1: `Jxck` })
+    deepStrictEqual(info.id3v2.frames.map(({ id }) => id), [`TIT2`, `TPE1`])
+    deepStrictEqual(info.id3v1, { title: `title`, artist: `artist`, album: `album`, year: `2022`, comment: `comment`, track: 3, genre: 101 })
+    deepStrictEqual(info.frames, 3)
+  }
+
+  // frame が無ければ null
+  deepStrictEqual(parse_mp3(Uint8Array.from(chars(`not a mp3 file`))), null)
+}
+
+function id3() {
+  // 入れ子の list や途中の時刻、戻る timestamp は chapter にしない
+  const ast = decode([
+    `# ep1 test`,
+    ``,
+    `## Show Note`,
+    ``,
+    `- 0:00 ~ : intro`,
+    `  - 9:47 に発生`,
+    `- 09:15 [link](https://example.com) とは?`,
+    `- 05:00 typo`,
+    `- 1:02:30~ まとめ`,
+    `- expires 6/2 9:00`,
+  ].join(`\n`))
+  const chapters = show_note_chapters(ast, 4000000)
+  deepStrictEqual(chapters, [
+    { title: `intro`, start: 0, end: 555000 },
+    { title: `link とは?`, start: 555000, end: 3750000 },
+    { title: `まとめ`, start: 3750000, end: 4000000 },
+  ])
+
+  const cover = { mime: `image/jpeg`, data: Uint8Array.from([0xFF, 0xD8, 0xFF, 0xD9]) }
+  const tag = { title: `ep1 テスト`, track: `2`, artist: `Jxck`, album: `mozaic.fm`, genre: `Podcast`, cover, chapters }
+  const expected = [
+    `TIT2 ep1 テスト`,
+    `TRCK 2`,
+    `TPE1 Jxck`,
+    `TALB mozaic.fm`,
+    `TCON Podcast`,
+    `APIC image/jpeg type=3 4 bytes 8f40849a`,
+    `CTOC toc chp0 chp1 chp2`,
+    `CHAP chp0 00:00:00.000-00:09:15.000 intro`,
+    `CHAP chp1 00:09:15.000-01:02:30.000 link とは?`,
+    `CHAP chp2 01:02:30.000-01:06:40.000 まとめ`,
+  ]
+  for (const version of /** @type {Array.<3|4>} */ ([3, 4])) {
+    const bytes = encode_id3v2(tag, version)
+    const id3v2 = read_id3v2(bytes)
+    deepStrictEqual([id3v2.version, id3v2.size], [version, bytes.length])
+    deepStrictEqual(describe_id3v2(id3v2), expected)
+    // 同じ tag からは同じ byte 列になる
+    deepStrictEqual(encode_id3v2(tag, version), bytes)
+  }
+  // 2.3 は UTF-16、 2.4 は UTF-8
+  deepStrictEqual(read_id3v2(encode_id3v2(tag, 3)).frames[0].data[0], 1)
+  deepStrictEqual(read_id3v2(encode_id3v2(tag, 4)).frames[0].data[0], 3)
+  deepStrictEqual(read_id3v2(encode_id3v2(tag, 3)).frames[1].data[0], 0)
+}
+
+function plugin() {
+  /**
+   * @param {string} md
+   * @param {Array} list
+   */
+  function run(md, list) {
+    const { root, meta, assets } = pipeline(decode(md), list)
+    return { html: encode(root), meta, assets }
+  }
+
+  // names で指定した node だけを、並べた順に visit する
+  const visited = []
+  run(`# a\n\n## b\n\ntext`, [
+    { name: `first`, names: [`heading`], leave: (node) => (visited.push(`first:${node.level}`), node) },
+    { name: `second`, names: [`heading`, `p`], leave: (node) => (visited.push(`second:${node.name}`), node) },
+  ])
+  deepStrictEqual(visited, [`first:1`, `second:heading`, `first:2`, `second:heading`, `second:p`])
+
+  throws(() => run(`a`, [{ name: `a` }, { name: `a` }]), { message: `duplicate plugin name "a"` })
+
+  {
+    const { html, meta } = run(`# [http][tls] HTTP & TLS`, [plugins.heading_title()])
+    deepStrictEqual(html, `<article>\n  <h1>HTTP &amp; TLS</h1>\n</article>\n`)
+    deepStrictEqual(meta.get(`tags`), [`http`, `tls`])
+    deepStrictEqual(meta.get(`title`), `HTTP &amp; TLS`)
+  }
+
+  {
+    const { meta } = run(`# a\n\n## Intro\n\nx < y\n\n## b\n\nz`, [plugins.heading_description()])
+    deepStrictEqual(meta.get(`description`), `x &lt; y`)
+  }
+
+  {
+    const { html, meta } = run(`# t\n\n## a b\n\n## a b`, [plugins.heading_id()])
+    deepStrictEqual(html.split(`\n`).map((line) => line.trim()).filter((line) => line.startsWith(`<h`)), [
+      `<h1><a href="">t</a></h1>`,
+      `<h2 id="a-b"><a href="#a-b">a b</a></h2>`,
+      `<h2 id="a-b_1"><a href="#a-b_1">a b</a></h2>`,
+    ])
+    deepStrictEqual(meta.get(`headings`).length, 3)
+  }
+
+  {
+    const css = plugins.stylesheet({ name: `pre`, names: [`pre`], href: `/pre.css` })
+    const { html, assets } = run("```\na\n```\n\n```\nb\n```", [css])
+    deepStrictEqual(html.match(/<link /g).length, 1)
+    deepStrictEqual(html.indexOf(`<link `) < html.indexOf(`<pre`), true)
+    deepStrictEqual(Array.from(assets), [`/pre.css`])
+  }
+
+  {
+    const { html } = run("```js\nlet a\n```", [plugins.highlight_code()])
+    deepStrictEqual(html.includes(`<span class="token keyword">let</span> a`), true)
+  }
+
+  {
+    const { html } = run(`[a](https://example.com) [b](/b) [c](https://blog.jxck.io/c)`, [plugins.external_link(`blog.jxck.io`)])
+    deepStrictEqual(html.match(/target=_blank/g).length, 1)
+    deepStrictEqual(html.includes(`<a href="https://example.com" target=_blank>a</a>`), true)
+  }
 }
 
 test_case()
+large()
+recover()
 api()
 formatter()
+position()
 util()
+syntax()
+mathml()
+code()
+sequence()
+yaml()
+front_matter()
+recommend()
+full_text_search()
+ranking()
+links()
+dimension()
+mp3()
+id3()
+plugin()
 
-console.log("[done] test.js")
\ No newline at end of file
+console.log("[done] test.js")
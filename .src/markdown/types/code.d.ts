@@ -0,0 +1,20 @@
+/**
+ * ```lang:path のコードをファイルから読む
+ * fs を使うので、 browser でも読まれる index.js からは export せず build.js から直接 import する
+ *
+ * @typedef {import("./index.js").Node} Node
+ */
+/**
+ * ```lang:path#L10-L40 のファイルを読み、指定範囲の行だけを返す
+ * ファイルが無い場合や、範囲がファイルに収まらない場合はエラー
+ * @param {Node} node
+ * @param {string} base
+ * @param {Set.<string>} deps
+ * @returns {string}
+ */
+export function read_code(node: Node, base: string, deps: Set<string>): string;
+/**
+ * ```lang:path のコードをファイルから読む
+ * fs を使うので、 browser でも読まれる index.js からは export せず build.js から直接 import する
+ */
+export type Node = import("./index.js").Node;
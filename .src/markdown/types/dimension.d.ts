@@ -0,0 +1,19 @@
+/**
+ * Read width and height from image or video header
+ * 形式は拡張子ではなく中身の signature で決める、読めなければ null
+ * @param {Uint8Array} data
+ * @returns {Dimension}
+ */
+export function image_size(data: Uint8Array): Dimension;
+export type Dimension = {
+    width: number;
+    height: number;
+};
+export type Box = {
+    type: string;
+    /**
+     * 中身の先頭
+     */
+    start: number;
+    end: number;
+};
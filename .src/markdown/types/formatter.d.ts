@@ -1,8 +1,40 @@
 #!/usr/bin/env node
 /**
  * Convert Markdown AST to Markdown
+ * option.changes を渡すと、 rule ごとに変更した箇所の数を足していく
  * @param {string} md
- * @param {Object} [option]
+ * @param {FormatOption} [option]
  * @returns {string}
  */
-export function format(md: string, option?: Object): string;
+export function format(md: string, option?: FormatOption): string;
+/**
+ * format の rule ごとに、変更した箇所の数
+ */
+export type Changes = {
+    /**
+     * 全角と半角の間のスペース
+     */
+    spacer: number;
+    /**
+     * 全角記号を半角に
+     */
+    singler: number;
+    /**
+     * table の桁揃え
+     */
+    table: number;
+    /**
+     * ol の番号の振り直し
+     */
+    list: number;
+};
+export type FormatOption = {
+    changes?: Changes;
+};
+export type SerializeOption = {
+    changes?: Changes;
+    /**
+     * 元の Markdown の行、変更の判定に使う
+     */
+    lines: Array<string>;
+};
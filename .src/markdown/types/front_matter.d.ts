@@ -0,0 +1,49 @@
+/**
+ * 2023-05-01 や 2023-05-01T12:00 などを Date にする、 timezone が無ければ JST
+ * @param {string} value
+ * @returns {Date}
+ */
+export function parse_time(value: string): Date;
+/**
+ * front matter の値の型を確認する
+ * scheduled は公開する時刻が決まらないので publish_at が無ければ error にする
+ * @param {Object.<string, any>} data
+ * @param {Object.<string, FrontMatterType>} schema
+ * @param {string} file
+ */
+export function validate_front_matter(data: {
+    [x: string]: any;
+}, schema: {
+    [x: string]: FrontMatterType;
+}, file: string): void;
+/**
+ * front matter の status と publish_at を読む
+ * validate_front_matter() で確認したものを渡す
+ * @param {{status?: string, publish_at?: string}} front
+ * @param {string} file
+ * @returns {PublishState}
+ */
+export function publish_state({ status, publish_at }: {
+    status?: string;
+    publish_at?: string;
+}, file: string): PublishState;
+/**
+ * @param {PublishState} state
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function is_published({ status, publish_at }: PublishState, now: Date): boolean;
+/**
+ * 公開状態
+ */
+export type PublishState = {
+    status: "published" | "draft" | "scheduled";
+    /**
+     * ISO 8601、無ければ null
+     */
+    publish_at: string;
+};
+/**
+ * front matter の値の型
+ */
+export type FrontMatterType = "string" | "boolean" | "date" | "datetime" | "strings";
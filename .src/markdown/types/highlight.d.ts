@@ -0,0 +1,39 @@
+/**
+ * 対応していない言語なら null
+ * @param {string} code
+ * @param {string} lang
+ * @returns {Array<Token|string>|null}
+ */
+export function tokenize(code: string, lang: string): Array<Token | string> | null;
+/**
+ * code を escape した上で <span class="token xxx"> で囲い、行ごとに返す
+ * 行をまたぐ token は行末で一度閉じて、次の行で開き直す
+ * 対応していない言語は escape のみ
+ * @param {string} code
+ * @param {string} lang
+ * @returns {Array<string>}
+ */
+export function highlight_lines(code: string, lang: string): Array<string>;
+/**
+ * @param {string} code
+ * @param {string} lang
+ * @returns {string}
+ */
+export function highlight(code: string, lang: string): string;
+/**
+ * pattern は sticky (y) で書き、先頭から順に試す
+ * type が null のものは色を付けずに読み進めるだけ
+ * (単語の途中で keyword などにマッチしないように使う)
+ */
+export type Rule = {
+    type: string | null;
+    pattern: RegExp;
+    /**
+     * マッチした中身をさらに分解する
+     */
+    inside?: Array<Rule>;
+};
+export type Token = {
+    type: string;
+    content: Array<Token | string>;
+};
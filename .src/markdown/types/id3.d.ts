@@ -0,0 +1,89 @@
+/**
+ * Encode ID3v2.3 or ID3v2.4 tag
+ * unsynchronisation も padding も使わない
+ * @param {ID3Tag} tag
+ * @param {3|4} [version]
+ * @returns {Uint8Array}
+ */
+export function encode_id3v2(tag: ID3Tag, version?: 3 | 4): Uint8Array;
+/**
+ * 比べるために frame を 1 行ずつの文字列にする
+ * 画像は中身の代わりに大きさと hash にする
+ * @param {ID3v2} id3v2
+ * @returns {Array.<string>}
+ */
+export function describe_id3v2(id3v2: ID3v2): Array<string>;
+/**
+ * Collect chapters from timestamps in show note
+ * 入れ子でない list の item のうち、 timestamp で始まるものを順に chapter にする
+ * 最後の chapter は duration で終わる
+ * @param {Node} node
+ * @param {number} duration ms
+ * @returns {Array.<Chapter>}
+ */
+export function show_note_chapters(node: Node, duration: number): Array<Chapter>;
+/**
+ * podcast の mp3 に書く ID3v2 tag
+ *
+ * TIT2 TRCK TPE1 TALB TCON  text frame
+ * APIC                      cover 画像 (front cover)
+ * CTOC CHAP                 show note の timestamp から作る chapter (ID3v2 Chapter Frame Addendum)
+ *
+ * 同じ tag から同じ byte 列を作るので、書かれている tag と比べれば書き直す必要があるかがわかる
+ */
+export type Node = import("./index.js").Node;
+/**
+ * podcast の mp3 に書く ID3v2 tag
+ *
+ * TIT2 TRCK TPE1 TALB TCON  text frame
+ * APIC                      cover 画像 (front cover)
+ * CTOC CHAP                 show note の timestamp から作る chapter (ID3v2 Chapter Frame Addendum)
+ *
+ * 同じ tag から同じ byte 列を作るので、書かれている tag と比べれば書き直す必要があるかがわかる
+ */
+export type ID3v2 = import("./mp3.js").ID3v2;
+export type Chapter = {
+    title: string;
+    /**
+     * ms
+     */
+    start: number;
+    /**
+     * ms
+     */
+    end: number;
+};
+export type Cover = {
+    mime: string;
+    data: Uint8Array;
+};
+export type ID3Tag = {
+    /**
+     * TIT2
+     */
+    title: string;
+    /**
+     * TRCK
+     */
+    track: string;
+    /**
+     * TPE1
+     */
+    artist: string;
+    /**
+     * TALB
+     */
+    album: string;
+    /**
+     * TCON
+     */
+    genre: string;
+    /**
+     * APIC
+     */
+    cover?: Cover;
+    /**
+     * CTOC と CHAP
+     */
+    chapters?: Array<Chapter>;
+};
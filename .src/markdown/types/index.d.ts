@@ -17,6 +17,13 @@ export function spaces(indent: number): string;
  * @returns {Map<string, string>}
  */
 export function map(obj: Object): Map<string, string>;
+/**
+ * 行指定を展開する
+ * "3,5-7" => [3, 5, 6, 7]
+ * @param {string} [spec]
+ * @returns {Array<number>}
+ */
+export function parse_lines(spec?: string): Array<number>;
 /**
  * @param {string} str
  * @returns {string}
@@ -32,6 +39,14 @@ export function serialize_child_text(node: Node): string;
  * @returns {string}
  */
 export function create_id_from_text(h: Node): string;
+/**
+ * tag などから URL の path に使う slug を作る
+ * 日本語は残し、 NFKC で全角英数や半角カナを揃えてから小文字にする
+ * 記号や空白の並びは - にし、何も残らなければ code point を並べる
+ * @param {string} text
+ * @returns {string}
+ */
+export function to_slug(text: string): string;
 /**
  * Headings の配列を <ul>/<ol> リストに組み直す
  * @param {Array.<Node>} headings
@@ -50,12 +65,20 @@ export function to_toc(headings: Array<Node>, opt?: {
  * @prop {string} [text]
  * @prop {Attr} [attr]
  * @prop {Array.<"center" | "left" | "right">} [aligns]
+ * @prop {Position} [position]
  */
 /**
  * @param {NodeParam} param
  * @returns {Node}
  */
-export function node({ name, type, parent, children, level, text, attr, aligns }: NodeParam): Node;
+export function node({ name, type, parent, children, level, text, attr, aligns, position }: NodeParam): Node;
+/**
+ * n 番目の [^id] 参照の id
+ * @param {string} id
+ * @param {number} index 1 origin
+ * @returns {string}
+ */
+export function fnref_id(id: string, index: number): string;
 /**
  * @typedef {Object} EncodeOption
  * @prop {number} [indent]
@@ -67,12 +90,33 @@ export function node({ name, type, parent, children, level, text, attr, aligns }
  * @returns {string}
  */
 export function encode(node: Node, option?: EncodeOption): string;
+/**
+ * @typedef {Object} Diagnostic
+ * @prop {"error" | "warning"} severity
+ * @prop {string} message
+ * @prop {Position} position
+ */
+/**
+ * recover: true の場合は最初のエラーで止めずに
+ * diagnostics に全て集めてパースを続ける
+ * @typedef {Object} DecodeOption
+ * @prop {boolean} [recover]
+ */
+/**
+ * @typedef {Object} DecodeResult
+ * @prop {Node} ast
+ * @prop {Array.<Diagnostic>} diagnostics
+ */
 /**
  * Parse Markdown text to AST
+ * @template {DecodeOption} T
  * @param {string} md
- * @returns {Node}
+ * @param {T} [option]
+ * @returns {T extends { recover: true } ? DecodeResult : Node}
  */
-export function decode(md: string): Node;
+export function decode<T extends DecodeOption>(md: string, option?: T): T extends {
+    recover: true;
+} ? DecodeResult : Node;
 /**
  * @typedef {Object} Plugin
  * @property {function(Node): Node} enter
@@ -84,17 +128,71 @@ export function decode(md: string): Node;
  * @param {Plugin} plugin
  */
 export function traverse(ast: Node, plugin: Plugin): Node;
+/**
+ * ページ単位で plugin 間に共有する値
+ * @typedef {Object} PipelineContext
+ * @property {Set.<string>} assets 読み込む CSS などの URL
+ * @property {Map.<string, any>} meta title, tags などのメタデータ
+ */
+/**
+ * pipeline() に渡す plugin
+ * names があればその node だけを visit する
+ * @typedef {Object} NamedPlugin
+ * @property {string} name
+ * @property {Array.<string>} [names]
+ * @property {function(Node, PipelineContext): Node} [enter]
+ * @property {function(Node, PipelineContext): Node} [leave]
+ */
+/**
+ * plugin を並べた順に適用しながら traverse する
+ * 前の plugin が node を置き換えた場合、後ろの plugin は置き換え後の node を受け取る
+ * @param {Node} ast
+ * @param {Array.<NamedPlugin>} plugins
+ * @returns {{root: Node} & PipelineContext}
+ */
+export function pipeline(ast: Node, plugins: Array<NamedPlugin>): {
+    root: Node;
+} & PipelineContext;
 /**
  * dump for debug
  * @param {Node} ast
  */
 export function dump(ast: Node): void;
 export { format } from "./formatter.js";
+export { tex_to_mathml } from "./math.js";
+export { sequence_to_svg } from "./sequence.js";
+export { parse_yaml } from "./yaml.js";
+export { image_size } from "./dimension.js";
+export * as plugins from "./plugins.js";
+/**
+ * 行と列はどちらも 1 はじまり
+ * @typedef {Object} Point
+ * @prop {number} line
+ * @prop {number} column
+ */
+/**
+ * Markdown 上の位置、end の column はその文字を含まない
+ * @typedef {Object} Position
+ * @prop {Point} start
+ * @prop {Point} end
+ */
+/**
+ * decode() が投げるエラー
+ * どこで失敗したかを position に持つ
+ */
+export class ParseError extends Error {
+    /**
+     * @param {string} message
+     * @param {Position} position
+     */
+    constructor(message: string, position: Position);
+    position: Position;
+}
 export class Node {
     /**
      * @param {NodeParam} param
      */
-    constructor({ name, type, parent, children, level, text, attr, aligns }: NodeParam);
+    constructor({ name, type, parent, children, level, text, attr, aligns, position }: NodeParam);
     name: string;
     type: string;
     parent: Node;
@@ -102,6 +200,7 @@ export class Node {
     text: string;
     attr: Attr;
     aligns: ("center" | "left" | "right")[];
+    position: Position;
     /**@type{Array.<Node>}*/
     children: Array<Node>;
     /**
@@ -118,8 +217,9 @@ export class Node {
     lastChild(): Node;
     /**
      * @param {string} text
+     * @param {Position} [position]
      */
-    addText(text: string): void;
+    addText(text: string, position?: Position): void;
 }
 export type Heading = {
     level: number;
@@ -143,11 +243,73 @@ export type NodeParam = {
     text?: string;
     attr?: Attr;
     aligns?: Array<"center" | "left" | "right">;
+    position?: Position;
 };
 export type EncodeOption = {
     indent?: number;
 };
+export type Diagnostic = {
+    severity: "error" | "warning";
+    message: string;
+    position: Position;
+};
+/**
+ * recover: true の場合は最初のエラーで止めずに
+ * diagnostics に全て集めてパースを続ける
+ */
+export type DecodeOption = {
+    recover?: boolean;
+};
+export type DecodeResult = {
+    ast: Node;
+    diagnostics: Array<Diagnostic>;
+};
 export type Plugin = {
     enter: (arg0: Node) => Node;
     leave: (arg0: Node) => Node;
 };
+/**
+ * ページ単位で plugin 間に共有する値
+ */
+export type PipelineContext = {
+    /**
+     * 読み込む CSS などの URL
+     */
+    assets: Set<string>;
+    /**
+     * title, tags などのメタデータ
+     */
+    meta: Map<string, any>;
+};
+/**
+ * pipeline() に渡す plugin
+ * names があればその node だけを visit する
+ */
+export type NamedPlugin = {
+    name: string;
+    names?: Array<string>;
+    enter?: (arg0: Node, arg1: PipelineContext) => Node;
+    leave?: (arg0: Node, arg1: PipelineContext) => Node;
+};
+/**
+ * 行と列はどちらも 1 はじまり
+ */
+export type Point = {
+    line: number;
+    column: number;
+};
+/**
+ * Markdown 上の位置、end の column はその文字を含まない
+ */
+export type Position = {
+    start: Point;
+    end: Point;
+};
+export { highlight, highlight_lines, tokenize } from "./highlight.js";
+export { parse_time, validate_front_matter, publish_state, is_published } from "./front_matter.js";
+export { related, to_terms, text_content } from "./related.js";
+export { build_search_index, search_sections, search, search_docs, split_text, section_text, fragment } from "./search.js";
+export { parse_search_query, bm25_index, bm25_search } from "./query.js";
+export { collect_links, collect_anchors, html_ids } from "./links.js";
+export { parse_mp3, read_id3v2 } from "./mp3.js";
+export { encode_id3v2, describe_id3v2, show_note_chapters } from "./id3.js";
@@ -0,0 +1,40 @@
+/**
+ * html 中の id を全て返す
+ * @param {string} html
+ * @returns {Array.<string>}
+ */
+export function html_ids(html: string): Array<string>;
+/**
+ * heading_id() を通した AST の中で #id として飛べるもの
+ * heading と footnote の他に、 md に直接書いた html の id も含む
+ * @param {Node} node
+ * @param {Set.<string>} [ids]
+ * @returns {Set.<string>}
+ */
+export function collect_anchors(node: Node, ids?: Set<string>): Set<string>;
+/**
+ * 本文に書かれた a と img
+ * heading_id() が heading に付けた a は position を持たないので含まない
+ * @param {Node} node
+ * @param {Array.<Link>} [links]
+ * @returns {Array.<Link>}
+ */
+export function collect_links(node: Node, links?: Array<Link>): Array<Link>;
+/**
+ * ページ内のリンクと、リンクで飛べる id を集める
+ * リンク先のファイルがあるかどうかは site の配置によるので build.js で確かめる
+ */
+export type Node = import("./index.js").Node;
+/**
+ * ページ内のリンクと、リンクで飛べる id を集める
+ * リンク先のファイルがあるかどうかは site の配置によるので build.js で確かめる
+ */
+export type Position = import("./index.js").Position;
+export type Link = {
+    name: "a" | "img";
+    /**
+     * a の href か img の src、 src の #WxH は除く
+     */
+    url: string;
+    position: Position;
+};
@@ -0,0 +1,8 @@
+/**
+ * TeX を <math> に変換する
+ * 対応していないコマンドや括弧の対応が取れない場合は Error を投げる
+ * @param {string} tex
+ * @param {boolean} [display] block として表示するか
+ * @returns {string}
+ */
+export function tex_to_mathml(tex: string, display?: boolean): string;
@@ -0,0 +1,151 @@
+/**
+ * 先頭の 1 byte で encoding を指定した text frame の中身
+ * 0: ISO-8859-1, 1: BOM 付き UTF-16, 2: UTF-16BE, 3: UTF-8
+ * 2.4 では NUL 区切りで複数の値を持てるので " / " でつなぐ
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+export function decode_text(data: Uint8Array): string;
+/**
+ * ID3v2 の frame を並べる、 CHAP や CTOC の中の frame にも使う
+ * @param {Uint8Array} data
+ * @param {number} start
+ * @param {number} end
+ * @param {number} version
+ * @returns {Array.<ID3Frame>}
+ */
+export function read_frames(data: Uint8Array, start: number, end: number, version: number): Array<ID3Frame>;
+/**
+ * Read ID3v2 tag at the beginning of the file
+ * unsynchronisation された tag は扱わず、 size だけを返す
+ * @param {Uint8Array} data
+ * @returns {ID3v2}
+ */
+export function read_id3v2(data: Uint8Array): ID3v2;
+/**
+ * Read ID3v1 tag at the end of the file
+ * comment の 29 byte 目が 0 なら 30 byte 目は track 番号 (ID3v1.1)
+ * @param {Uint8Array} data
+ * @returns {ID3v1}
+ */
+export function read_id3v1(data: Uint8Array): ID3v1;
+/**
+ * 4 byte の frame header を読む、 frame でなければ null
+ * @param {Uint8Array} data
+ * @param {number} i
+ * @returns {FrameHeader}
+ */
+export function read_frame_header(data: Uint8Array, i: number): FrameHeader;
+/**
+ * Parse MP3 file and calculate exact duration
+ * MP3 でなければ null
+ * @param {Uint8Array} data
+ * @returns {MP3Info}
+ */
+export function parse_mp3(data: Uint8Array): MP3Info;
+export type ID3v2 = {
+    /**
+     * 2, 3, 4
+     */
+    version: number;
+    /**
+     * header を含めた tag 全体の byte 数
+     */
+    size: number;
+    /**
+     * text frame の id と値、 2.2 の 3 文字の id もそのまま
+     */
+    tags: {
+        [x: string]: string;
+    };
+    /**
+     * 全ての frame
+     */
+    frames: Array<ID3Frame>;
+};
+export type ID3Frame = {
+    id: string;
+    /**
+     * header を除いた中身
+     */
+    data: Uint8Array;
+};
+export type ID3v1 = {
+    title: string;
+    artist: string;
+    album: string;
+    year: string;
+    comment: string;
+    /**
+     * 無ければ null
+     */
+    track: number;
+    genre: number;
+};
+export type FrameHeader = {
+    version: "MPEG-1" | "MPEG-2" | "MPEG-2.5";
+    layer: 1 | 2 | 3;
+    crc: boolean;
+    /**
+     * kbps
+     */
+    bitrate: number;
+    /**
+     * Hz
+     */
+    sample_rate: number;
+    padding: boolean;
+    channel_mode: "stereo" | "joint stereo" | "dual channel" | "mono";
+    /**
+     * frame あたりの sample 数
+     */
+    samples: number;
+    /**
+     * frame の byte 数
+     */
+    length: number;
+};
+export type MP3Info = {
+    /**
+     * 秒
+     */
+    duration: number;
+    /**
+     * 平均の kbps
+     */
+    bitrate: number;
+    /**
+     * Hz
+     */
+    sample_rate: number;
+    channel_mode: "stereo" | "joint stereo" | "dual channel" | "mono";
+    channels: number;
+    version: "MPEG-1" | "MPEG-2" | "MPEG-2.5";
+    layer: 1 | 2 | 3;
+    vbr: boolean;
+    frames: number;
+    /**
+     * frame 数をどこから取ったか、 null は数えたもの
+     */
+    header: "Xing" | "Info" | "VBRI" | null;
+    /**
+     * LAME tag の encoder、無ければ null
+     */
+    encoder: string;
+    /**
+     * encoder が先頭に入れた sample 数
+     */
+    delay: number;
+    /**
+     * encoder が末尾に入れた sample 数
+     */
+    padding: number;
+    /**
+     * 無ければ null
+     */
+    id3v2: ID3v2;
+    /**
+     * 無ければ null
+     */
+    id3v1: ID3v1;
+};
@@ -0,0 +1,49 @@
+/**
+ * pipeline() で使う汎用の plugin
+ * ファイルを読むなどサイトに依存するものは build 側で定義する
+ *
+ * @typedef {import("./index.js").NamedPlugin} NamedPlugin
+ */
+/**
+ * # [tag][tag] title の tag を外し、 title と tags を meta に入れる
+ * @returns {NamedPlugin}
+ */
+export function heading_title(): NamedPlugin;
+/**
+ * ## Intro か ## Theme の section を description として meta に入れる
+ * @returns {NamedPlugin}
+ */
+export function heading_description(): NamedPlugin;
+/**
+ * heading に id を振り、自身へのリンクにする
+ * TOC を作れるよう、 id を振った heading は meta の headings に貯める
+ * @returns {NamedPlugin}
+ */
+export function heading_id(): NamedPlugin;
+/**
+ * table, pre など必ず出てくるわけではない CSS は
+ * 最初に登場した node の前に一度だけ <link rel=stylesheet> を挿入し、 assets に記録する
+ * @param {{name: string, names: Array.<string>, href: string}} option
+ * @returns {NamedPlugin}
+ */
+export function stylesheet({ name, names, href }: {
+    name: string;
+    names: Array<string>;
+    href: string;
+}): NamedPlugin;
+/**
+ * ハイライト済みの <span> を 1 行ずつ raw で入れ、クライアントでの highlight をやめる
+ * @returns {NamedPlugin}
+ */
+export function highlight_code(): NamedPlugin;
+/**
+ * 別ホストへのリンクは新しいタブで開く
+ * @param {string} host
+ * @returns {NamedPlugin}
+ */
+export function external_link(host: string): NamedPlugin;
+/**
+ * pipeline() で使う汎用の plugin
+ * ファイルを読むなどサイトに依存するものは build 側で定義する
+ */
+export type NamedPlugin = import("./index.js").NamedPlugin;
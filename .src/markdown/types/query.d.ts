@@ -0,0 +1,170 @@
+/**
+ * Parse search query into include/exclude keywords and filters
+ * @param {string} q
+ * @returns {Query}
+ */
+export function parse_search_query(q: string): Query;
+/**
+ * 語の出現数と、全体の df と平均の長さを数えておく
+ * @param {Array.<SearchDocument>} docs
+ * @returns {BM25Index}
+ */
+export function bm25_index(docs: Array<SearchDocument>): BM25Index;
+/**
+ * query に合うものを BM25 の score の高い順に返す
+ * 語の指定が無く filter だけの場合は新しい順にする
+ * @param {BM25Index} index
+ * @param {Query} query
+ * @param {RankOption & SearchOption} [option]
+ * @returns {Array.<Ranked>}
+ */
+export function bm25_search(index: BM25Index, query: Query, option?: RankOption & SearchOption): Array<Ranked>;
+/**
+ * server で行う検索
+ * search.js と同じ bigram の語で BM25 の score を付け、 query の指定で絞り込む
+ *
+ * cookie samesite          全てを含む
+ * "same site"              空白も含めて続けて含む
+ * -amp -"signed exchange"  含まない
+ * tag:http guest:jxck      tag や guest で絞る
+ * after:2020 before:2021-04  after はその日を含み、 before は含まない
+ *
+ * @typedef {import("./search.js").Section} Section
+ * @typedef {import("./search.js").Hit} Hit
+ * @typedef {import("./search.js").SearchOption} SearchOption
+ */
+/**
+ * @typedef {Object} SearchDocument
+ * @prop {string} url
+ * @prop {string} host
+ * @prop {string} title
+ * @prop {string} date
+ * @prop {Array.<string>} tags
+ * @prop {Array.<string>} guests
+ * @prop {Array.<Section>} sections
+ */
+/**
+ * @typedef {Object} Query
+ * @prop {Array.<string>} include 全て含む語と phrase
+ * @prop {Array.<string>} exclude 1 つも含まない語と phrase
+ * @prop {Array.<string>} tags
+ * @prop {Array.<string>} guests
+ * @prop {string} before
+ * @prop {string} after
+ */
+/**
+ * @typedef {Object} BM25Index
+ * @prop {Array.<SearchDocument>} docs
+ * @prop {Array.<string>} texts 空白をまとめて小文字にした本文、 phrase の照合に使う
+ * @prop {Array.<Map.<string, number>>} tfs
+ * @prop {Array.<number>} lengths 語の数
+ * @prop {Map.<string, number>} df
+ * @prop {number} avgdl
+ */
+/**
+ * @typedef {Object} Ranked
+ * @prop {string} url
+ * @prop {string} host
+ * @prop {string} title
+ * @prop {string} date
+ * @prop {Array.<string>} tags
+ * @prop {Array.<string>} guests
+ * @prop {number} score
+ * @prop {Array.<Hit>} hits
+ */
+/**
+ * @typedef {Object} RankOption
+ * @prop {number} [limit]
+ * @prop {(doc: SearchDocument) => boolean} [filter] 公開前のものなど、 query とは別に除くもの
+ */
+/**
+ * query の長さの上限、 filter を並べられるように search.js より長い
+ */
+export const MAX_QUERY_LENGTH: 200;
+/**
+ * server で行う検索
+ * search.js と同じ bigram の語で BM25 の score を付け、 query の指定で絞り込む
+ *
+ * cookie samesite          全てを含む
+ * "same site"              空白も含めて続けて含む
+ * -amp -"signed exchange"  含まない
+ * tag:http guest:jxck      tag や guest で絞る
+ * after:2020 before:2021-04  after はその日を含み、 before は含まない
+ */
+export type Section = import("./search.js").Section;
+/**
+ * server で行う検索
+ * search.js と同じ bigram の語で BM25 の score を付け、 query の指定で絞り込む
+ *
+ * cookie samesite          全てを含む
+ * "same site"              空白も含めて続けて含む
+ * -amp -"signed exchange"  含まない
+ * tag:http guest:jxck      tag や guest で絞る
+ * after:2020 before:2021-04  after はその日を含み、 before は含まない
+ */
+export type Hit = import("./search.js").Hit;
+/**
+ * server で行う検索
+ * search.js と同じ bigram の語で BM25 の score を付け、 query の指定で絞り込む
+ *
+ * cookie samesite          全てを含む
+ * "same site"              空白も含めて続けて含む
+ * -amp -"signed exchange"  含まない
+ * tag:http guest:jxck      tag や guest で絞る
+ * after:2020 before:2021-04  after はその日を含み、 before は含まない
+ */
+export type SearchOption = import("./search.js").SearchOption;
+export type SearchDocument = {
+    url: string;
+    host: string;
+    title: string;
+    date: string;
+    tags: Array<string>;
+    guests: Array<string>;
+    sections: Array<Section>;
+};
+export type Query = {
+    /**
+     * 全て含む語と phrase
+     */
+    include: Array<string>;
+    /**
+     * 1 つも含まない語と phrase
+     */
+    exclude: Array<string>;
+    tags: Array<string>;
+    guests: Array<string>;
+    before: string;
+    after: string;
+};
+export type BM25Index = {
+    docs: Array<SearchDocument>;
+    /**
+     * 空白をまとめて小文字にした本文、 phrase の照合に使う
+     */
+    texts: Array<string>;
+    tfs: Array<Map<string, number>>;
+    /**
+     * 語の数
+     */
+    lengths: Array<number>;
+    df: Map<string, number>;
+    avgdl: number;
+};
+export type Ranked = {
+    url: string;
+    host: string;
+    title: string;
+    date: string;
+    tags: Array<string>;
+    guests: Array<string>;
+    score: number;
+    hits: Array<Hit>;
+};
+export type RankOption = {
+    limit?: number;
+    /**
+     * 公開前のものなど、 query とは別に除くもの
+     */
+    filter?: (doc: SearchDocument) => boolean;
+};
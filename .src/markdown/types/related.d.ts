@@ -0,0 +1,62 @@
+/**
+ * 文章を TF-IDF の単位にする
+ * 英数字は小文字の単語、日本語は bigram (1 文字なら unigram) にする
+ * 数字だけの単語と、ひらがなだけのものは助詞や語尾ばかりなので捨てる
+ * @param {string} text
+ * @returns {Array.<string>}
+ */
+export function to_terms(text: string): Array<string>;
+/**
+ * AST から本文の text だけを取り出す、 code block は除く
+ * @param {Node} node
+ * @returns {string}
+ */
+export function text_content(node: Node): string;
+/**
+ * Document ごとに関連の強い順に limit 件返す
+ * score が同じなら id の順にして、結果が変わらないようにする
+ * @param {Array.<Document>} docs
+ * @param {RelatedOption} [option]
+ * @returns {Map.<string, Array.<Score>>}
+ */
+export function related(docs: Array<Document>, option?: RelatedOption): Map<string, Array<Score>>;
+/**
+ * 関連する記事を探す
+ * 共有している tag と、本文の TF-IDF の cosine 類似度を重み付けして足す
+ * 日本語は tokenizer を入れずに文字の bigram で扱う
+ */
+export type Node = import("./index.js").Node;
+export type Document = {
+    id: string;
+    tags: Array<string>;
+    text: string;
+};
+export type Score = {
+    id: string;
+    /**
+     * tag と text を重み付けして足したもの
+     */
+    score: number;
+    /**
+     * 共有している tag の Jaccard 係数
+     */
+    tag: number;
+    /**
+     * TF-IDF の cosine 類似度
+     */
+    text: number;
+};
+export type RelatedOption = {
+    /**
+     * 1 つの Document あたりの件数
+     */
+    limit?: number;
+    /**
+     * tag の重み、 text は 1 - tag_weight
+     */
+    tag_weight?: number;
+    /**
+     * これより低い score は関連とみなさない
+     */
+    threshold?: number;
+};
@@ -0,0 +1,198 @@
+/**
+ * 文章を index の単位にする
+ * 英数字は小文字の単語、日本語は bigram (1 文字なら unigram) にする
+ * 関連記事と違い、ひらがなや数字も検索できるように残す
+ * @param {string} text
+ * @returns {Array.<string>}
+ */
+export function search_terms(text: string): Array<string>;
+/**
+ * heading_id() を通した AST を section ごとの本文に分ける
+ * @param {Node} node
+ * @returns {Array.<Section>}
+ */
+export function search_sections(node: Node): Array<Section>;
+/**
+ * index と、 snippet を作るための section の本文を分けて作る
+ * 本文は section の番号と同じ順に並べる
+ * @param {Array.<SearchSource>} sources
+ * @returns {{index: SearchIndex, text: Array.<string>}}
+ */
+export function build_search_index(sources: Array<SearchSource>): {
+    index: SearchIndex;
+    text: Array<string>;
+};
+/**
+ * 空白で区切った検索語、重複は除く
+ * @param {string} q
+ * @returns {Array.<string>}
+ */
+export function parse_query(q: string): Array<string>;
+/**
+ * keyword の前後の単語を prefix と suffix にした #:~:text= の値
+ * @param {string} prefix
+ * @param {string} keyword
+ * @param {string} suffix
+ * @returns {string}
+ */
+export function fragment(prefix: string, keyword: string, suffix: string): string;
+/**
+ * section の本文から keyword を含む行を探し、前後を付けて返す
+ * @param {Array.<Section>} sections
+ * @param {Array.<string>} keywords normalize() したもの
+ * @param {SearchOption} [option]
+ * @returns {Array.<Hit>}
+ */
+export function find_hits(sections: Array<Section>, keywords: Array<string>, option?: SearchOption): Array<Hit>;
+/**
+ * 全ての keyword の候補を含む doc の番号
+ * search() はこの doc の本文しか読まないので、 browser ではこれだけ読めばよい
+ * @param {SearchIndex} index
+ * @param {string} q
+ * @returns {Array.<number>}
+ */
+export function search_docs(index: SearchIndex, q: string): Array<number>;
+/**
+ * doc ごとに分けた section の本文
+ * @param {SearchIndex} index
+ * @param {Array.<string>} text
+ * @returns {Array.<Array.<string>>}
+ */
+export function split_text(index: SearchIndex, text: Array<string>): Array<Array<string>>;
+/**
+ * split_text() したものを section の番号の位置に戻す、読んでいない doc の section は undefined
+ * @param {SearchIndex} index
+ * @param {Map.<number, Array.<string>>} docs doc の番号 => その doc の section の本文
+ * @returns {Array.<string>}
+ */
+export function section_text(index: SearchIndex, docs: Map<number, Array<string>>): Array<string>;
+/**
+ * 全ての keyword を含むページを score の高い順に返す
+ * keyword は section 単位で本文と照合するので、 bigram が離れて出てくるだけのものは含まない
+ * score は keyword ごとの (1 + log 出現数) * idf の和で、 title に含むと idf を足す
+ * text は search_docs() の doc の section の分だけあればよい
+ * @param {SearchIndex} index
+ * @param {Array.<string>} text
+ * @param {string} q
+ * @param {SearchOption} [option]
+ * @returns {Array.<SearchResult>}
+ */
+export function search(index: SearchIndex, text: Array<string>, q: string, option?: SearchOption): Array<SearchResult>;
+/**
+ * 静的な全文検索
+ * build 時に section ごとの転置 index を作り、 browser ではそれを読んで検索する
+ * 日本語は tokenizer を入れずに文字の bigram で引き、最後に本文と突き合わせて絞る
+ * このファイルは search/ にそのままコピーして browser でも使うので、他のファイルを import しない
+ *
+ * @typedef {import("./index.js").Node} Node
+ */
+/**
+ * @typedef {Object} Section
+ * @prop {string} id heading の id、 h1 の section は ""
+ * @prop {string} heading
+ * @prop {string} text 子の section を除いた本文、 block ごとに改行する
+ */
+/**
+ * @typedef {Object} SearchSource
+ * @prop {string} url
+ * @prop {string} title
+ * @prop {string} date
+ * @prop {Array.<Section>} sections
+ */
+/**
+ * @typedef {Object} SearchIndex
+ * @prop {Array.<[string, string, string]>} docs url, title, date
+ * @prop {Array.<[number, string, string]>} sections doc の番号, id, heading
+ * @prop {Object.<string, Array.<number>>} terms 語を含む section の番号を、前の番号との差で持つ
+ */
+/**
+ * @typedef {Object} Hit
+ * @prop {string} id
+ * @prop {string} heading
+ * @prop {string} prefix
+ * @prop {string} keyword
+ * @prop {string} suffix
+ * @prop {string} fragment
+ */
+/**
+ * @typedef {Object} SearchResult
+ * @prop {string} url
+ * @prop {string} title
+ * @prop {string} date
+ * @prop {number} score
+ * @prop {Array.<Hit>} hits
+ */
+/**
+ * @typedef {Object} SearchOption
+ * @prop {number} [hits] 1 つの結果に出す Hit の数
+ * @prop {number} [context] Hit の前後に出す文字数
+ */
+/**
+ * 検索語の長さの上限
+ */
+export const MAX_LENGTH: 30;
+/**
+ * 静的な全文検索
+ * build 時に section ごとの転置 index を作り、 browser ではそれを読んで検索する
+ * 日本語は tokenizer を入れずに文字の bigram で引き、最後に本文と突き合わせて絞る
+ * このファイルは search/ にそのままコピーして browser でも使うので、他のファイルを import しない
+ */
+export type Node = import("./index.js").Node;
+export type Section = {
+    /**
+     * heading の id、 h1 の section は ""
+     */
+    id: string;
+    heading: string;
+    /**
+     * 子の section を除いた本文、 block ごとに改行する
+     */
+    text: string;
+};
+export type SearchSource = {
+    url: string;
+    title: string;
+    date: string;
+    sections: Array<Section>;
+};
+export type SearchIndex = {
+    /**
+     * url, title, date
+     */
+    docs: Array<[string, string, string]>;
+    /**
+     * doc の番号, id, heading
+     */
+    sections: Array<[number, string, string]>;
+    /**
+     * 語を含む section の番号を、前の番号との差で持つ
+     */
+    terms: {
+        [x: string]: Array<number>;
+    };
+};
+export type Hit = {
+    id: string;
+    heading: string;
+    prefix: string;
+    keyword: string;
+    suffix: string;
+    fragment: string;
+};
+export type SearchResult = {
+    url: string;
+    title: string;
+    date: string;
+    score: number;
+    hits: Array<Hit>;
+};
+export type SearchOption = {
+    /**
+     * 1 つの結果に出す Hit の数
+     */
+    hits?: number;
+    /**
+     * Hit の前後に出す文字数
+     */
+    context?: number;
+};
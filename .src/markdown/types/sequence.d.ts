@@ -0,0 +1,50 @@
+/**
+ * @param {string} source
+ * @returns {Diagram}
+ */
+export function parse_sequence(source: string): Diagram;
+/**
+ * @param {Diagram} diagram
+ * @returns {{svg: string, width: number, height: number}}
+ */
+export function render_sequence({ title, participants, rows }: Diagram): {
+    svg: string;
+    width: number;
+    height: number;
+};
+/**
+ * @param {string} source
+ * @returns {{svg: string, width: number, height: number, title: string}}
+ */
+export function sequence_to_svg(source: string): {
+    svg: string;
+    width: number;
+    height: number;
+    title: string;
+};
+export type Participant = {
+    id: string;
+    label: string;
+};
+export type Message = {
+    type: "message";
+    from: string;
+    to: string;
+    text: string;
+    dashed: boolean;
+    /**
+     * 矢印の先を塗らない
+     */
+    open: boolean;
+};
+export type Note = {
+    type: "note";
+    place: "over" | "left" | "right";
+    targets: Array<string>;
+    text: string;
+};
+export type Diagram = {
+    title: string;
+    participants: Array<Participant>;
+    rows: Array<Message | Note>;
+};
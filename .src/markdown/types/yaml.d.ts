@@ -0,0 +1,26 @@
+/**
+ * Parse YAML subset into object
+ * @param {string} yaml
+ * @param {YAMLOption} [option]
+ * @returns {Object.<string, any>}
+ */
+export function parse_yaml(yaml: string, option?: YAMLOption): {
+    [x: string]: any;
+};
+export type Line = {
+    /**
+     * 1 はじまり
+     */
+    line: number;
+    indent: number;
+    /**
+     * indent とコメントを除いたもの
+     */
+    text: string;
+};
+export type YAMLOption = {
+    /**
+     * 重複を許す key、値は出てきた順に配列にまとめる
+     */
+    repeatable?: Array<string>;
+};
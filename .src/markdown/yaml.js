@@ -0,0 +1,350 @@
+import { ParseError } from "./index.js"
+
+/**
+ * front matter 用の YAML のサブセット
+ *
+ * key: plain scalar     # comment
+ * key: "double \"quoted\"" / 'single ''quoted'''
+ * key: [a, "b", 1]       flow list
+ * key:                   block list
+ *   - a
+ *   - name: b            list の中の map
+ *     url: c
+ * key:                   nested map
+ *   child: value
+ *
+ * anchor, tag, block scalar (| >), flow map は扱わない
+ * guest: [name](url) のように [...] の後ろに続きがある値は flow list ではなく文字列とする
+ */
+
+/**
+ * @typedef {Object} Line
+ * @prop {number} line 1 はじまり
+ * @prop {number} indent
+ * @prop {string} text indent とコメントを除いたもの
+ */
+
+/**
+ * @typedef {Object} YAMLOption
+ * @prop {Array.<string>} [repeatable] 重複を許す key、値は出てきた順に配列にまとめる
+ */
+
+/**
+ * @param {string} message
+ * @param {number} line
+ * @param {number} [column]
+ * @returns {ParseError}
+ */
+function error(message, line, column = 1) {
+  return new ParseError(message, {
+    start: { line, column },
+    end: { line, column: column + 1 },
+  })
+}
+
+/**
+ * quote の外にある " #" 以降をコメントとして消す
+ * @param {string} text
+ * @returns {string}
+ */
+function strip_comment(text) {
+  /** @type {string} */
+  let quote = null
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quote) {
+      // "\"" と '''' の中では閉じない
+      if (quote === `"` && c === `\\`) i++
+      else if (quote === `'` && c === `'` && text[i + 1] === `'`) i++
+      else if (c === quote) quote = null
+      continue
+    }
+    if ((c === `"` || c === `'`) && (i === 0 || /[\s:,[-]/.test(text[i - 1]))) quote = c
+    if (c === `#` && (i === 0 || /\s/.test(text[i - 1]))) return text.slice(0, i).trimEnd()
+  }
+  return text.trimEnd()
+}
+
+/**
+ * @param {string} yaml
+ * @returns {Array.<Line>}
+ */
+function split_lines(yaml) {
+  return yaml.split(`\n`).flatMap((raw, i) => {
+    const line = i + 1
+    const text = strip_comment(raw.replace(/\r$/, ``))
+    if (text.trim() === ``) return []
+    const indent = text.match(/^ */)[0].length
+    if (text[indent] === `\t`) throw error(`tab can not be used for indent`, line, indent + 1)
+    return [{ line, indent, text: text.slice(indent) }]
+  })
+}
+
+/**
+ * quote された文字列を閉じるまで読む
+ * @param {string} text
+ * @param {number} start quote の位置
+ * @param {number} line
+ * @param {number} column text の先頭の column
+ * @returns {{value: string, end: number}} end は閉じ quote の次
+ */
+function read_quoted(text, start, line, column) {
+  const quote = text[start]
+  let value = ``
+  for (let i = start + 1; i < text.length; i++) {
+    const c = text[i]
+    if (quote === `'`) {
+      if (c !== `'`) {
+        value += c
+        continue
+      }
+      if (text[i + 1] === `'`) {
+        value += `'`
+        i++
+        continue
+      }
+      return { value, end: i + 1 }
+    }
+    if (c === `"`) return { value, end: i + 1 }
+    if (c !== `\\`) {
+      value += c
+      continue
+    }
+    const next = text[++i]
+    const escapes = { n: `\n`, t: `\t`, r: `\r`, "0": `\0`, '"': `"`, "\\": `\\`, "/": `/`, " ": ` ` }
+    if (next in escapes) {
+      value += escapes[/** @type {keyof escapes} */ (next)]
+      continue
+    }
+    if (next === `u`) {
+      const hex = text.slice(i + 1, i + 5)
+      if (/^[0-9a-fA-F]{4}$/.test(hex) === false) throw error(`invalid unicode escape "\\u${hex}"`, line, column + i - 1)
+      value += String.fromCharCode(parseInt(hex, 16))
+      i += 4
+      continue
+    }
+    throw error(`invalid escape "\\${next ?? ``}"`, line, column + i - 1)
+  }
+  throw error(`unterminated string`, line, column + start)
+}
+
+/**
+ * quote されてない scalar の型を決める
+ * 日付は文字列のまま返す
+ * @param {string} text
+ * @returns {null|boolean|number|string}
+ */
+function plain(text) {
+  if (text === `` || text === `~` || text === `null`) return null
+  if (text === `true`) return true
+  if (text === `false`) return false
+  if (/^[-+]?(0|[1-9][0-9]*)$/.test(text)) return parseInt(text)
+  if (/^[-+]?(0|[1-9][0-9]*)?\.[0-9]+$/.test(text)) return parseFloat(text)
+  return text
+}
+
+/**
+ * [ と対応する ] の位置、無ければ -1
+ * @param {string} text
+ * @returns {number}
+ */
+function closing_bracket(text) {
+  let depth = 0
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (c === `"` || c === `'`) {
+      // 閉じてなければ flow list ではない
+      const close = c === `"` ? text.slice(i + 1).search(/(?<!\\)"/) : text.indexOf(`'`, i + 1) - i - 1
+      if (close < 0) return -1
+      i += close + 1
+      continue
+    }
+    if (c === `[`) depth++
+    if (c === `]` && --depth === 0) return i
+  }
+  return -1
+}
+
+/**
+ * [a, "b", [c]] を読む
+ * @param {string} text [ から ] まで
+ * @param {number} line
+ * @param {number} column text の先頭の column
+ * @returns {Array.<any>}
+ */
+function flow_list(text, line, column) {
+  const list = []
+  let i = 1
+  for (;;) {
+    while (text[i] === ` `) i++
+    if (text[i] === `]`) {
+      if (list.length > 0) throw error(`unexpected "]" after ","`, line, column + i)
+      return list
+    }
+    if (text[i] === `"` || text[i] === `'`) {
+      const { value, end } = read_quoted(text, i, line, column)
+      list.push(value)
+      i = end
+    } else if (text[i] === `[`) {
+      const end = closing_bracket(text.slice(i)) + i
+      list.push(flow_list(text.slice(i, end + 1), line, column + i))
+      i = end + 1
+    } else {
+      const end = text.slice(i).search(/[,\]]/) + i
+      const value = text.slice(i, end).trim()
+      if (value === ``) throw error(`empty item in flow list`, line, column + i)
+      if (/^[{]/.test(value)) throw error(`flow map is not supported`, line, column + i)
+      list.push(plain(value))
+      i = end
+    }
+    while (text[i] === ` `) i++
+    if (text[i] === `]`) return list
+    if (text[i] !== `,`) throw error(`expected "," or "]" in flow list`, line, column + i)
+    i++
+  }
+}
+
+/**
+ * key: の後ろや - の後ろにある 1 行の値
+ * @param {string} text
+ * @param {number} line
+ * @param {number} column
+ * @returns {any}
+ */
+function inline_value(text, line, column) {
+  if (text.startsWith(`"`) || text.startsWith(`'`)) {
+    const { value, end } = read_quoted(text, 0, line, column)
+    if (text.slice(end).trim() !== ``) throw error(`unexpected text after string`, line, column + end)
+    return value
+  }
+  if (text.startsWith(`[`)) {
+    const end = closing_bracket(text)
+    // [name](url) のような値は文字列
+    if (end === text.length - 1) return flow_list(text, line, column)
+    if (end < 0 && /^\[[^\]]*$/.test(text)) throw error(`unterminated flow list`, line, column)
+  }
+  if (text.startsWith(`{`)) throw error(`flow map is not supported`, line, column)
+  if (/^[|>][-+0-9]*$/.test(text)) throw error(`block scalar is not supported`, line, column)
+  if (/^[&*!]/.test(text)) throw error(`anchor, alias and tag are not supported`, line, column)
+  return plain(text)
+}
+
+/**
+ * key と値に分ける、key に " や ' は使えない
+ * @param {Line} line
+ * @returns {{key: string, value: string, column: number}}
+ */
+function split_key({ text, line, indent }) {
+  const result = /^(?<key>[^\s"'#:[\]{}-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(?<value>.*))?$/.exec(text)
+  if (result === null) throw error(`expected "key: value" but got "${text}"`, line, indent + 1)
+  const { key, value = `` } = result.groups
+  return { key, value, column: indent + text.length - value.length + 1 }
+}
+
+/**
+ * @param {Line} line
+ * @returns {boolean}
+ */
+function is_item({ text }) {
+  return text === `-` || text.startsWith(`- `)
+}
+
+/**
+ * Parse YAML subset into object
+ * @param {string} yaml
+ * @param {YAMLOption} [option]
+ * @returns {Object.<string, any>}
+ */
+export function parse_yaml(yaml, option = {}) {
+  const repeatable = new Set(option.repeatable ?? [])
+  const lines = split_lines(yaml)
+  let i = 0
+
+  /**
+   * 同じ indent で並ぶ map か list を読む
+   * @param {number} indent
+   * @returns {any}
+   */
+  function block(indent) {
+    return is_item(lines[i]) ? list(indent) : mapping(indent)
+  }
+
+  /**
+   * - から始まる行が並ぶ
+   * @param {number} indent
+   * @returns {Array.<any>}
+   */
+  function list(indent) {
+    const values = []
+    while (i < lines.length && lines[i].indent === indent && is_item(lines[i])) {
+      const { line, text } = lines[i]
+      const rest = text.slice(1).trimStart()
+      if (rest === ``) {
+        i++
+        values.push(nested(indent))
+        continue
+      }
+      // - key: value の続きは key と同じ indent に並ぶので
+      // - を外した行として読み直す
+      const offset = text.length - rest.length
+      if (/^[^\s"'[{][^:]*?:(\s|$)/.test(rest) || is_item({ line, indent, text: rest })) {
+        lines[i] = { line, indent: indent + offset, text: rest }
+        values.push(block(indent + offset))
+        continue
+      }
+      i++
+      values.push(inline_value(rest, line, indent + offset + 1))
+    }
+    return values
+  }
+
+  /**
+   * key: value の行が並ぶ
+   * @param {number} indent
+   * @returns {Object.<string, any>}
+   */
+  function mapping(indent) {
+    /** @type {Object.<string, any>} */
+    const map = {}
+    const seen = new Set()
+    while (i < lines.length && lines[i].indent === indent) {
+      const current = lines[i]
+      if (is_item(current)) throw error(`unexpected list item in map`, current.line, indent + 1)
+      const { key, value, column } = split_key(current)
+      i++
+      const parsed = value === `` ? nested(indent, true) : inline_value(value, current.line, column)
+      if (repeatable.has(key)) {
+        map[key] = [...(map[key] ?? []), parsed]
+        continue
+      }
+      if (seen.has(key)) throw error(`duplicate key "${key}"`, current.line, indent + 1)
+      seen.add(key)
+      map[key] = parsed
+    }
+    return map
+  }
+
+  /**
+   * key: や - の次の行から始まる値、無ければ null
+   * @param {number} indent 親の indent
+   * @param {boolean} [compact] key: の直下は同じ indent の list でも良い
+   * @returns {any}
+   */
+  function nested(indent, compact = false) {
+    const next = lines[i]
+    if (next === undefined) return null
+    if (next.indent > indent) return block(next.indent)
+    if (compact && next.indent === indent && is_item(next)) return list(indent)
+    return null
+  }
+
+  if (lines.length === 0) return {}
+  if (lines[0].indent !== 0) throw error(`unexpected indent`, lines[0].line, 1)
+  if (is_item(lines[0])) throw error(`top level should be a map`, lines[0].line, 1)
+  const result = mapping(0)
+  if (i < lines.length) {
+    const { line, indent } = lines[i]
+    throw error(`unexpected indent`, line, indent + 1)
+  }
+  return result
+}
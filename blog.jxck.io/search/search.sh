@@ -1,2 +0,0 @@
-cd ../../
-HTTP_HOST="blog.jxck.io" QUERY_STRING="q=$1 $2" ruby ./blog.jxck.io/search/search.cgi
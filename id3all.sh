@@ -1,1654 +0,0 @@
-#!/bin/bash -xe
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep0.mp3
-
-eyeD3 --title "ep0 introduction of mozaic.fm" \
-      --track 1 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep0.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep1.mp3
-
-eyeD3 --title "ep1 WebComponents" \
-      --track 2 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep1.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep2.mp3
-
-eyeD3 --title "ep2 HTTP2" \
-      --track 3 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep2.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep2.sideshow.mp3
-
-eyeD3 --title "ep2 HTTP2 sideshow" \
-      --track 4 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep2.sideshow.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep3.mp3
-
-eyeD3 --title "ep3 Angular.js" \
-      --track 5 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep3.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep4.mp3
-
-eyeD3 --title "ep4 Security (protocol)" \
-      --track 6 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep4.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep5.mp3
-
-eyeD3 --title "ep5 TypeScript" \
-      --track 7 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep5.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep6.mp3
-
-eyeD3 --title "ep6 WebRTC" \
-      --track 8 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep6.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep7.mp3
-
-eyeD3 --title "ep7 REST" \
-      --track 9 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep7.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep8.mp3
-
-eyeD3 --title "ep8 AltJS" \
-      --track 10 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep8.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep9.mp3
-
-eyeD3 --title "ep9 Socket.IO" \
-      --track 11 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep9.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep10.mp3
-
-eyeD3 --title "ep10 Node.js" \
-      --track 12 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep10.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep10.sideshow.mp3
-
-eyeD3 --title "ep10 Node.js sideshow" \
-      --track 13 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep10.sideshow.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep11.mp3
-
-eyeD3 --title "ep11 High Performance Browser Networking" \
-      --track 14 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep11.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep12.mp3
-
-eyeD3 --title "ep12 Rails" \
-      --track 15 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep12.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep12.sideshow.mp3
-
-eyeD3 --title "ep12 Rails sideshow" \
-      --track 16 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep12.sideshow.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep13.mp3
-
-eyeD3 --title "ep13 Virtual DOM" \
-      --track 17 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep13.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep13.sideshow.mp3
-
-eyeD3 --title "ep13 Virtual DOM sideshow" \
-      --track 18 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep13.sideshow.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep14.mp3
-
-eyeD3 --title "ep14 WHATWG" \
-      --track 19 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep14.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep15.mp3
-
-eyeD3 --title "ep15 Extensible Web" \
-      --track 20 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep15.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep16.mp3
-
-eyeD3 --title "ep16 Security (application)" \
-      --track 21 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep16.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep17.mp3
-
-eyeD3 --title "ep17 Service Worker" \
-      --track 22 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep17.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep18.mp3
-
-eyeD3 --title "ep18 Nginx" \
-      --track 23 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep18.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep19.mp3
-
-eyeD3 --title "ep19 ES7" \
-      --track 24 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep19.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep19.sideshow.mp3
-
-eyeD3 --title "ep19 ES7 sideshow" \
-      --track 25 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep19.sideshow.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep20.mp3
-
-eyeD3 --title "ep20 Browser" \
-      --track 26 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep20.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep21.mp3
-
-eyeD3 --title "ep21 mozaic.fm v2 release note" \
-      --track 27 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep21.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep22.mp3
-
-eyeD3 --title "ep22 AMP" \
-      --track 28 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep22.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep23.mp3
-
-eyeD3 --title "ep23 Let&apos;s Encrypt" \
-      --track 29 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep23.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep24.mp3
-
-eyeD3 --title "ep24 Angular2" \
-      --track 30 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep24.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep25.mp3
-
-eyeD3 --title "ep25 Monthly Web 201707" \
-      --track 31 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep25.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep26.mp3
-
-eyeD3 --title "ep26 Monthly Web 201708" \
-      --track 32 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep26.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep27.mp3
-
-eyeD3 --title "ep27 Monthly Web 201709" \
-      --track 33 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep27.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep28.mp3
-
-eyeD3 --title "ep28 Monthly Web 201710" \
-      --track 34 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep28.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep29.mp3
-
-eyeD3 --title "ep29 Houdini" \
-      --track 35 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep29.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep30.mp3
-
-eyeD3 --title "ep30 Monthly Web 201711" \
-      --track 36 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep30.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep31.mp3
-
-eyeD3 --title "ep31 IETF" \
-      --track 37 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep31.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep32.mp3
-
-eyeD3 --title "ep32 Yearly Web 2017" \
-      --track 38 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep32.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep33.mp3
-
-eyeD3 --title "ep33 Monthly Web 201801" \
-      --track 39 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep33.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep34.mp3
-
-eyeD3 --title "ep34 Monthly Web 201802" \
-      --track 40 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep34.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep35.mp3
-
-eyeD3 --title "ep35 Security (Bug Bounty)" \
-      --track 41 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep35.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep36.mp3
-
-eyeD3 --title "ep36 Monthly Web 201803" \
-      --track 42 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep36.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep37.mp3
-
-eyeD3 --title "ep37 Monthly Web 201804" \
-      --track 43 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep37.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep38.mp3
-
-eyeD3 --title "ep38 Monthly Web 201805" \
-      --track 44 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep38.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep39.mp3
-
-eyeD3 --title "ep39 Monthly Web 201806" \
-      --track 45 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep39.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep40.mp3
-
-eyeD3 --title "ep40 Monthly Web 201807" \
-      --track 46 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep40.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep41.mp3
-
-eyeD3 --title "ep41 Monthly Web 201808" \
-      --track 47 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep41.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep42.mp3
-
-eyeD3 --title "ep42 Monthly Web 201809" \
-      --track 48 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep42.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep43.mp3
-
-eyeD3 --title "ep43 Permission" \
-      --track 49 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep43.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep44.mp3
-
-eyeD3 --title "ep44 Monthly Web 201810" \
-      --track 50 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep44.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep45.mp3
-
-eyeD3 --title "ep45 Monthly Web 201811" \
-      --track 51 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep45.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep46.mp3
-
-eyeD3 --title "ep46 Yearly Web 2018" \
-      --track 52 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep46.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep47.mp3
-
-eyeD3 --title "ep47 Monthly Web 201812" \
-      --track 53 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep47.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep48.mp3
-
-eyeD3 --title "ep48 Monthly Web 201901" \
-      --track 54 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep48.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep49.mp3
-
-eyeD3 --title "ep49 Monthly Web 201902" \
-      --track 55 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep49.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep50.mp3
-
-eyeD3 --title "ep50 Monthly Web 201903" \
-      --track 56 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep50.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep51.mp3
-
-eyeD3 --title "ep51 Translation" \
-      --track 57 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep51.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep52.mp3
-
-eyeD3 --title "ep52 Monthly Web 201904" \
-      --track 58 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep52.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep53.mp3
-
-eyeD3 --title "ep53 Monthly Web 201905" \
-      --track 59 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep53.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep54.mp3
-
-eyeD3 --title "ep54 Monthly Web 201906" \
-      --track 60 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep54.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep55.mp3
-
-eyeD3 --title "ep55 Monthly Web 201907" \
-      --track 61 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep55.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep56.mp3
-
-eyeD3 --title "ep56 Monthly Web 201908" \
-      --track 62 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep56.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep57.mp3
-
-eyeD3 --title "ep57 Monthly Web 201909" \
-      --track 63 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep57.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep58.mp3
-
-eyeD3 --title "ep58 WASI" \
-      --track 64 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep58.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep58.sideshow.mp3
-
-eyeD3 --title "ep58 WASI sideshow" \
-      --track 65 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep58.sideshow.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep59.mp3
-
-eyeD3 --title "ep59 Monthly Web 201910" \
-      --track 66 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep59.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep60.mp3
-
-eyeD3 --title "ep60 Monthly Web 201911" \
-      --track 67 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep60.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep61.mp3
-
-eyeD3 --title "ep61 Yearly Web 2019" \
-      --track 68 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep61.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep62.mp3
-
-eyeD3 --title "ep62 Monthly Web 202001" \
-      --track 69 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep62.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep63.mp3
-
-eyeD3 --title "ep63 Cross Origin Info Leaks" \
-      --track 70 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep63.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep63.sideshow.mp3
-
-eyeD3 --title "ep63 Cross Origin Info Leaks sideshow" \
-      --track 71 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep63.sideshow.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep64.mp3
-
-eyeD3 --title "ep64 Monthly Web 202002" \
-      --track 72 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep64.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep65.mp3
-
-eyeD3 --title "ep65 Monthly Web 202003" \
-      --track 73 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep65.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep66.mp3
-
-eyeD3 --title "ep66 mozaic.fm v3 release note" \
-      --track 74 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep66.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep67.mp3
-
-eyeD3 --title "ep67 Monthly Web 202004" \
-      --track 75 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep67.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep68.mp3
-
-eyeD3 --title "ep68 Monthly Web 202005" \
-      --track 76 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep68.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep69.mp3
-
-eyeD3 --title "ep69 Monthly Web 202006" \
-      --track 77 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep69.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep70.mp3
-
-eyeD3 --title "ep70 Monthly Web 202007" \
-      --track 78 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep70.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep71.mp3
-
-eyeD3 --title "ep71 Monthly Web 202008" \
-      --track 79 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep71.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep72.mp3
-
-eyeD3 --title "ep72 WebTransport" \
-      --track 80 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep72.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep73.mp3
-
-eyeD3 --title "ep73 Semantic Web" \
-      --track 81 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep73.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep74.mp3
-
-eyeD3 --title "ep74 Monthly Web 202009" \
-      --track 82 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep74.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep75.mp3
-
-eyeD3 --title "ep75 Monthly Web 202010" \
-      --track 83 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep75.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep76.mp3
-
-eyeD3 --title "ep76 Monthly Web 202011" \
-      --track 84 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep76.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep77.mp3
-
-eyeD3 --title "ep77 Yearly Web 2020" \
-      --track 85 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep77.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep78.mp3
-
-eyeD3 --title "ep78 TC39" \
-      --track 86 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep78.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep79.mp3
-
-eyeD3 --title "ep79 Monthly Web 202101" \
-      --track 87 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep79.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep80.mp3
-
-eyeD3 --title "ep80 Monthly Web 202102" \
-      --track 88 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep80.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep81.mp3
-
-eyeD3 --title "ep81 Monthly Web 202103" \
-      --track 89 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep81.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep82.mp3
-
-eyeD3 --title "ep82 Monthly Web 202104" \
-      --track 90 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep82.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep83.mp3
-
-eyeD3 --title "ep83 IE" \
-      --track 91 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep83.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep84.mp3
-
-eyeD3 --title "ep84 Monthly Web 202105" \
-      --track 92 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep84.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep85.mp3
-
-eyeD3 --title "ep85 Monthly Web 202106" \
-      --track 93 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep85.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep86.mp3
-
-eyeD3 --title "ep86 Monthly Web 202107" \
-      --track 94 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep86.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep87.mp3
-
-eyeD3 --title "ep87 Monthly Web 202108" \
-      --track 95 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep87.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep88.mp3
-
-eyeD3 --title "ep88 Monthly Web 202109" \
-      --track 96 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep88.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep89.mp3
-
-eyeD3 --title "ep89 Monthly Web 202110" \
-      --track 97 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep89.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep90.mp3
-
-eyeD3 --title "ep90 Monthly Web 202111" \
-      --track 98 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep90.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep91.mp3
-
-eyeD3 --title "ep91 Yearly Web 2021" \
-      --track 99 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep91.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep92.mp3
-
-eyeD3 --title "ep92 Monthly Web 202201" \
-      --track 100 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep92.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep93.mp3
-
-eyeD3 --title "ep93 Web3" \
-      --track 101 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep93.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep94.mp3
-
-eyeD3 --title "ep94 Monthly Web 202202" \
-      --track 102 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep94.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep95.mp3
-
-eyeD3 --title "ep95 Monthly Web 202203" \
-      --track 103 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep95.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep96.mp3
-
-eyeD3 --title "ep96 Monthly Web 202204" \
-      --track 104 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep96.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep97.mp3
-
-eyeD3 --title "ep97 Monthly Web 202205" \
-      --track 105 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep97.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep98.mp3
-
-eyeD3 --title "ep98 Monthly Web 202206" \
-      --track 106 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep98.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep99.mp3
-
-eyeD3 --title "ep99 Monthly Web 202207" \
-      --track 107 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep99.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep100.mp3
-
-eyeD3 --title "ep100 State of mozaic.fm" \
-      --track 108 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep100.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep101.mp3
-
-eyeD3 --title "ep101 Passwordless" \
-      --track 109 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep101.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep102.mp3
-
-eyeD3 --title "ep102 Monthly Ecosystem 202208" \
-      --track 110 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep102.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep103.mp3
-
-eyeD3 --title "ep103 Monthly Platform 202208" \
-      --track 111 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep103.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep104.mp3
-
-eyeD3 --title "ep104 Monthly Ecosystem 202209" \
-      --track 112 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep104.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep105.mp3
-
-eyeD3 --title "ep105 Monthly Platform 202209" \
-      --track 113 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep105.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep106.mp3
-
-eyeD3 --title "ep106 Monthly Ecosystem 202210" \
-      --track 114 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep106.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep107.mp3
-
-eyeD3 --title "ep107 Monthly Platform 202210" \
-      --track 115 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep107.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep108.mp3
-
-eyeD3 --title "ep108 Monthly Ecosystem 202211" \
-      --track 116 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep108.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep109.mp3
-
-eyeD3 --title "ep109 Monthly Platform 202211" \
-      --track 117 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep109.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep110.mp3
-
-eyeD3 --title "ep110 Yearly Ecosystem 2022" \
-      --track 118 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep110.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep111.mp3
-
-eyeD3 --title "ep111 Yearly Platform 2022" \
-      --track 119 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep111.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep112.mp3
-
-eyeD3 --title "ep112 Monthly Ecosystem 202301" \
-      --track 120 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep112.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep113.mp3
-
-eyeD3 --title "ep113 Monthly Platform 202301" \
-      --track 121 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep113.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep114.mp3
-
-eyeD3 --title "ep114 Monthly Ecosystem 202302" \
-      --track 122 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep114.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep115.mp3
-
-eyeD3 --title "ep115 Monthly Platform 202302" \
-      --track 123 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep115.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep116.mp3
-
-eyeD3 --title "ep116 Monthly Ecosystem 202303" \
-      --track 124 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep116.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep117.mp3
-
-eyeD3 --title "ep117 Monthly Platform 202303" \
-      --track 125 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep117.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep118.mp3
-
-eyeD3 --title "ep118 Monthly Ecosystem 202304" \
-      --track 126 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep118.mp3
-
-
-
-eyeD3 --remove-all ../files.mozaic.fm/mozaic-ep119.mp3
-
-eyeD3 --title "ep119 大規模ライブ配信" \
-      --track 127 \
-      --artist 'Jxck' \
-      --album 'mozaic.fm' \
-      --genre 'Podcast' \
-      --add-image ./www.jxck.io/assets/img/mozaic.jpeg:FRONT_COVER \
-      --to-v2.3 \
-      ../files.mozaic.fm/mozaic-ep119.mp3
-
-
-
@@ -1 +0,0 @@
-../../blog.jxck.io/search/search.cgi
\ No newline at end of file
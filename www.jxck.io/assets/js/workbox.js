@@ -11,7 +11,6 @@ const precache =
 /*---build.js---*/
 [
   "https://www.jxck.io/assets/js/main.js?220425_163515",
-  "https://www.jxck.io/assets/js/prism.js?210115_215132",
   "https://www.jxck.io/assets/js/ga.js?210325_165821",
   "https://www.jxck.io/assets/css/archive.css?220304_061221",
   "https://www.jxck.io/assets/css/article.css?220222_230717",